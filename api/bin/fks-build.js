@@ -0,0 +1,759 @@
+#!/usr/bin/env node
+// Command-line client for the Build API
+//
+// Usage: fks-build <command> [options]
+//
+//   build      Queue a build, follow its output and print compiler diagnostics
+//   package    Queue a package job; --download saves the zip when it succeeds
+//   download   Save an artifact zip: fks-build download <artifact-id|latest>
+//   template   list | show <id> | preview <id> | generate <id> - NinjaScript templates
+//   lint       Static checks of the NinjaScript sources, no dotnet needed
+//   validate   NinjaTrader 8 import checks on a zip or a stored artifact
+//   diff       What changed between two packages, stored or local zips
+//   files      roots | tree <root>[/path] | cat <root>/<path> - browse the workspace
+//   status     Server health and the job queue, or one job: fks-build status <job-id>
+//
+// The server URL and token come from --url/--token, then FKS_BUILD_API_URL and
+// FKS_BUILD_API_TOKEN, then a .fks-build.json ({ "url": ..., "token": ... })
+// in the working directory or any parent, then ~/.fks-build.json.
+//
+// Exit codes: 0 success, 1 failed job or API error, 2 usage error.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const DOTFILE = '.fks-build.json';
+const DEFAULT_URL = 'http://localhost:4000';
+
+const USAGE = `Usage: fks-build <command> [options]
+
+Commands:
+  build                     Queue a build and follow it to the end
+      -p, --project <name>        Project to build (repeatable)
+      -c, --configuration <name>  Configuration, e.g. Debug or Release (repeatable)
+      --property <Name=value>     MSBuild property (repeatable)
+      --ref <git-ref>             Build a branch, tag or commit instead of the working tree
+      --force                     Build even when the inputs are unchanged
+      --lint, --no-lint           Run the static source checks first, or skip them
+      --executor <name>           local, docker or stub (default: the server's)
+  package                   Queue a package job and follow it to the end
+      --version <x.y.z>           Package version (default: from the project)
+      --ref <git-ref>             Package a branch, tag or commit
+      --download                  Save the zip once packaged (see -o)
+      --executor <name>           local, docker or stub (default: the server's)
+  download <id|latest>      Save an artifact zip
+      --channel <name>            Channel for latest (default: stable)
+      --kind <kind>               addon or external-dll for latest (default: addon)
+  template list             NinjaScript templates
+  template show <id>        Template metadata and source
+  template preview <id>     Render without writing
+  template generate <id>    Render and write into the workspace (admin)
+      --file-name <name.cs>       File name for the generated class
+      --class-name <name>         Class name, when it differs from the file name
+      --var <name=value>          Template variable (repeatable)
+      --overwrite                 Replace an existing file
+  files roots               Browsable roots
+  files tree <root>[/path]  Directory tree, e.g. files tree src/AddOns
+      --include <glob>, --exclude <glob>, --depth <n>
+  files cat <root>/<path>   Print a file
+  lint [file...]            Static source checks; files relative to src limit the report
+  validate <zip|artifact-id> NinjaTrader 8 import checks on a package
+      --assembly <name.dll>       DLL the package must contain
+  diff [from] [to]          Changes between two packages: zip files, artifact ids
+                            or versions (default: the newest two; --kind applies)
+      --context <n>               Unified diff context lines (default: 3)
+  status [job-id]           Health and queue, or one job
+
+Common options:
+  -o, --output <path>       Where to write downloaded zips (file or directory)
+  --no-wait                 Print the queued job and return without following it
+  -v, --verbose             Print build output lines as they arrive
+  --json                    Print the API response as JSON for scripting
+  --url <url>               Build API URL (FKS_BUILD_API_URL)
+  --token <token>           API token (FKS_BUILD_API_TOKEN)
+  -h, --help                Show this help`;
+
+// Options that take a value; the rest are flags
+const VALUE_OPTIONS = ['project', 'configuration', 'property', 'ref', 'version', 'channel', 'kind',
+    'output', 'file-name', 'class-name', 'var', 'include', 'exclude', 'depth', 'assembly', 'context', 'executor', 'url', 'token'];
+const REPEATABLE_OPTIONS = ['project', 'configuration', 'property', 'var', 'include', 'exclude'];
+const FLAG_OPTIONS = ['force', 'lint', 'download', 'overwrite', 'wait', 'verbose', 'json', 'help'];
+const SHORT_OPTIONS = { p: 'project', c: 'configuration', o: 'output', v: 'verbose', h: 'help' };
+
+class CliError extends Error {
+    constructor(message, exitCode = 1, details = {}) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+        this.details = details;
+    }
+}
+
+const usageError = message => new CliError(`${message}\nRun fks-build --help for usage.`, 2);
+
+// --name value, --name=value, -x value, --flag and --no-flag
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            positional.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            positional.push(arg);
+            continue;
+        }
+
+        let name;
+        let value;
+        if (arg.startsWith('--')) {
+            [name, value] = arg.slice(2).split(/=(.*)/s);
+        } else {
+            name = SHORT_OPTIONS[arg.slice(1)];
+            if (!name) throw usageError(`Unknown option: ${arg}`);
+        }
+
+        if (FLAG_OPTIONS.includes(name) || (name.startsWith('no-') && FLAG_OPTIONS.includes(name.slice(3)))) {
+            if (value !== undefined) throw usageError(`--${name} does not take a value`);
+            const negated = name.startsWith('no-');
+            options[negated ? name.slice(3) : name] = !negated;
+            continue;
+        }
+        if (!VALUE_OPTIONS.includes(name)) throw usageError(`Unknown option: ${arg}`);
+
+        if (value === undefined) {
+            if (i + 1 >= argv.length) throw usageError(`${arg} needs a value`);
+            value = argv[++i];
+        }
+        if (REPEATABLE_OPTIONS.includes(name)) {
+            (options[name] = options[name] || []).push(value);
+        } else {
+            options[name] = value;
+        }
+    }
+
+    return { positional, options };
+}
+
+// NAME=value pairs from repeated options into an object
+function parsePairs(list, optionName) {
+    const pairs = {};
+    (list || []).forEach(entry => {
+        const index = entry.indexOf('=');
+        if (index <= 0) throw usageError(`--${optionName} expects NAME=value, got: ${entry}`);
+        pairs[entry.slice(0, index)] = entry.slice(index + 1);
+    });
+    return pairs;
+}
+
+// Nearest .fks-build.json from the working directory up, then the home directory
+function findDotfile(startDir) {
+    let dir = path.resolve(startDir);
+    for (;;) {
+        const candidate = path.join(dir, DOTFILE);
+        if (fs.existsSync(candidate)) return candidate;
+        const parent = path.dirname(dir);
+        if (parent === dir) break;
+        dir = parent;
+    }
+    const home = path.join(os.homedir(), DOTFILE);
+    return fs.existsSync(home) ? home : null;
+}
+
+function loadSettings(options, env = process.env) {
+    let file = {};
+    const dotfile = findDotfile(process.cwd());
+    if (dotfile) {
+        try {
+            file = JSON.parse(fs.readFileSync(dotfile, 'utf8'));
+        } catch (error) {
+            throw new CliError(`Cannot read ${dotfile}: ${error.message}`, 2);
+        }
+    }
+
+    const url = options.url || env.FKS_BUILD_API_URL || file.url || DEFAULT_URL;
+    const token = options.token || env.FKS_BUILD_API_TOKEN || file.token || null;
+    return { url: url.replace(/\/+$/, ''), token, dotfile };
+}
+
+// Thin fetch wrapper: JSON in and out, API errors thrown as CliError
+class ApiClient {
+    constructor({ url, token }) {
+        this.url = url;
+        this.token = token;
+    }
+
+    _url(route, query = {}) {
+        const target = new URL(`${this.url}${route}`);
+        Object.entries(query).forEach(([key, value]) => {
+            if (value === undefined || value === null) return;
+            (Array.isArray(value) ? value : [value]).forEach(item => target.searchParams.append(key, item));
+        });
+        return target;
+    }
+
+    async _fetch(route, { method = 'GET', query, body, headers = {} } = {}) {
+        const init = { method, headers: { ...headers } };
+        if (this.token) init.headers.Authorization = `Bearer ${this.token}`;
+        if (Buffer.isBuffer(body)) {
+            init.headers['Content-Type'] = 'application/zip';
+            init.body = body;
+        } else if (body instanceof FormData) {
+            // fetch sets the multipart boundary itself
+            init.body = body;
+        } else if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+        try {
+            return await fetch(this._url(route, query), init);
+        } catch (error) {
+            throw new CliError(`Cannot reach ${this.url}: ${error.cause ? error.cause.message : error.message}`);
+        }
+    }
+
+    async _fail(response) {
+        let payload = {};
+        try {
+            payload = await response.json();
+        } catch (error) {
+            // Not JSON - the status line is all there is
+        }
+        const message = payload.error || `${response.status} ${response.statusText}`;
+        throw new CliError(response.status === 401 ? `${message} - set FKS_BUILD_API_TOKEN or --token` : message, 1, payload);
+    }
+
+    // Parsed JSON body plus the status, for routes that answer 200 or 202
+    async request(route, options = {}) {
+        const response = await this._fetch(route, options);
+        if (!response.ok) await this._fail(response);
+        return { status: response.status, body: await response.json() };
+    }
+
+    async json(route, options = {}) {
+        return (await this.request(route, options)).body;
+    }
+
+    // Follow a Server-Sent Events stream; onEvent(type, data) per event
+    async stream(route, onEvent) {
+        const response = await this._fetch(route, { headers: { Accept: 'text/event-stream' } });
+        if (!response.ok) await this._fail(response);
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const frame = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let type = 'message';
+                const data = [];
+                frame.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) type = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+                });
+                if (data.length > 0) onEvent(type, JSON.parse(data.join('\n')));
+            }
+        }
+    }
+
+    // Save a download to output (a file, or a directory for the server's file
+    // name). Written next to the target first so a failed transfer leaves nothing.
+    async download(route, { query, output } = {}) {
+        const response = await this._fetch(route, { query });
+        if (!response.ok) await this._fail(response);
+
+        const disposition = response.headers.get('content-disposition') || '';
+        const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition);
+        const fileName = match ? path.basename(decodeURIComponent(match[1])) : 'package.zip';
+
+        let target = path.resolve(output || fileName);
+        if ((output && /[\\/]$/.test(output)) || (fs.existsSync(target) && fs.statSync(target).isDirectory())) {
+            target = path.join(target, fileName);
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+
+        const tmpPath = `${target}.${process.pid}.part`;
+        try {
+            await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(tmpPath));
+            fs.renameSync(tmpPath, target);
+        } catch (error) {
+            fs.rmSync(tmpPath, { force: true });
+            throw new CliError(`Download failed: ${error.message}`);
+        }
+
+        return {
+            path: target,
+            size: fs.statSync(target).size,
+            artifactId: response.headers.get('x-artifact-id'),
+            version: response.headers.get('x-artifact-version')
+        };
+    }
+}
+
+// Output helpers. Progress goes to stderr so stdout stays parseable.
+function createOutput(options) {
+    const json = options.json === true;
+    return {
+        json,
+        print(text) {
+            if (!json) process.stdout.write(`${text}\n`);
+        },
+        progress(text) {
+            if (!json) process.stderr.write(`${text}\n`);
+        },
+        result(value) {
+            if (json) process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+        }
+    };
+}
+
+function formatDuration(ms) {
+    if (typeof ms !== 'number') return '';
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function formatSize(bytes) {
+    if (typeof bytes !== 'number') return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// MSBuild's own layout, which editors and terminals already link up:
+//   src/Foo.cs(12,5): error CS0103: The name 'x' does not exist
+function formatDiagnostic(diagnostic) {
+    const file = diagnostic.relativeFile || diagnostic.file || diagnostic.tool || '';
+    const position = diagnostic.line
+        ? `(${diagnostic.line}${diagnostic.column ? `,${diagnostic.column}` : ''})`
+        : '';
+    return `${file}${position}${file ? ': ' : ''}${diagnostic.severity} ${diagnostic.code}: ${diagnostic.message}`;
+}
+
+// Cells of a build result; a single-cell build keeps the flat shape
+function resultCells(result) {
+    if (!result) return [];
+    return Array.isArray(result.cells) ? result.cells : [result];
+}
+
+// Lint findings; warnings only with --verbose
+function printFindings(out, report, { verbose } = {}) {
+    report.findings
+        .filter(finding => verbose || finding.severity === 'error')
+        .forEach(finding => out.print(`    ${formatDiagnostic(finding)}`));
+    out.print(`lint: ${report.summary.errors} errors, ${report.summary.warnings} warnings in ${report.files} files`);
+}
+
+// Package validation report; warnings only with --verbose
+function printValidation(out, report, { verbose } = {}) {
+    report.findings
+        .filter(finding => verbose || finding.severity === 'error')
+        .forEach(finding => out.print(`    ${finding.file || 'package'}: ${finding.severity} ${finding.code}: ${finding.message}`));
+    out.print(`validation: ${report.valid ? 'passed' : 'FAILED'}, ${report.summary.errors} errors, ${report.summary.warnings} warnings in ${report.entries} entries`);
+}
+
+function printBuildResult(out, result, { verbose } = {}) {
+    if (result && result.lint) printFindings(out, result.lint, { verbose });
+    resultCells(result).forEach(cell => {
+        const label = [cell.project, cell.configuration].filter(Boolean).join(' ') || 'build';
+        const state = cell.skipped ? 'skipped' : (cell.success ? 'ok' : 'FAILED');
+        out.print(`${state.padEnd(7)} ${label}${cell.cached ? ' (cached)' : ''} ${formatDuration(cell.durationMs)}`.trimEnd());
+
+        const diagnostics = (cell.diagnostics || [])
+            .filter(diagnostic => verbose || diagnostic.severity === 'error');
+        diagnostics.forEach(diagnostic => out.print(`    ${formatDiagnostic(diagnostic)}`));
+        (cell.suggestions || []).forEach(suggestion => {
+            out.print(`    hint ${suggestion.code}: ${suggestion.title} - ${suggestion.suggestion}`);
+        });
+        if (!cell.success && diagnostics.length === 0 && cell.error) {
+            out.print(`    ${cell.error}`);
+        }
+    });
+
+    if (result && result.summary) {
+        const { summary } = result;
+        out.print(`${summary.succeeded}/${summary.total} cells succeeded, ` +
+            `${summary.errors} errors, ${summary.warnings} warnings`);
+    }
+}
+
+// Follow a job's stream, then fetch the finished job for its full result
+async function followJob(client, out, jobId, { verbose } = {}) {
+    await client.stream(`/api/jobs/${encodeURIComponent(jobId)}/stream`, (type, data) => {
+        if (type === 'status') {
+            out.progress(`[${jobId}] ${data.status}`);
+        } else if (type === 'stage') {
+            const cell = data.project ? ` ${data.project} ${data.configuration} [${data.cell}/${data.of}]` : '';
+            out.progress(`==> ${data.stage}${cell}`);
+        } else if (type === 'line' && verbose) {
+            out.progress(data.line);
+        } else if (type === 'result') {
+            out.progress(`[${jobId}] ${data.status} ${formatDuration(data.durationMs)}`.trimEnd());
+        }
+    });
+    return client.json(`/api/jobs/${encodeURIComponent(jobId)}`);
+}
+
+function jobExitCode(job) {
+    return job.status === 'succeeded' ? 0 : 1;
+}
+
+async function buildCommand(client, out, { options }) {
+    const body = {};
+    if (options.project) body.projects = options.project;
+    if (options.configuration) body.configurations = options.configuration;
+    if (options.property) body.properties = parsePairs(options.property, 'property');
+    if (options.ref) body.ref = options.ref;
+    if (options.force) body.force = true;
+    if (options.lint !== undefined) body.lint = options.lint;
+    if (options.executor) body.executor = options.executor;
+
+    const { status, body: queued } = await client.request('/api/build', { method: 'POST', body });
+
+    // Every cell answered from the build cache; nothing was queued
+    if (status === 200) {
+        out.progress(queued.message);
+        printBuildResult(out, queued, options);
+        out.result(queued);
+        return queued.success ? 0 : 1;
+    }
+
+    out.progress(`${queued.message}: ${queued.cells.join(', ')}`);
+    if (options.wait === false) {
+        out.print(queued.jobId);
+        out.result(queued);
+        return 0;
+    }
+
+    const job = await followJob(client, out, queued.jobId, options);
+    printBuildResult(out, job.result, options);
+    if (job.status !== 'succeeded' && job.error && !job.result) out.print(job.error);
+    out.result(job);
+    return jobExitCode(job);
+}
+
+async function packageCommand(client, out, { options }) {
+    const body = {};
+    if (options.version) body.version = options.version;
+    if (options.ref) body.ref = options.ref;
+    if (options.executor) body.executor = options.executor;
+
+    const queued = await client.json('/api/package', { method: 'POST', body });
+    out.progress(`${queued.message} as job ${queued.jobId}`);
+    if (options.wait === false) {
+        out.print(queued.jobId);
+        out.result(queued);
+        return 0;
+    }
+
+    const job = await followJob(client, out, queued.jobId, options);
+    const artifact = job.result && job.result.artifact;
+    if (job.status !== 'succeeded') {
+        out.print(`Package failed: ${job.error || 'see the job log'}`);
+        (job.result && job.result.diagnostics || [])
+            .filter(diagnostic => diagnostic.severity === 'error')
+            .forEach(diagnostic => out.print(`    ${formatDiagnostic(diagnostic)}`));
+        if (job.result && job.result.validation) printValidation(out, job.result.validation, options);
+    } else if (artifact) {
+        out.print(`Packaged ${artifact.version} as artifact ${artifact.id} (${formatSize(artifact.size)}, ${artifact.channel})`);
+    }
+
+    let download;
+    if (job.status === 'succeeded' && artifact && options.download) {
+        download = await client.download(artifact.downloadUrl, { output: options.output });
+        out.print(`Saved ${download.path}`);
+    }
+    out.result(download ? { ...job, download } : job);
+    return jobExitCode(job);
+}
+
+async function downloadCommand(client, out, { positional, options }) {
+    const [id] = positional;
+    if (!id) throw usageError('download needs an artifact id or "latest"');
+
+    const download = id === 'latest'
+        ? await client.download('/api/download/latest', {
+            query: { channel: options.channel, kind: options.kind },
+            output: options.output
+        })
+        : await client.download(`/api/artifacts/${encodeURIComponent(id)}/download`, { output: options.output });
+
+    out.print(`Saved ${download.path} (${formatSize(download.size)})`);
+    out.result({ success: true, ...download });
+    return 0;
+}
+
+async function templateCommand(client, out, { positional, options }) {
+    const [action = 'list', id] = positional;
+    if (action === 'list') {
+        const listing = await client.json('/api/templates');
+        listing.templates.forEach(template => {
+            out.print(`${template.id.padEnd(28)} ${(template.kind || '').padEnd(10)} ${template.description || template.name || ''}`);
+        });
+        (listing.errors || []).forEach(error => out.progress(`warning: ${error.file || ''} ${error.error || error.message || ''}`.trim()));
+        out.result(listing);
+        return 0;
+    }
+
+    if (!id) throw usageError(`template ${action} needs a template id`);
+    const route = `/api/templates/${encodeURIComponent(id)}`;
+
+    if (action === 'show') {
+        const template = await client.json(route);
+        out.print(`${template.name} (${template.kind})`);
+        if (template.description) out.print(template.description);
+        Object.entries(template.variables || {}).forEach(([name, variable]) => {
+            out.print(`  ${name}${variable.default !== undefined ? ` = ${variable.default}` : ''}  ${variable.description || ''}`.trimEnd());
+        });
+        out.print('');
+        out.print(template.source);
+        out.result(template);
+        return 0;
+    }
+
+    if (action === 'preview' || action === 'generate') {
+        const body = { variables: parsePairs(options.var, 'var') };
+        if (options['file-name']) body.fileName = options['file-name'];
+        if (options['class-name']) body.className = options['class-name'];
+        if (options.overwrite) body.overwrite = true;
+
+        const result = await client.json(action === 'preview' ? `${route}/preview` : route, { method: 'POST', body });
+        if (action === 'preview') {
+            out.progress(`${result.path}${result.exists ? ' (exists)' : ''}`);
+            out.print(result.content);
+        } else {
+            out.print(`${result.message}: ${result.path}`);
+            if (result.backup) out.print(`Previous file kept at ${result.backup}`);
+        }
+        out.result(result);
+        return 0;
+    }
+
+    throw usageError(`Unknown template action: ${action}`);
+}
+
+function printTree(out, entries, indent = '') {
+    entries.forEach(entry => {
+        if (entry.type === 'directory') {
+            out.print(`${indent}${entry.name}/`);
+            printTree(out, entry.children || [], `${indent}  `);
+        } else {
+            out.print(`${indent}${entry.name}  ${formatSize(entry.size)}`);
+        }
+    });
+}
+
+// "src/AddOns/Foo.cs" as the src root and AddOns/Foo.cs within it
+function splitRootPath(target) {
+    const [root, ...rest] = target.replace(/\\/g, '/').split('/').filter(Boolean);
+    return { root, path: rest.join('/') };
+}
+
+async function filesCommand(client, out, { positional, options }) {
+    const [action = 'roots', target] = positional;
+
+    if (action === 'roots') {
+        const listing = await client.json('/api/files/roots');
+        listing.roots.forEach(root => {
+            out.print(`${root.name.padEnd(16)} ${root.writable ? 'rw' : 'ro'}  ${root.path}${root.exists ? '' : ' (missing)'}`);
+        });
+        out.result(listing);
+        return 0;
+    }
+
+    if (action === 'tree') {
+        if (options.depth !== undefined && !(parseInt(options.depth, 10) >= 1)) {
+            throw usageError('--depth must be a positive integer');
+        }
+        if (!target) throw usageError('files tree needs a root, see fks-build files roots');
+        const tree = await client.json('/api/files/tree', {
+            query: { ...splitRootPath(target), include: options.include, exclude: options.exclude, depth: options.depth }
+        });
+        printTree(out, tree.entries);
+        if (tree.truncated) out.progress(`Listing truncated after ${tree.count} entries`);
+        out.result(tree);
+        return 0;
+    }
+
+    if (action === 'cat') {
+        if (!target) throw usageError('files cat needs <root>/<path>');
+        const file = await client.json('/api/files/content', { query: splitRootPath(target) });
+        if (file.binary) {
+            out.progress(`${file.path} is a binary file (${formatSize(file.size)})`);
+        } else if (!out.json) {
+            process.stdout.write(file.content);
+        }
+        out.result(file);
+        return 0;
+    }
+
+    throw usageError(`Unknown files action: ${action}`);
+}
+
+async function lintCommand(client, out, { positional }) {
+    const body = positional.length > 0 ? { files: positional } : {};
+    const report = await client.json('/api/lint', { method: 'POST', body });
+    printFindings(out, report, { verbose: true });
+    out.result(report);
+    return report.summary.errors > 0 ? 1 : 0;
+}
+
+// A local zip is uploaded; anything else is taken as an artifact id
+async function validateCommand(client, out, { positional, options }) {
+    const [target] = positional;
+    if (!target) throw usageError('validate needs a zip file or an artifact id');
+
+    const query = { assembly: options.assembly };
+    let body;
+    if (fs.existsSync(target) && fs.statSync(target).isFile()) {
+        body = fs.readFileSync(target);
+        query.name = path.basename(target);
+    } else {
+        body = { artifactId: target };
+    }
+    const report = await client.json('/api/package/validate', { method: 'POST', query, body });
+    printValidation(out, report, { verbose: true });
+    out.result(report);
+    return report.valid ? 0 : 1;
+}
+
+const DIFF_STATUS = { added: 'A', removed: 'D', changed: 'M' };
+
+function printPackageDiff(out, report) {
+    const describe = side => `${side.artifactId || side.name}${side.version ? ` (${side.version})` : ''}`;
+    out.print(`${describe(report.from)} -> ${describe(report.to)}`);
+    report.files.forEach(file => {
+        const delta = `${file.sizeDelta >= 0 ? '+' : '-'}${formatSize(Math.abs(file.sizeDelta))}`;
+        const versions = file.assembly && file.assembly.versionChanged
+            ? `  ${file.assembly.from.version} -> ${file.assembly.to.version}`
+            : '';
+        out.print(`${DIFF_STATUS[file.status]}  ${file.path}  ${delta}${versions}`);
+    });
+    const { added, removed, changed, unchanged } = report.summary;
+    out.print(`${added} added, ${removed} removed, ${changed} changed, ${unchanged} unchanged`);
+
+    report.files.forEach(file => {
+        if (file.diff) out.print(`\n${file.diff.trimEnd()}`);
+        if (file.diffSkipped) out.print(`\n${file.path}: text diff skipped, ${file.diffSkipped}`);
+        const assembly = file.assembly;
+        if (assembly && (assembly.typesAdded.length > 0 || assembly.typesRemoved.length > 0)) {
+            out.print(`\n${file.path}: public types`);
+            assembly.typesRemoved.forEach(type => out.print(`- ${type}`));
+            assembly.typesAdded.forEach(type => out.print(`+ ${type}`));
+        }
+    });
+}
+
+// Stored packages go through GET; any local zip is uploaded with the other
+// side as an upload or an artifact reference
+async function diffCommand(client, out, { positional, options }) {
+    const [from, to] = positional;
+    const query = { kind: options.kind, context: options.context };
+    const isFile = target => target && fs.existsSync(target) && fs.statSync(target).isFile();
+
+    let report;
+    if (!isFile(from) && !isFile(to)) {
+        report = await client.json('/api/package/diff', { query: { ...query, from, to } });
+    } else {
+        if (!from || !to) throw usageError('diff with a zip file needs both sides');
+        const form = new FormData();
+        [['from', from], ['to', to]].forEach(([side, target]) => {
+            if (isFile(target)) {
+                form.append(side, new Blob([fs.readFileSync(target)], { type: 'application/zip' }), path.basename(target));
+            } else {
+                form.append(side, target);
+            }
+        });
+        report = await client.json('/api/package/diff', { method: 'POST', query, body: form });
+    }
+    printPackageDiff(out, report);
+    out.result(report);
+    return 0;
+}
+
+async function statusCommand(client, out, { positional }) {
+    const [jobId] = positional;
+    if (jobId) {
+        const job = await client.json(`/api/jobs/${encodeURIComponent(jobId)}`);
+        out.print(`${job.id}  ${job.type}  ${job.status}${job.stage ? ` (${job.stage})` : ''}  ${formatDuration(job.durationMs)}`.trimEnd());
+        if (job.error) out.print(job.error);
+        if (job.type === 'build') printBuildResult(out, job.result);
+        out.result(job);
+        return job.status === 'failed' ? 1 : 0;
+    }
+
+    const [health, me, jobs] = await Promise.all([
+        client.json('/api/health'),
+        client.json('/api/auth/me'),
+        client.json('/api/jobs', { query: { limit: 10 } })
+    ]);
+    out.print(`${client.url}  ${health.status}  ${health.project}`);
+    out.print(`Signed in as ${me.name} (${me.role})`);
+    out.print(`Queue: ${jobs.queue.queued} queued, ${jobs.queue.running} running`);
+    jobs.jobs.forEach(job => {
+        out.print(`  ${job.id}  ${job.type.padEnd(20)} ${job.status.padEnd(10)} ${job.createdAt || ''}`.trimEnd());
+    });
+    out.result({ health, auth: me, ...jobs });
+    return 0;
+}
+
+const COMMANDS = {
+    build: buildCommand,
+    package: packageCommand,
+    download: downloadCommand,
+    template: templateCommand,
+    files: filesCommand,
+    lint: lintCommand,
+    validate: validateCommand,
+    diff: diffCommand,
+    status: statusCommand
+};
+
+async function main(argv) {
+    const { positional, options } = parseArgs(argv);
+    const [commandName, ...rest] = positional;
+
+    if (options.help || !commandName || commandName === 'help') {
+        process.stdout.write(`${USAGE}\n`);
+        return commandName || options.help ? 0 : 2;
+    }
+    const command = COMMANDS[commandName];
+    if (!command) throw usageError(`Unknown command: ${commandName}`);
+
+    const client = new ApiClient(loadSettings(options));
+    return command(client, createOutput(options), { positional: rest, options });
+}
+
+if (require.main === module) {
+    const json = process.argv.includes('--json');
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            if (!(error instanceof CliError)) throw error;
+            if (json) {
+                process.stdout.write(`${JSON.stringify({ success: false, error: error.message, ...error.details }, null, 2)}\n`);
+            } else {
+                process.stderr.write(`fks-build: ${error.message}\n`);
+                (error.details.issues || []).forEach(issue => process.stderr.write(`  - ${issue}\n`));
+            }
+            process.exitCode = error.exitCode;
+        });
+}
+
+module.exports = {
+    ApiClient,
+    CliError,
+    formatDiagnostic,
+    loadSettings,
+    parseArgs
+};
@@ -1,307 +1,1174 @@
 const express = require('express');
 const cors = require('cors');
-const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const archiver = require('archiver');
-const docsRouter = require('/workspace/src/web/api/routes/docs');
+const { runProcess } = require('./lib/process-runner');
+const { JobQueue, TERMINAL_STATES } = require('./lib/job-queue');
+const { createJobsRouter, streamJob } = require('./routes/jobs');
+const { parseDiagnostics, summarizeDiagnostics } = require('./lib/diagnostics');
+const { SuggestionCatalog } = require('./lib/suggestion-catalog');
+const { ArtifactStore } = require('./lib/artifact-store');
+const { downloadCallback } = require('./lib/download-response');
+const { isValidVersion, readProjectVersion } = require('./lib/project-info');
+const { ReleaseChannels, CHANNELS } = require('./lib/release-channels');
+const createArtifactsRouter = require('./routes/artifacts');
+const { TokenStore, createAuthorizer, corsOriginFromAllowList, hasRole } = require('./lib/auth');
+const createTokensRouter = require('./routes/tokens');
+const { loadConfig, redactConfig } = require('./lib/config');
+const { ServiceRegistry } = require('./lib/service-registry');
+const { HealthProber } = require('./lib/health-prober');
+const createServicesRouter = require('./routes/services');
+const { collectSystemMetrics, formatBytes, formatDuration } = require('./lib/system-metrics');
+const { MarketCalendar } = require('./lib/market-sessions');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { createBuildApiMetrics } = require('./lib/build-metrics');
+const { TemplateCatalog } = require('./lib/template-catalog');
+const { createTemplatesRouter, handleTemplateRequest } = require('./routes/templates');
+const createFilesRouter = require('./routes/files');
+const { WorkspaceFiles } = require('./lib/workspace-files');
+const { BuildRequestError, planBuildMatrix, msbuildPropertyArgs, cellLabel } = require('./lib/build-matrix');
+const { GitWorkspace } = require('./lib/git-workspace');
+const { BuildCache } = require('./lib/build-cache');
+const { WebhookStore, WebhookDispatcher, publishJobEvents } = require('./lib/webhooks');
+const createWebhooksRouter = require('./routes/webhooks');
+const { DockerTemplates } = require('./lib/dockerfile-templates');
+const createDockerRouter = require('./routes/docker');
+const { ComposeFiles } = require('./lib/compose-files');
+const createComposeRouter = require('./routes/compose');
+const { SourceLinter, formatFinding } = require('./lib/source-lint');
+const createLintRouter = require('./routes/lint');
+const { PackageValidator, formatPackageFinding } = require('./lib/nt8-package');
+const { PackageDiffError, diffPackages } = require('./lib/package-diff');
+const { ExecutorRegistry } = require('./lib/build-executors');
+
+// Defaults < build-api.config.(json|yaml) < environment; exits on invalid config
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+config.meta.warnings.forEach(warning => console.warn(`Config warning: ${warning}`));
 
 const app = express();
-const PORT = 4000;
+const PORT = config.port;
+
+// Build/package job queue; history survives restarts
+const jobQueue = new JobQueue({
+    historyFile: path.join(config.paths.data, 'jobs.json'),
+    concurrency: config.jobs.concurrency,
+    historyLimit: config.jobs.historyLimit
+});
+
+// Fix suggestions for compiler diagnostics; team-specific entries can be
+// added in suggestions.json without touching the built-in NinjaTrader ones
+const suggestionCatalog = new SuggestionCatalog();
+try {
+    suggestionCatalog.loadFile(path.join(config.paths.data, 'suggestions.json'));
+} catch (error) {
+    console.error('Failed to load custom build suggestions:', error.message);
+}
+
+// Versioned package artifacts with configurable retention
+const artifactStore = new ArtifactStore({
+    rootDir: config.artifacts.dir,
+    retention: config.artifacts.retention,
+    // Never prune the build a channel currently points at
+    protect: () => releaseChannels.heads()
+});
+const releaseChannels = new ReleaseChannels(artifactStore);
+
+// Builds from a branch, tag or commit run in a per-job worktree
+const gitWorkspace = new GitWorkspace({
+    repoDir: config.git.repoDir,
+    worktreeDir: config.git.worktreeDir,
+    timeoutMs: config.git.timeoutMs
+});
+gitWorkspace.cleanup().catch(error => console.error('Worktree cleanup failed:', error.message));
+
+// Last successful result per build cell, keyed by a hash of its inputs
+const buildCache = new BuildCache({
+    file: config.build.cache.file,
+    root: config.paths.workspace,
+    maxEntries: config.build.cache.maxEntries
+});
+
+// Outgoing webhooks for build, package and promotion events
+const webhookStore = new WebhookStore({ file: config.webhooks.file });
+const webhookDispatcher = new WebhookDispatcher(webhookStore, {
+    file: config.webhooks.deliveriesFile,
+    timeoutMs: config.webhooks.timeoutMs,
+    maxAttempts: config.webhooks.maxAttempts,
+    retryBaseMs: config.webhooks.retryBaseMs,
+    logLimit: config.webhooks.deliveryLogLimit
+});
+webhookDispatcher.start();
+publishJobEvents(jobQueue, webhookDispatcher);
+releaseChannels.on('promoted', (artifact, promotion) => {
+    webhookDispatcher.publish('artifact.promoted', { artifact: artifactSummary(artifact), promotion });
+});
+
+// API tokens (stored hashed) and role checks: viewer < builder < admin
+const tokenStore = new TokenStore({ file: config.auth.tokensFile });
+const requireRole = createAuthorizer(tokenStore);
+
+// First start: issue an admin token so the API is usable; shown only once
+if (tokenStore.size === 0) {
+    const { token } = tokenStore.issue({ name: 'bootstrap-admin', role: 'admin' });
+    console.log('No API tokens found - issued bootstrap admin token (shown once, store it now):');
+    console.log(`  ${token}`);
+}
+
+// Dashboard service registry; entries with a healthCheck are probed in the
+// background
+const serviceRegistry = new ServiceRegistry({ file: config.services.registryFile });
+const healthProber = new HealthProber(serviceRegistry, {
+    intervalMs: config.services.probeIntervalMs,
+    timeoutMs: config.services.probeTimeoutMs
+});
+healthProber.start();
+
+// NinjaScript templates: the built-in set, overridden or extended by files in
+// templates.customDir; both are re-scanned on each request
+const templateCatalog = new TemplateCatalog({
+    dirs: [path.join(__dirname, 'ninjascript-templates'), config.templates.customDir]
+});
+const templateOptions = {
+    requireRole,
+    targetDirs: config.templates.targetDirs,
+    workspace: config.paths.workspace,
+    srcDir: config.paths.src,
+    backupDir: config.templates.backupDir
+};
+
+const workspaceFiles = new WorkspaceFiles({
+    roots: config.files.roots,
+    writable: config.files.writable,
+    maxFileBytes: config.files.maxFileBytes,
+    maxTreeEntries: config.files.maxTreeEntries
+});
+
+// Dockerfile.<runtime> templates of the service images, re-read per request
+const dockerTemplates = new DockerTemplates({
+    sets: config.docker.templateSets,
+    scanDirs: config.docker.scanDirs,
+    root: path.join(__dirname, '..')
+});
+
+// Compose stacks: the base file plus each overlay, and the service template
+const composeFiles = new ComposeFiles({
+    files: config.compose.files,
+    template: config.compose.template,
+    root: path.join(__dirname, '..')
+});
+
+// Static checks of src that need no dotnet; also run first by build jobs
+// when lint.beforeBuild is set or a request asks for it
+const sourceLinter = new SourceLinter({
+    srcDir: config.paths.src,
+    ignore: config.lint.ignore,
+    maxFileBytes: config.lint.maxFileBytes
+});
+
+// NinjaTrader 8 import checks on every package zip and uploaded ones
+const packageValidator = new PackageValidator({
+    maxEntryBytes: config.packageValidation.maxEntryBytes,
+    maxPackageBytes: config.packageValidation.maxPackageBytes,
+    allowedExtensions: config.packageValidation.allowedExtensions,
+    allowedDirs: config.packageValidation.allowedDirs,
+    providedAssemblies: config.packageValidation.providedAssemblies
+});
 
-app.use(cors());
+// Where clean/build/package run: local dotnet, the build image in Docker or
+// stub playback. Containers see the workspace, worktrees and packages folder
+// at the same paths as the API, so nested directories are not mounted twice.
+const executorMounts = [config.paths.workspace, config.git.worktreeDir, config.paths.packages]
+    .filter((dir, index, dirs) => !dirs.some((other, otherIndex) => (dir === other
+        ? otherIndex < index
+        : dir.startsWith(`${other}${path.sep}`))));
+const executors = new ExecutorRegistry({
+    ...config.executors,
+    docker: { ...config.executors.docker, mounts: executorMounts }
+});
+
+// Futures/forex/equities session calendar for /api/trading-status
+const marketCalendar = new MarketCalendar(config.markets);
+
+// CORS allow-list; '*' allows every origin
+app.use(cors({ origin: corsOriginFromAllowList(config.cors.allowedOrigins) }));
+// File saves carry whole source files; JSON escaping can double their size
+app.use('/api/files', express.json({ limit: config.files.maxFileBytes * 2 + 64 * 1024 }));
 app.use(express.json());
 
-// Documentation route
-app.use('/api/docs', docsRouter);
+// Prometheus metrics; the HTTP middleware goes first so every route is timed
+const { registry: metricsRegistry, httpMiddleware } = createBuildApiMetrics({
+    jobQueue,
+    artifactStore,
+    packagesDir: config.paths.packages
+});
+if (config.metrics.enabled) {
+    app.use(httpMiddleware);
+    const metricsAuth = config.metrics.requireAuth ? [requireRole('viewer')] : [];
+    app.get('/metrics', ...metricsAuth, async (req, res) => {
+        res.type(METRICS_CONTENT_TYPE).send(await metricsRegistry.render());
+    });
+}
+
+// Documentation route - the router lives in the project sources and is optional
+if (config.docsRouter && fs.existsSync(config.docsRouter)) {
+    try {
+        app.use('/api/docs', requireRole('viewer'), require(config.docsRouter));
+    } catch (error) {
+        console.error(`Failed to load docs router ${config.docsRouter}:`, error.message);
+    }
+} else {
+    console.log(`Docs router not found at ${config.docsRouter} - /api/docs disabled`);
+}
+
+// Effective configuration, secrets redacted
+app.get('/api/config', requireRole('admin'), (req, res) => {
+    res.json(redactConfig(config));
+});
+
+// Token management
+app.use('/api/tokens', requireRole('admin'), createTokensRouter(tokenStore));
+
+// Webhook subscriptions and delivery log
+app.use('/api/webhooks', requireRole('admin'), createWebhooksRouter(webhookStore, webhookDispatcher));
+
+// Identity and role of the calling token
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+    res.json(req.auth);
+});
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', requireRole('viewer'), (req, res) => {
     res.json({ 
         status: 'ok', 
         timestamp: new Date().toISOString(),
-        workspace: '/workspace',
-        project: 'FKS NinjaTrader Development'
+        workspace: config.paths.workspace,
+        project: `${config.project.name} NinjaTrader Development`
     });
 });
 
-// FKS Trading Systems Services API
-app.get('/api/services', (req, res) => {
-    const fksServices = [
-        {
-            id: 'ninja-trader',
-            name: 'NinjaTrader Platform',
-            icon: '📊',
-            description: 'Professional trading platform for futures and forex',
-            url: 'https://ninjatrader.com',
-            category: 'Trading Platforms',
-            status: 'active'
-        },
-        {
-            id: 'fks_addon',
-            name: 'FKS Trading Addon',
-            icon: '⚡',
-            description: 'Custom FKS trading algorithms and strategies',
-            url: '/build',
-            category: 'Trading Tools',
-            status: 'development'
-        },
-        {
-            id: 'market-data',
-            name: 'Market Data Feed',
-            icon: '📈',
-            description: 'Real-time market data and analytics',
-            url: '/api/market-data',
-            category: 'Data Services',
-            status: 'active'
-        },
-        {
-            id: 'backtesting',
-            name: 'Strategy Backtesting',
-            icon: '🔄',
-            description: 'Historical strategy performance analysis',
-            url: '/api/backtest',
-            category: 'Analysis Tools',
-            status: 'active'
-        },
-        {
-            id: 'portfolio-mgmt',
-            name: 'Portfolio Management',
-            icon: '💼',
-            description: 'Track and manage trading portfolios',
-            url: '/api/portfolio',
-            category: 'Trading Tools',
-            status: 'active'
-        },
-        {
-            id: 'risk-management',
-            name: 'Risk Management',
-            icon: '🛡️',
-            description: 'Risk assessment and management tools',
-            url: '/api/risk',
-            category: 'Risk Tools',
-            status: 'active'
-        },
-        {
-            id: 'trade-journal',
-            name: 'Trade Journal',
-            icon: '📝',
-            description: 'Track and analyze trading performance',
-            url: '/api/journal',
-            category: 'Analysis Tools',
-            status: 'active'
-        },
-        {
-            id: 'alerts',
-            name: 'Trading Alerts',
-            icon: '🔔',
-            description: 'Real-time trading signals and notifications',
-            url: '/api/alerts',
-            category: 'Notifications',
-            status: 'active'
-        },
-        {
-            id: 'documentation',
-            name: 'FKS Documentation',
-            icon: '📚',
-            description: 'API documentation and trading guides',
-            url: '/docs',
-            category: 'Documentation',
-            status: 'active'
-        },
-        {
-            id: 'system-health',
-            name: 'System Health',
-            icon: '🏥',
-            description: 'Monitor FKS system status and performance',
-            url: '/api/health',
-            category: 'System Monitoring',
-            status: 'active'
-        }
-    ];
-    
-    res.json(fksServices);
-});
+// FKS Trading Systems Services API - registry entries with live health
+app.use('/api/services', requireRole('viewer'), createServicesRouter(serviceRegistry, healthProber, { requireRole }));
 
-// Get services by category
-app.get('/api/services/category/:category', (req, res) => {
-    const category = req.params.category;
-    const fksServices = [
-        // Same services array as above
-    ];
-    
-    const filteredServices = fksServices.filter(service => 
-        service.category.toLowerCase().includes(category.toLowerCase())
-    );
-    
-    res.json(filteredServices);
-});
+// Trading system status: market sessions from the configured calendar, host
+// and process metrics, and the most recent build and package results
+app.get('/api/trading-status', requireRole('viewer'), async (req, res) => {
+    const system = await collectSystemMetrics({ diskPath: config.paths.workspace });
+    const sessions = marketCalendar.statusAll();
+    const lastBuild = lastFinishedJob(['build']);
+    const lastPackage = lastFinishedJob(['package', 'external-dll-package']);
+    const latestAddon = artifactStore.latest({ kind: 'addon' });
+
+    const warnings = [];
+    if (system.disk && system.disk.usedPercent >= 90) {
+        warnings.push(`Workspace volume is ${system.disk.usedPercent}% full`);
+    }
+    if (system.host.memory.usedPercent >= 95) {
+        warnings.push(`Host memory is ${system.host.memory.usedPercent}% used`);
+    }
 
-// Trading system status endpoint
-app.get('/api/trading-status', (req, res) => {
     res.json({
-        status: 'operational',
+        status: warnings.length > 0 ? 'degraded' : 'operational',
+        warnings,
         timestamp: new Date().toISOString(),
-        markets: {
-            futures: 'open',
-            forex: 'open',
-            stocks: 'closed'
-        },
+        markets: Object.fromEntries(Object.entries(sessions).map(([name, session]) => [name, session.state])),
+        sessions,
         fks_addon: {
-            status: 'running',
-            version: '1.0.0',
-            last_build: new Date().toISOString()
+            status: lastBuild ? lastBuild.status : 'never built',
+            version: latestAddon ? latestAddon.version : readProjectVersion(config.project.csproj).version,
+            last_build: lastBuild ? lastBuild.finishedAt : null
+        },
+        builds: {
+            lastBuild,
+            lastPackage
         },
         performance: {
-            cpu: '15%',
-            memory: '2.1GB',
-            uptime: '24h 15m'
-        }
+            cpu: system.host.cpuPercent === null ? null : `${system.host.cpuPercent}%`,
+            memory: formatBytes(system.host.memory.usedBytes),
+            disk_free: system.disk && system.disk.availableBytes !== undefined ? formatBytes(system.disk.availableBytes) : null,
+            uptime: formatDuration(system.process.uptimeSec)
+        },
+        system
     });
 });
 
-// Build project endpoint - updated for your SDK-style project
-app.post('/api/build', (req, res) => {
-    console.log('Build request received');
-    
+// Most recent finished job of the given types, without its output
+function lastFinishedJob(types) {
+    const job = jobQueue.list({ limit: config.jobs.historyLimit })
+        .find(candidate => types.includes(candidate.type) && TERMINAL_STATES.includes(candidate.status));
+    if (!job) return null;
+
+    const result = jobQueue.view(job.id).result || {};
+    return {
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        requestedBy: job.params ? job.params.requestedBy : undefined,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        durationMs: job.durationMs,
+        error: job.error || result.error || null,
+        summary: result.summary,
+        version: result.version,
+        artifactId: result.artifact ? result.artifact.id : undefined
+    };
+}
+
+// dotnet commands run in the project directory against the configured csproj
+const projectDir = path.dirname(config.project.csproj);
+const csprojName = path.basename(config.project.csproj);
+const addonPrefix = `${config.project.name.toLowerCase()}_addon`;
+
+// Allow-lists a /api/build request is checked against
+const buildMatrixOptions = {
+    workspace: config.paths.workspace,
+    projects: config.build.projects,
+    configurations: config.build.configurations,
+    allowedProperties: config.build.allowedProperties,
+    defaultProject: config.project.csproj,
+    defaultConfiguration: config.project.configuration,
+    maxCells: config.build.maxCells
+};
+
+// Resolve the optional ref of a build/package request to a commit, so the
+// job builds exactly what was asked for even if the branch moves meanwhile.
+// Returns { ref, commit } or null; throws GitError.
+async function resolveSource(ref) {
+    if (ref === undefined || ref === null || ref === '') return null;
+    return { ref, commit: await gitWorkspace.resolveRef(ref) };
+}
+
+// Run fn with the tree a job builds: a fresh worktree of params.source when
+// the request named a ref, otherwise the workspace itself. fn receives
+// { map(path), git } - map() turns a configured workspace path into the same
+// path in the tree being built, git is the commit metadata for the manifest.
+async function withSource({ job, params, log, stage }, fn) {
+    if (!params.source) {
+        return fn({ map: target => target, git: await gitWorkspace.describeWorkingTree() });
+    }
+
+    const { ref, commit } = params.source;
+    stage('checkout', { ref, commit });
+    log(`Checking out ${ref} (${commit}) into a worktree`);
+    const worktree = await gitWorkspace.checkout(commit, job.id);
+    try {
+        const git = { ...(await gitWorkspace.describe(commit)), ref, branch: null, dirty: false, worktree: true };
+        return await fn({ map: target => gitWorkspace.mapPath(worktree, target), git });
+    } finally {
+        await gitWorkspace.release(worktree);
+    }
+}
+
+// Build job - clean then build every cell of the matrix, one after another;
+// runs under the workspace lock. Jobs queued before matrices existed have no
+// params.matrix and build the default project/configuration.
+async function runBuildJob({ job, params, signal, log, stage }) {
+    return withSource({ job, params, log, stage }, source => runBuildMatrix(params, source, { job, signal, log, stage }));
+}
+
+async function runBuildMatrix(params, source, { job, signal, log, stage }) {
+    const { cells, failFast } = params.matrix || planBuildMatrix({}, buildMatrixOptions);
+    const executor = executors.resolve(params.executor);
+    const startedAt = Date.now();
+    const results = [];
+    // Worktree builds leave no outputs behind to reuse, so they bypass the
+    // cache, as do played-back builds that compiled nothing
+    const useCache = config.build.cache.enabled && !params.source && !executor.simulated;
+
+    // Lint errors fail every cell up front rather than minutes into dotnet
+    let lint;
+    if (params.lint) {
+        stage('lint');
+        lint = sourceLinter.lint({ root: source.map(config.paths.src) });
+        lint.findings.forEach(finding => log(formatFinding(finding)));
+        log(`Lint: ${lint.summary.errors} errors, ${lint.summary.warnings} warnings in ${lint.files} files`);
+        if (lint.summary.errors > 0) {
+            cells.forEach(cell => results.push({
+                ...describeCell(cell),
+                success: false,
+                skipped: true,
+                error: `Not built: lint found ${lint.summary.errors} errors`
+            }));
+            const result = buildMatrixResult(results, { startedAt, source: source.git });
+            return {
+                ...result,
+                message: `Build stopped: lint found ${lint.summary.errors} errors - see lint.findings`,
+                executor: executor.name,
+                lint
+            };
+        }
+    }
+
+    for (const cell of cells) {
+        const failedBefore = results.some(result => !result.success);
+        if (signal.aborted || (failFast && failedBefore)) {
+            results.push({
+                ...describeCell(cell),
+                success: false,
+                skipped: true,
+                error: signal.aborted ? 'Build cancelled' : 'Skipped after an earlier cell failed (failFast)'
+            });
+            continue;
+        }
+
+        // Inputs are hashed again here, under the workspace lock, since they
+        // may have changed while the job was queued
+        const check = useCache ? await checkBuildCache(cell, { force: params.force === true }) : null;
+        if (check && check.hit) {
+            log(`=== [${cell.id}/${cells.length}] ${cellLabel(cell)}: inputs unchanged, reusing job ${check.entry.jobId} ===`);
+            results.push(cachedCellResult(cell, check.entry));
+            continue;
+        }
+
+        const result = await runBuildCell(cell, cells.length, { executor, source, signal, log, stage });
+        if (check) {
+            result.cache = { hit: false, reason: check.reason, changed: check.changed };
+            if (result.success) {
+                const { stdout, stderr, ...cached } = result;
+                await buildCache.record(cell, check.fingerprint, { result: cached, stdout, jobId: job.id });
+            }
+        }
+        results.push(result);
+    }
+
+    const result = { ...buildMatrixResult(results, { startedAt, source: source.git }), executor: executor.name };
+    return lint ? { ...result, lint } : result;
+}
+
+// Hash a cell's inputs and look them up. Returns { hit, entry?, reason?,
+// changed?, fingerprint }; with force the lookup is skipped.
+async function checkBuildCache(cell, { force = false } = {}) {
+    const fingerprint = await buildCache.computeKey(cell);
+    const lookup = force ? { hit: false, reason: 'forced' } : await buildCache.lookup(cell, fingerprint);
+    console.log(`Build cache ${lookup.hit ? 'hit' : 'miss'} (${cellLabel(cell)}): ${lookup.hit
+        ? `inputs unchanged since job ${lookup.entry.jobId}`
+        : lookup.reason}`);
+    return { ...lookup, fingerprint };
+}
+
+function cachedCellResult(cell, entry) {
+    return {
+        ...entry.result,
+        ...describeCell(cell),
+        cached: true,
+        cache: { hit: true, jobId: entry.jobId, builtAt: entry.builtAt, outputs: entry.outputs },
+        durationMs: 0,
+        stdout: '',
+        stderr: ''
+    };
+}
+
+// Overall result of a matrix from its cell results
+function buildMatrixResult(results, { startedAt, source }) {
+    const failed = results.filter(result => !result.success && !result.skipped).length;
+    const skipped = results.filter(result => result.skipped).length;
+    const countOf = key => results.reduce((sum, result) => sum + (result.diagnosticSummary ? result.diagnosticSummary[key] : 0), 0);
+    const summary = {
+        total: results.length,
+        succeeded: results.length - failed - skipped,
+        failed,
+        skipped,
+        errors: countOf('errors'),
+        warnings: countOf('warnings'),
+        durationMs: Date.now() - startedAt
+    };
+    const success = failed === 0 && skipped === 0;
+    const cached = results.length > 0 && results.every(result => result.cached);
+    summary.cached = results.filter(result => result.cached).length;
+
+    console.log(`Build matrix finished: ${summary.succeeded}/${summary.total} cells succeeded, ${summary.cached} from cache`);
+    return {
+        // A single cell keeps the flat shape earlier clients read
+        ...(results.length === 1 ? results[0] : {}),
+        success,
+        cached,
+        message: success
+            ? (cached ? 'Build inputs unchanged - returning the cached result' : 'Build completed successfully')
+            : `Build failed in ${failed + skipped} of ${summary.total} cells - check output for details`,
+        timestamp: new Date().toISOString(),
+        source,
+        cells: results,
+        summary
+    };
+}
+
+function describeCell(cell) {
+    return {
+        cell: cell.id,
+        project: path.relative(config.paths.workspace, cell.project),
+        configuration: cell.configuration,
+        properties: cell.properties
+    };
+}
+
+async function runBuildCell(cell, total, { executor, source, signal, log, stage }) {
+    const details = { ...describeCell(cell), of: total };
+    const cwd = path.dirname(source.map(cell.project));
+    const csproj = path.basename(cell.project);
+    const propertyArgs = msbuildPropertyArgs(cell.properties);
+    const startedAt = Date.now();
+
+    log(`=== [${cell.id}/${total}] ${cellLabel(cell)} (${executor.name}) ===`);
+
     // Clean previous builds first
-    const cleanCommand = 'cd /workspace/src && dotnet clean FKS.csproj -c Release';
-    
-    exec(cleanCommand, (cleanError) => {
-        if (cleanError) {
-            console.log('Clean warning (non-critical):', cleanError.message);
+    stage('clean', details);
+    const clean = await executor.run('clean', ['clean', csproj, '-c', cell.configuration, ...propertyArgs], {
+        cwd,
+        timeout: config.timeouts.cleanMs,
+        signal,
+        onLine: log
+    });
+
+    if (clean.cancelled) {
+        return { ...describeCell(cell), success: false, error: 'Build cancelled during clean' };
+    }
+    if (clean.error) {
+        console.log('Clean warning (non-critical):', clean.error.message);
+    }
+
+    // Main build command
+    stage('build', details);
+    const buildArgs = ['build', csproj, '-c', cell.configuration, '--verbosity', 'normal', ...propertyArgs];
+    const { error, stdout, stderr, truncated } = await executor.run('build', buildArgs, {
+        cwd,
+        maxBuffer: config.buffers.maxOutputBytes,
+        timeout: config.timeouts.buildMs,
+        signal,
+        onLine: log
+    });
+
+    const cellResult = {
+        ...describeCell(cell),
+        executor: executor.name,
+        success: !error,
+        durationMs: Date.now() - startedAt,
+        stdout: stdout || '',
+        stderr: stderr || '',
+        outputTruncated: truncated,
+        ...analyzeBuildOutput(stdout, stderr, source.map(config.paths.src))
+    };
+
+    if (error) {
+        console.error(`Build error (${cellLabel(cell)}):`, error.message);
+        cellResult.error = error.message;
+    } else {
+        console.log(`Build completed successfully (${cellLabel(cell)})`);
+    }
+    return cellResult;
+}
+
+// Package job - uses your PackageNT8 target exactly
+async function runPackageJob({ job, params, signal, log, stage }) {
+    return withSource({ job, params, log, stage }, source => packageAddon(job, params, source, { signal, log, stage }));
+}
+
+async function packageAddon(job, params, source, { signal, log, stage }) {
+    const executor = executors.resolve(params.executor);
+
+    // Use your custom PackageNT8 target
+    stage('PackageNT8', { executor: executor.name });
+    const packageArgs = ['build', csprojName, '--target', 'PackageNT8', '-c', config.project.configuration];
+    const { error, stdout, stderr } = await executor.run('package', packageArgs, {
+        cwd: source.map(projectDir),
+        maxBuffer: config.buffers.maxOutputBytes,
+        timeout: config.timeouts.packageMs,
+        signal,
+        onLine: log
+    });
+
+    if (error) {
+        console.error('Package build error:', error.message);
+        return {
+            success: false,
+            error: error.message,
+            executor: executor.name,
+            stderr: stderr,
+            ...analyzeBuildOutput(stdout, stderr, source.map(config.paths.src))
+        };
+    }
+
+    // Your PackageNT8 target creates structure in ../packages/temp
+    const tempPackageDir = source.map(config.project.packageTempDir);
+    const zipPath = path.join(config.paths.packages, `.${addonPrefix}-${job.id}.zip`);
+    // Legacy fixed path, still refreshed for clients of /api/download/:filename
+    const latestZipPath = path.join(config.paths.packages, `${addonPrefix}-final.zip`);
+    const { version, source: versionSource } = resolvePackageVersion(params, source);
+
+    if (!fs.existsSync(tempPackageDir)) {
+        return {
+            success: false,
+            error: 'PackageNT8 target did not create expected temp directory',
+            expectedPath: tempPackageDir,
+            availableDirs: fs.existsSync(config.paths.packages) ?
+                fs.readdirSync(config.paths.packages) : ['packages directory not found']
+        };
+    }
+
+    // Also copy the compiled DLL to the package
+    const dllSource = source.map(config.project.dll);
+    const dllDest = path.join(tempPackageDir, 'bin', path.basename(dllSource));
+
+    if (fs.existsSync(dllSource)) {
+        // Ensure bin directory exists in package
+        const binDir = path.join(tempPackageDir, 'bin');
+        if (!fs.existsSync(binDir)) {
+            fs.mkdirSync(binDir, { recursive: true });
         }
-        
-        // Main build command
-        const buildCommand = 'cd /workspace/src && dotnet build FKS.csproj -c Release --verbosity normal';
-        
-        exec(buildCommand, { 
-            maxBuffer: 2 * 1024 * 1024, // 2MB buffer
-            timeout: 120000 // 2 minute timeout
-        }, (error, stdout, stderr) => {
-            const buildOutput = {
-                success: !error,
-                stdout: stdout || '',
-                stderr: stderr || '',
-                timestamp: new Date().toISOString()
+        fs.copyFileSync(dllSource, dllDest);
+        console.log('Copied compiled DLL to package');
+    }
+
+    try {
+        stage('zip');
+        // A worktree build leaves the workspace's packages folder untouched
+        fs.mkdirSync(config.paths.packages, { recursive: true });
+        const size = await createZip(tempPackageDir, zipPath);
+        console.log(`Final package created: ${size} bytes`);
+
+        // Played-back builds leave no DLL unless their recording wrote one
+        const assembly = fs.existsSync(dllSource) || !executor.simulated ? path.basename(dllSource) : undefined;
+        const validation = validatePackageZip(zipPath, { assembly }, { log, stage });
+        if (!validation.valid && config.packageValidation.enforce) {
+            fs.rmSync(zipPath, { force: true });
+            return {
+                success: false,
+                error: `Package failed validation: ${validation.summary.errors} errors - see validation.findings`,
+                validation,
+                files: getPackageContents(tempPackageDir)
             };
-            
-            if (error) {
-                console.error('Build error:', error.message);
-                buildOutput.error = error.message;
-                buildOutput.message = 'Build failed - check output for details';
-                
-                // Try to provide helpful error analysis
-                if (stderr.includes('CS0234')) {
-                    buildOutput.suggestion = 'Missing assembly references detected. Check project references.';
-                } else if (stderr.includes('CS0104')) {
-                    buildOutput.suggestion = 'Ambiguous type references detected. Check for duplicate class definitions.';
-                } else if (stderr.includes('global using')) {
-                    buildOutput.suggestion = '.NET Framework 4.8 does not support global using. Use regular using statements.';
-                }
-                
-                return res.status(500).json(buildOutput);
+        }
+
+        const artifact = await artifactStore.save({
+            kind: 'addon',
+            version,
+            fileName: `${addonPrefix}-${version}.zip`,
+            zipPath,
+            sourceDir: tempPackageDir,
+            buildLog: `${stdout}\n${stderr}`,
+            git: source.git,
+            jobId: job.id,
+            metadata: {
+                versionSource,
+                channel: CHANNELS[0],
+                promotions: [],
+                executor: executor.name,
+                validation: validationSummary(validation)
             }
-            
-            buildOutput.message = 'Build completed successfully';
-            console.log('Build completed successfully');
-            res.json(buildOutput);
         });
+        fs.copyFileSync(artifactStore.packagePath(artifact), latestZipPath);
+        log(`Stored artifact ${artifact.id} (${size} bytes)`);
+
+        return {
+            success: true,
+            message: 'Addon packaged successfully using PackageNT8 target',
+            path: artifactStore.packagePath(artifact),
+            size,
+            version,
+            git: source.git,
+            executor: executor.name,
+            artifact: artifactSummary(artifact),
+            validation,
+            buildOutput: stdout,
+            files: getPackageContents(tempPackageDir)
+        };
+    } catch (zipError) {
+        console.error('ZIP creation error:', zipError);
+        return { success: false, error: zipError.message };
+    }
+}
+
+// External DLL package job - PackageNT8 via msbuild, zipped with the zip tool
+async function runExternalDllPackageJob({ job, params, signal, log, stage }) {
+    return withSource({ job, params, log, stage }, source => packageExternalDll(job, params, source, { signal, log, stage }));
+}
+
+async function packageExternalDll(job, params, source, { signal, log, stage }) {
+    const { version, source: versionSource } = resolvePackageVersion(params, source);
+    const zipPath = path.join(config.paths.packages, `.external-dll-${job.id}.zip`);
+    const tempPackageDir = source.map(config.project.packageTempDir);
+    const timeout = config.timeouts.externalPackageMs;
+    const executor = executors.resolve(params.executor);
+
+    stage('PackageNT8', { executor: executor.name });
+    const msbuildArgs = ['msbuild', csprojName, '-t:PackageNT8', `-p:Configuration=${config.project.configuration}`];
+    const packageRun = await executor.run('package', msbuildArgs, { cwd: source.map(projectDir), timeout, signal, onLine: log });
+
+    let zipRun = null;
+    if (!packageRun.error) {
+        stage('zip');
+        fs.mkdirSync(config.paths.packages, { recursive: true });
+        // Entries keep the temp folder name as their top-level directory
+        const zipArgs = ['-r', zipPath, `${path.basename(tempPackageDir)}/`];
+        zipRun = await runProcess('zip', zipArgs, { cwd: path.dirname(tempPackageDir), timeout, signal, onLine: log });
+    }
+
+    const error = packageRun.error || zipRun.error;
+    const stdout = packageRun.stdout + (zipRun ? zipRun.stdout : '');
+    const stderr = packageRun.stderr + (zipRun ? zipRun.stderr : '');
+
+    if (error) {
+        console.error('Package build failed:', error.message);
+        return {
+            success: false,
+            error: 'Failed to build package',
+            details: error.message,
+            executor: executor.name,
+            stdout: stdout,
+            stderr: stderr
+        };
+    }
+
+    // Reported but never enforced: this zip keeps the temp folder as its
+    // top-level directory by design, which NinjaTrader's importer rejects
+    const validation = validatePackageZip(zipPath, {}, { log, stage });
+
+    const artifact = await artifactStore.save({
+        kind: 'external-dll',
+        version,
+        fileName: `${config.project.name}_TradingSystem_v${version}_External_DLL.zip`,
+        zipPath,
+        sourceDir: tempPackageDir,
+        buildLog: `${stdout}\n${stderr}`,
+        git: source.git,
+        jobId: job.id,
+        metadata: {
+            versionSource,
+            channel: CHANNELS[0],
+            promotions: [],
+            executor: executor.name,
+            validation: validationSummary(validation)
+        }
+    });
+
+    return { success: true, stdout, version, git: source.git, executor: executor.name, artifact: artifactSummary(artifact), validation };
+}
+
+// NinjaTrader import checks on a finished zip; findings go to the job log
+function validatePackageZip(zipPath, options, { log, stage }) {
+    stage('validate');
+    const validation = packageValidator.validateFile(zipPath, options);
+    validation.findings.forEach(finding => log(formatPackageFinding(finding)));
+    log(`Package validation ${validation.valid ? 'passed' : 'failed'}: ${validation.summary.errors} errors, ${validation.summary.warnings} warnings`);
+    return validation;
+}
+
+// What an artifact manifest keeps of a validation report
+function validationSummary(validation) {
+    return {
+        valid: validation.valid,
+        errors: validation.summary.errors,
+        warnings: validation.summary.warnings,
+        byCode: validation.summary.byCode
+    };
+}
+
+// Version from the request when given, otherwise from the csproj of the
+// tree being packaged (a ref's own csproj for ref builds)
+function resolvePackageVersion(params, source) {
+    if (params.version) {
+        return { version: params.version, source: 'request' };
+    }
+    return readProjectVersion(source.map(config.project.csproj));
+}
+
+function artifactSummary(manifest) {
+    return {
+        id: manifest.id,
+        kind: manifest.kind,
+        version: manifest.version,
+        createdAt: manifest.createdAt,
+        size: manifest.package.size,
+        sha256: manifest.package.sha256,
+        channel: manifest.channel || CHANNELS[0],
+        downloadUrl: `/api/artifacts/${manifest.id}/download`
+    };
+}
+
+// Structured compiler diagnostics plus fix suggestions from the catalog.
+// dotnet writes most diagnostics to stdout, so both streams are parsed;
+// file paths are reported relative to baseDir (the source tree built).
+function analyzeBuildOutput(stdout, stderr, baseDir = config.paths.src) {
+    const diagnostics = parseDiagnostics(`${stdout || ''}\n${stderr || ''}`, { baseDir });
+    const suggestions = suggestionCatalog.suggest(diagnostics.filter(d => d.severity === 'error'));
+
+    return {
+        diagnostics,
+        diagnosticSummary: summarizeDiagnostics(diagnostics),
+        suggestions,
+        // First suggestion as a plain string, as earlier clients expect
+        suggestion: suggestions.length > 0 ? suggestions[0].suggestion : undefined
+    };
+}
+
+// Zip a directory; resolves with the archive size in bytes
+function createZip(sourceDir, zipPath) {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(zipPath);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        output.on('close', () => resolve(archive.pointer()));
+        output.on('error', reject);
+        archive.on('error', reject);
+
+        archive.pipe(output);
+
+        // Add the entire directory to ZIP
+        archive.directory(sourceDir, false);
+        archive.finalize();
+    });
+}
+
+// Anything that writes to the workspace takes the workspace lock, so only one
+// clean/build/package runs at a time
+jobQueue.define('build', { handler: runBuildJob, lock: 'workspace' });
+jobQueue.define('package', { handler: runPackageJob, lock: 'workspace' });
+jobQueue.define('external-dll-package', { handler: runExternalDllPackageJob, lock: 'workspace' });
+
+app.use('/api/jobs', requireRole('viewer'), createJobsRouter(jobQueue, { requireRole }));
+app.use('/api/artifacts', requireRole('viewer'), createArtifactsRouter(artifactStore, releaseChannels, { requireRole }));
+
+// Current build in each release channel
+app.get('/api/channels', requireRole('viewer'), (req, res) => {
+    const kind = req.query.kind || 'addon';
+    res.json({
+        kind,
+        channels: releaseChannels.channels.map(channel => {
+            const artifact = releaseChannels.latest(channel, { kind });
+            return { channel, latest: artifact ? artifactSummary(artifact) : null };
+        })
     });
 });
 
-// Package addon endpoint - uses your PackageNT8 target exactly
-app.post('/api/package', async (req, res) => {
-    console.log('Package request received');
-    
+// Commits between two packaged builds. ?from= and ?to= are artifact ids or
+// versions (newest artifact of that version); to defaults to the newest
+// artifact and from to the one packaged before it. ?kind= defaults to addon.
+app.get('/api/changelog', requireRole('viewer'), async (req, res) => {
+    const { from, to, error } = findArtifactPair(req.query);
+    if (error) {
+        return res.status(404).json({ success: false, error });
+    }
+
+    const missing = [from, to].filter(manifest => !manifest.git || !manifest.git.commit).map(manifest => manifest.id);
+    if (missing.length > 0) {
+        return res.status(409).json({ success: false, error: `No commit recorded for ${missing.join(', ')}`, code: 'no_commit' });
+    }
+
+    const describe = manifest => ({ ...artifactSummary(manifest), git: manifest.git });
     try {
-        // Use your custom PackageNT8 target
-        const packageCommand = 'cd /workspace/src && dotnet build FKS.csproj --target PackageNT8 -c Release';
-        
-        exec(packageCommand, { 
-            maxBuffer: 2 * 1024 * 1024,
-            timeout: 120000
-        }, async (error, stdout, stderr) => {
-            if (error) {
-                console.error('Package build error:', error.message);
-                return res.status(500).json({ 
-                    success: false, 
-                    error: error.message,
-                    stderr: stderr
-                });
+        const { commits, truncated } = await gitWorkspace.log(from.git.commit, to.git.commit);
+        res.json({ from: describe(from), to: describe(to), count: commits.length, truncated, commits });
+    } catch (error) {
+        if (!error.status) throw error;
+        res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Artifact by id, or the newest of that version
+function findArtifact(value, kind) {
+    if (typeof value !== 'string' || !value) return null;
+    return artifactStore.get(value) || artifactStore.list({ kind }).find(manifest => manifest.version === value) || null;
+}
+
+// Two stored packages to compare: { from, to } or { error }. to defaults to
+// the newest artifact of kind (addon) and from to the one packaged before it.
+function findArtifactPair({ from: fromRef, to: toRef, kind = 'addon' }) {
+    const artifacts = artifactStore.list({ kind });
+    const to = toRef ? findArtifact(toRef, kind) : artifacts[0];
+    if (!to) {
+        return { error: toRef ? `No ${kind} package ${toRef}` : `No ${kind} packages yet` };
+    }
+    const from = fromRef
+        ? findArtifact(fromRef, kind)
+        : artifacts.slice(artifacts.findIndex(manifest => manifest.id === to.id) + 1)[0];
+    if (!from) {
+        return { error: fromRef ? `No ${kind} package ${fromRef}` : `No ${kind} package before ${to.id} to compare with` };
+    }
+    return { from, to };
+}
+
+// A stored artifact as one side of a package diff
+function artifactPackage(manifest) {
+    const packagePath = artifactStore.packagePath(manifest);
+    if (!fs.existsSync(packagePath)) {
+        throw new PackageDiffError(`Artifact package file is missing: ${manifest.id}`, 410, { id: manifest.id });
+    }
+    return {
+        name: manifest.package.fileName,
+        buffer: fs.readFileSync(packagePath),
+        meta: { artifactId: manifest.id, version: manifest.version, createdAt: manifest.createdAt }
+    };
+}
+
+function sendPackageDiff(res, from, to, query) {
+    const context = query.context !== undefined ? Number(query.context) : 3;
+    if (!Number.isInteger(context) || context < 0 || context > 100) {
+        return res.status(400).json({ success: false, error: 'context must be a whole number of lines from 0 to 100' });
+    }
+    try {
+        const report = diffPackages(from(), to(), { context, maxEntryBytes: config.packageValidation.maxEntryBytes });
+        const { added, removed, changed } = report.summary;
+        console.log(`Package diff ${report.from.name} -> ${report.to.name}: ${added} added, ${removed} removed, ${changed} changed`);
+        res.json({ success: true, ...report });
+    } catch (error) {
+        if (!error.status) throw error;
+        res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+}
+
+// What changed between two stored packages: added, removed and changed
+// entries with sizes and hashes, unified diffs of source and XML entries,
+// and assembly versions and public types of DLLs. ?from= and ?to= are
+// artifact ids or versions, defaulting as for /api/changelog; ?kind=
+// defaults to addon; ?context= sets the diff context lines (3)
+app.get('/api/package/diff', requireRole('viewer'), (req, res) => {
+    const { from, to, error } = findArtifactPair(req.query);
+    if (error) {
+        return res.status(404).json({ success: false, error });
+    }
+    sendPackageDiff(res, () => artifactPackage(from), () => artifactPackage(to), req.query);
+});
+
+// The same for uploaded zips: multipart/form-data with "from" and "to"
+// parts, each a zip file or the id/version of a stored artifact
+app.post('/api/package/diff', requireRole('builder'), express.raw({
+    type: 'multipart/form-data',
+    limit: config.packageValidation.maxPackageBytes * 2 + 64 * 1024
+}), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Send multipart/form-data with from and to parts (zip files or artifact ids)',
+            code: 'missing_package'
+        });
+    }
+
+    let form;
+    try {
+        // The fetch Request parses multipart bodies without another dependency
+        form = await new Request('http://localhost/', {
+            method: 'POST',
+            headers: { 'Content-Type': req.get('Content-Type') },
+            body: req.body
+        }).formData();
+    } catch (error) {
+        return res.status(400).json({ success: false, error: `Unreadable multipart body: ${error.message}`, code: 'invalid_form' });
+    }
+
+    const sides = {};
+    for (const side of ['from', 'to']) {
+        const part = form.get(side);
+        if (part === null) {
+            return res.status(400).json({ success: false, error: `Missing ${side} part`, code: 'missing_package' });
+        }
+        if (typeof part === 'string') {
+            const manifest = findArtifact(part, req.query.kind || 'addon');
+            if (!manifest) {
+                return res.status(404).json({ success: false, error: `No ${req.query.kind || 'addon'} package ${part}` });
             }
-            
-            try {
-                // Your PackageNT8 target creates structure in ../packages/temp
-                const tempPackageDir = '/workspace/packages/temp';
-                const zipPath = '/workspace/packages/fks_addon-final.zip';
-                
-                if (!fs.existsSync(tempPackageDir)) {
-                    return res.status(500).json({
-                        success: false,
-                        error: 'PackageNT8 target did not create expected temp directory',
-                        expectedPath: tempPackageDir,
-                        availableDirs: fs.existsSync('/workspace/packages') ? 
-                            fs.readdirSync('/workspace/packages') : ['packages directory not found']
-                    });
-                }
-                
-                // Also copy the compiled DLL to the package
-                const dllSource = '/workspace/bin/Release/FKS.dll';
-                const dllDest = path.join(tempPackageDir, 'bin', 'FKS.dll');
-                
-                if (fs.existsSync(dllSource)) {
-                    // Ensure bin directory exists in package
-                    const binDir = path.join(tempPackageDir, 'bin');
-                    if (!fs.existsSync(binDir)) {
-                        fs.mkdirSync(binDir, { recursive: true });
-                    }
-                    fs.copyFileSync(dllSource, dllDest);
-                    console.log('Copied compiled DLL to package');
-                }
-                
-                const output = fs.createWriteStream(zipPath);
-                const archive = archiver('zip', { zlib: { level: 9 } });
-
-                output.on('close', () => {
-                    console.log(`Final package created: ${archive.pointer()} bytes`);
-                    res.json({ 
-                        success: true, 
-                        message: 'Addon packaged successfully using PackageNT8 target',
-                        path: zipPath,
-                        size: archive.pointer(),
-                        buildOutput: stdout,
-                        files: getPackageContents(tempPackageDir)
-                    });
-                });
-
-                output.on('error', (err) => {
-                    console.error('Output stream error:', err);
-                    res.status(500).json({ success: false, error: err.message });
-                });
-
-                archive.on('error', (err) => {
-                    console.error('Archive error:', err);
-                    res.status(500).json({ success: false, error: err.message });
-                });
-
-                archive.pipe(output);
-                
-                // Add the entire temp package directory to ZIP
-                archive.directory(tempPackageDir, false);
-                
-                await archive.finalize();
-                
-            } catch (zipError) {
-                console.error('ZIP creation error:', zipError);
-                res.status(500).json({ success: false, error: zipError.message });
+            sides[side] = () => artifactPackage(manifest);
+        } else {
+            const buffer = Buffer.from(await part.arrayBuffer());
+            sides[side] = () => ({ name: path.basename(part.name || `${side}.zip`), buffer, meta: { upload: true } });
+        }
+    }
+    sendPackageDiff(res, sides.from, sides.to, req.query);
+});
+
+// Queue a build and return its job ID; poll /api/jobs/:id for the result.
+// Optional body: { projects, configurations, properties, failFast } - every
+// combination is built as one cell of a matrix (see lib/build-matrix.js) -
+// { ref } to build a branch, tag or commit in its own worktree, and
+// { force: true } to build even when the cache holds a result for the inputs,
+// { executor } to run on another enabled executor (GET /api/executors)
+app.post('/api/build', requireRole('builder'), async (req, res) => {
+    console.log('Build request received');
+
+    let source;
+    try {
+        source = await resolveSource((req.body || {}).ref);
+    } catch (error) {
+        if (!error.status) throw error;
+        return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+
+    let matrix;
+    try {
+        matrix = planBuildMatrix(req.body || {}, buildMatrixOptions);
+    } catch (error) {
+        if (!(error instanceof BuildRequestError)) throw error;
+        return res.status(400).json({
+            success: false,
+            error: error.message,
+            issues: error.issues,
+            allowed: {
+                projects: config.build.projects.map(project => path.relative(config.paths.workspace, project)),
+                configurations: config.build.configurations,
+                properties: config.build.allowedProperties
             }
         });
-        
+    }
+
+    // { lint: true|false } overrides lint.beforeBuild for this build
+    const { lint = config.lint.beforeBuild } = req.body || {};
+    if (typeof lint !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'lint must be true or false' });
+    }
+
+    let executor;
+    try {
+        executor = executors.resolve((req.body || {}).executor);
     } catch (error) {
-        console.error('Package error:', error);
-        res.status(500).json({ success: false, error: error.message });
+        if (!error.status) throw error;
+        return res.status(error.status).json({ success: false, error: error.message, ...error.details });
     }
+
+    // When every cell's inputs match its last successful build, answer from
+    // the cache instead of queueing; { force: true } always builds
+    const force = (req.body || {}).force === true;
+    let cache = { hit: false, reason: force ? 'forced' : 'disabled' };
+    if (config.build.cache.enabled && !source && !force && !executor.simulated) {
+        const startedAt = Date.now();
+        const checks = [];
+        for (const cell of matrix.cells) {
+            checks.push({ cell, ...(await checkBuildCache(cell)) });
+        }
+        if (checks.every(check => check.hit)) {
+            const results = checks.map(check => cachedCellResult(check.cell, check.entry));
+            return res.json(buildMatrixResult(results, { startedAt, source: await gitWorkspace.describeWorkingTree() }));
+        }
+        cache = {
+            hit: false,
+            cells: checks.map(check => ({ cell: check.cell.id, hit: check.hit, reason: check.reason, changed: check.changed }))
+        };
+    } else if (source) {
+        cache = { hit: false, reason: 'builds of a ref are not cached' };
+    } else if (executor.simulated) {
+        cache = { hit: false, reason: `${executor.name} builds are not cached` };
+    }
+
+    const job = jobQueue.enqueue('build', { matrix, source, force, lint, executor: executor.name, requestedBy: req.auth.name });
+    res.status(202).json({
+        success: true,
+        message: matrix.cells.length === 1 ? 'Build queued' : `Build matrix of ${matrix.cells.length} cells queued`,
+        cells: matrix.cells.map(cellLabel),
+        source,
+        executor: executor.name,
+        cached: false,
+        cache,
+        jobId: job.id,
+        status: job.status,
+        position: job.position,
+        statusUrl: `/api/jobs/${job.id}`,
+        streamUrl: `/api/jobs/${job.id}/stream`
+    });
+});
+
+// Stream build/package output as Server-Sent Events. Follows ?jobId= when
+// given, otherwise the active build or package job, otherwise the latest one.
+app.get('/api/build/stream', requireRole('viewer'), (req, res) => {
+    let jobId = req.query.jobId;
+
+    if (!jobId) {
+        const buildJobs = jobQueue.list({ limit: 500 })
+            .filter(job => ['build', 'package', 'external-dll-package'].includes(job.type));
+        const active = buildJobs.filter(job => ['running', 'queued'].includes(job.status));
+        // Lists are newest first, so the oldest active job is the one running now
+        const target = active.length > 0 ? active[active.length - 1] : buildJobs[0];
+        jobId = target ? target.id : null;
+    }
+
+    if (!jobId || !jobQueue.get(jobId)) {
+        return res.status(404).json({ success: false, error: 'No build job to stream' });
+    }
+
+    streamJob(jobQueue, jobId, req, res);
+});
+
+// Fix suggestion catalog used for build diagnostics
+app.get('/api/build/suggestions', requireRole('viewer'), (req, res) => {
+    res.json(suggestionCatalog.toJSON());
+});
+
+// Executors builds and packages can run on; pick one per request with { executor }
+app.get('/api/executors', requireRole('viewer'), (req, res) => {
+    res.json(executors.toJSON());
+});
+
+// Pre-build static checks: duplicate types, C# past 7.3, namespaces, using regions
+app.use('/api/lint', requireRole('viewer'), createLintRouter(sourceLinter));
+
+// Queue a package run and return its job ID. Optional body: { version, ref, executor }
+app.post('/api/package', requireRole('builder'), async (req, res) => {
+    console.log('Package request received');
+
+    const { version, ref } = req.body || {};
+    if (version !== undefined && !isValidVersion(version)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid version: ${version}. Expected e.g. 1.2.3 or 1.2.3-beta.1`
+        });
+    }
+
+    let source;
+    let executor;
+    try {
+        executor = executors.resolve((req.body || {}).executor);
+        source = await resolveSource(ref);
+    } catch (error) {
+        if (!error.status) throw error;
+        return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+
+    const job = jobQueue.enqueue('package', { version, source, executor: executor.name, requestedBy: req.auth.name });
+    res.status(202).json({
+        success: true,
+        message: 'Package queued',
+        source,
+        executor: executor.name,
+        jobId: job.id,
+        status: job.status,
+        position: job.position,
+        statusUrl: `/api/jobs/${job.id}`,
+        streamUrl: `/api/jobs/${job.id}/stream`
+    });
+});
+
+// Check a NinjaTrader 8 import package without building anything. Send the
+// zip as the body (Content-Type: application/zip) or { artifactId } as JSON
+// to check a stored artifact. Query: ?assembly=FKS.dll requires that DLL
+app.post('/api/package/validate', requireRole('builder'), express.raw({
+    type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    limit: config.packageValidation.maxPackageBytes
+}), (req, res) => {
+    const assembly = typeof req.query.assembly === 'string' && req.query.assembly ? req.query.assembly : undefined;
+
+    let report;
+    if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+        const name = typeof req.query.name === 'string' && req.query.name ? path.basename(req.query.name) : 'upload.zip';
+        report = packageValidator.validate(req.body, { name, assembly });
+    } else if (req.body && typeof req.body.artifactId === 'string') {
+        const artifact = artifactStore.get(req.body.artifactId);
+        if (!artifact) {
+            return res.status(404).json({ success: false, error: `Artifact not found: ${req.body.artifactId}` });
+        }
+        report = packageValidator.validateFile(artifactStore.packagePath(artifact), { name: artifact.package.fileName, assembly });
+        report.artifactId = artifact.id;
+    } else {
+        return res.status(400).json({
+            success: false,
+            error: 'Send a zip as the request body (Content-Type: application/zip) or { artifactId } as JSON',
+            code: 'missing_package'
+        });
+    }
+
+    console.log(`Package validation of ${report.name}: ${report.summary.errors} errors, ${report.summary.warnings} warnings`);
+    res.json({ success: report.valid, ...report });
 });
 
 // Helper function to get package contents
@@ -330,111 +1197,107 @@ function getPackageContents(dir) {
     return contents;
 }
 
-// Download endpoint - updated paths
-app.get('/api/download/:filename', (req, res) => {
-    const filename = req.params.filename;
-    let filePath;
+// Latest package explicitly promoted to a channel (default stable), so
+// trading machines never pick up an unpromoted build.
+// Query: ?channel=dev|beta|stable&kind=addon|external-dll
+app.get('/api/download/latest', requireRole('viewer'), (req, res) => {
+    const channel = req.query.channel || 'stable';
+    const kind = req.query.kind || 'addon';
     
-    // Try multiple possible locations
-    const possiblePaths = [
-        path.join('/workspace/packages', filename),
-        path.join('/workspace/packages', 'fks_addon-final.zip'),
-        path.join('/workspace/bin/Release', filename)
-    ];
-    
-    for (const testPath of possiblePaths) {
-        if (fs.existsSync(testPath)) {
-            filePath = testPath;
-            break;
-        }
+    if (!releaseChannels.isChannel(channel)) {
+        return res.status(400).json({
+            error: `Unknown channel: ${channel}`,
+            channels: releaseChannels.channels
+        });
     }
     
-    console.log(`Download request for: ${filename}, found at: ${filePath}`);
-    
-    if (filePath && fs.existsSync(filePath)) {
-        res.download(filePath, 'fks_trading-system.zip');
-    } else {
-        res.status(404).json({ 
-            error: 'File not found',
-            searched: possiblePaths,
-            available: fs.existsSync('/workspace/packages') ? 
-                fs.readdirSync('/workspace/packages') : ['packages directory not found']
+    const artifact = releaseChannels.latest(channel, { kind });
+    if (!artifact) {
+        return res.status(404).json({
+            error: `No ${kind} package has been promoted to ${channel}`
         });
     }
+    
+    console.log(`Latest ${channel} download: ${artifact.id}`);
+    res.set({
+        'ETag': `"${artifact.package.sha256}"`,
+        'X-Artifact-Id': artifact.id,
+        'X-Artifact-Version': artifact.version,
+        'X-Artifact-Channel': channel
+    });
+    res.download(artifactStore.packagePath(artifact), artifact.package.fileName, { etag: false }, downloadCallback(res));
 });
 
-// Download external DLL package endpoint
-app.get('/api/download/external-dll', (req, res) => {
+// Download external DLL package endpoint - latest stored external-dll artifact
+app.get('/api/download/external-dll', requireRole('viewer'), (req, res) => {
     console.log('External DLL package download requested');
     
-    const packagePath = path.join('/workspace', 'packages', 'FKS_TradingSystem_v1.0.0_External_DLL.zip');
+    const sendArtifact = (artifact) => {
+        const packagePath = artifactStore.packagePath(artifact);
+        const fileSizeInMB = (artifact.package.size / (1024 * 1024)).toFixed(2);
+        console.log(`Sending ${artifact.id}, package size: ${fileSizeInMB}MB`);
+        
+        res.download(packagePath, artifact.package.fileName, downloadCallback(res, {
+            onSent: () => console.log('Package download completed successfully')
+        }));
+    };
     
     // Check if package exists
-    if (!fs.existsSync(packagePath)) {
-        console.log('Package not found, attempting to build...');
-        
-        // Build the package first
-        const buildCommand = 'cd /workspace/src && dotnet msbuild FKS.csproj -t:PackageNT8 -p:Configuration=Release && cd ../packages && zip -r FKS_TradingSystem_v1.0.0_External_DLL.zip temp/';
-        
-        exec(buildCommand, { timeout: 60000 }, (error, stdout, stderr) => {
-            if (error) {
-                console.error('Package build failed:', error.message);
-                return res.status(500).json({ 
-                    error: 'Failed to build package', 
-                    details: error.message,
-                    stdout: stdout,
-                    stderr: stderr
-                });
-            }
-            
-            // Try to send the file again
-            if (fs.existsSync(packagePath)) {
-                console.log('Package built successfully, sending file...');
-                res.download(packagePath, 'FKS_TradingSystem_v1.0.0_External_DLL.zip', (err) => {
-                    if (err) {
-                        console.error('Download error:', err);
-                        res.status(500).json({ error: 'Download failed' });
-                    }
-                });
-            } else {
-                res.status(500).json({ error: 'Package build completed but file not found' });
-            }
-        });
-    } else {
-        console.log('Sending existing package file...');
-        
-        // Send file info
-        const stats = fs.statSync(packagePath);
-        const fileSizeInBytes = stats.size;
-        const fileSizeInMB = (fileSizeInBytes / (1024 * 1024)).toFixed(2);
-        
-        console.log(`Package size: ${fileSizeInMB}MB`);
-        
-        res.download(packagePath, 'FKS_TradingSystem_v1.0.0_External_DLL.zip', (err) => {
-            if (err) {
-                console.error('Download error:', err);
-                res.status(500).json({ error: 'Download failed' });
-            } else {
-                console.log('Package download completed successfully');
-            }
+    const existing = artifactStore.latest({ kind: 'external-dll' });
+    if (existing) {
+        return sendArtifact(existing);
+    }
+    
+    // Building is a builder action even when reached through a download
+    if (!hasRole(req.auth.role, 'builder')) {
+        return res.status(404).json({
+            error: 'Package not found. A builder must build the package first.'
         });
     }
+    
+    console.log('Package not found, attempting to build...');
+    
+    // Build the package first, waiting behind any running workspace job
+    const job = jobQueue.enqueue('external-dll-package', { requestedBy: req.auth.name });
+    jobQueue.wait(job.id).then((finished) => {
+        if (finished.status !== 'succeeded') {
+            const result = finished.result || {};
+            return res.status(500).json({
+                error: result.error || 'Failed to build package',
+                details: result.details || finished.error,
+                stdout: result.stdout,
+                stderr: result.stderr,
+                jobId: finished.id
+            });
+        }
+        
+        const artifact = artifactStore.get(finished.result.artifact.id);
+        if (artifact) {
+            console.log('Package built successfully, sending file...');
+            sendArtifact(artifact);
+        } else {
+            res.status(500).json({ error: 'Package build completed but file not found' });
+        }
+    });
 });
 
 // Get package info endpoint
-app.get('/api/package/info', (req, res) => {
-    const packagePath = path.join('/workspace', 'packages', 'FKS_TradingSystem_v1.0.0_External_DLL.zip');
+app.get('/api/package/info', requireRole('viewer'), (req, res) => {
+    const artifact = artifactStore.latest({ kind: 'external-dll' });
     
-    if (fs.existsSync(packagePath)) {
-        const stats = fs.statSync(packagePath);
+    if (artifact) {
         res.json({
             exists: true,
-            name: 'FKS_TradingSystem_v1.0.0_External_DLL.zip',
-            size: stats.size,
-            sizeMB: (stats.size / (1024 * 1024)).toFixed(2),
-            modified: stats.mtime,
+            id: artifact.id,
+            name: artifact.package.fileName,
+            version: artifact.version,
+            size: artifact.package.size,
+            sizeMB: (artifact.package.size / (1024 * 1024)).toFixed(2),
+            sha256: artifact.package.sha256,
+            modified: artifact.createdAt,
             type: 'External Development DLL Package',
-            description: 'Complete FKS Trading Systems package for external development and NinjaTrader 8 import'
+            description: 'Complete FKS Trading Systems package for external development and NinjaTrader 8 import',
+            downloadUrl: `/api/artifacts/${artifact.id}/download`
         });
     } else {
         res.json({
@@ -444,248 +1307,67 @@ app.get('/api/package/info', (req, res) => {
     }
 });
 
-// List available files endpoint
-app.get('/api/files', (req, res) => {
-    const dirs = ['/workspace/packages', '/workspace/bin', '/workspace/src'];
-    const files = {};
-    
-    dirs.forEach(dir => {
-        if (fs.existsSync(dir)) {
-            files[dir] = fs.readdirSync(dir, { withFileTypes: true })
-                .map(dirent => ({
-                    name: dirent.name,
-                    isDirectory: dirent.isDirectory(),
-                    size: dirent.isFile() ? fs.statSync(path.join(dir, dirent.name)).size : null
-                }));
-        } else {
-            files[dir] = ['Directory does not exist'];
-        }
-    });
-    
-    res.json(files);
-});
-
-// Template generation endpoint - updated for your file structure
-app.post('/api/template', (req, res) => {
-    const { type, fileName } = req.body;
-    
-    console.log(`Template request: ${type} -> ${fileName}`);
-    
-    const templates = {
-        'ai_indicator': generateAIIndicatorTemplate(fileName),
-        'basic_indicator': generateBasicIndicatorTemplate(fileName),
-        'main_strategy': generateStrategyTemplate(fileName),
-        'addon': generateAddonTemplate(fileName)
-    };
+// Download endpoint - a named file from packages/ or bin/Release/.
+// Registered after the fixed /api/download/* routes so it cannot shadow them.
+app.get('/api/download/:filename', requireRole('viewer'), (req, res) => {
+    // Only plain file names; no path segments
+    const filename = path.basename(req.params.filename);
+    let filePath;
     
-    const templateContent = templates[type];
-    if (!templateContent) {
-        return res.status(400).json({ 
-            success: false, 
-            error: `Unknown template type: ${type}` 
-        });
-    }
+    // Try multiple possible locations
+    const possiblePaths = [
+        path.join(config.paths.packages, filename),
+        path.join(path.dirname(config.project.dll), filename)
+    ];
     
-    // Corrected: Determine target directory based on actual structure
-    let targetDir;
-    if (fileName.includes('Indicator') || type.includes('indicator')) {
-        targetDir = '/workspace/src/Indicators';
-    } else if (fileName.includes('Strategy') || type.includes('strategy')) {
-        targetDir = '/workspace/src/Strategies';
-    } else {
-        // AddOns go in the AddOns subdirectory
-        targetDir = '/workspace/src/AddOns';
+    for (const testPath of possiblePaths) {
+        if (fs.existsSync(testPath) && fs.statSync(testPath).isFile()) {
+            filePath = testPath;
+            break;
+        }
     }
     
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(targetDir)) {
-        fs.mkdirSync(targetDir, { recursive: true });
-    }
+    console.log(`Download request for: ${filename}, found at: ${filePath}`);
     
-    // Write template file
-    const filePath = path.join(targetDir, fileName);
-    try {
-        fs.writeFileSync(filePath, templateContent);
-        res.json({ 
-            success: true, 
-            message: `Template ${fileName} created successfully`,
-            path: filePath,
-            directory: targetDir
-        });
-    } catch (writeError) {
-        res.status(500).json({
-            success: false,
-            error: `Failed to write template: ${writeError.message}`
+    if (filePath) {
+        res.download(filePath, filename);
+    } else {
+        res.status(404).json({ 
+            error: 'File not found',
+            searched: possiblePaths,
+            available: fs.existsSync(config.paths.packages) ? 
+                fs.readdirSync(config.paths.packages) : ['packages directory not found'],
+            hint: 'Use /api/download/latest?channel=stable for the current promoted package'
         });
     }
 });
 
-// Template generation functions (updated for your structure)
-function generateAIIndicatorTemplate(fileName) {
-    const className = path.basename(fileName, '.cs');
-    return `#region Using declarations
-using System;
-using System.ComponentModel;
-using System.ComponentModel.DataAnnotations;
-using System.Windows.Media;
-using NinjaTrader.Cbi;
-using NinjaTrader.Gui;
-using NinjaTrader.Gui.Chart;
-using NinjaTrader.Data;
-using NinjaTrader.NinjaScript;
-using NinjaTrader.Core.FloatingPoint;
-using NinjaTrader.NinjaScript.DrawingTools;
-#endregion
-
-namespace NinjaTrader.NinjaScript.Indicators
-{
-    public class ${className} : Indicator
-    {
-        protected override void OnStateChange()
-        {
-            if (State == State.SetDefaults)
-            {
-                Description = @"${className} - AI-powered indicator";
-                Name = "${className}";
-                Calculate = Calculate.OnBarClose;
-                IsOverlay = false;
-                DisplayInDataBox = true;
-                DrawOnPricePanel = false;
-                PaintPriceMarkers = true;
-                ScaleJustification = NinjaTrader.Gui.Chart.ScaleJustification.Right;
-                IsSuspendedWhileInactive = true;
-                
-                AddPlot(Brushes.Orange, "Signal");
-            }
-        }
-
-        protected override void OnBarUpdate()
-        {
-            if (CurrentBar < 20) return;
-            
-            // AI logic here
-            Value[0] = Close[0];
-        }
-
-        [Browsable(false)]
-        [XmlIgnore]
-        public Series<double> Signal => Values[0];
-    }
-}`;
-}
-
-function generateBasicIndicatorTemplate(fileName) {
-    const className = path.basename(fileName, '.cs');
-    return `#region Using declarations
-using System;
-using System.ComponentModel;
-using System.Windows.Media;
-using NinjaTrader.NinjaScript;
-using NinjaTrader.NinjaScript.Indicators;
-#endregion
-
-namespace NinjaTrader.NinjaScript.Indicators
-{
-    public class ${className} : Indicator
-    {
-        protected override void OnStateChange()
-        {
-            if (State == State.SetDefaults)
-            {
-                Description = @"${className} - Basic indicator";
-                Name = "${className}";
-                Calculate = Calculate.OnBarClose;
-                IsOverlay = false;
-                
-                AddPlot(Brushes.Blue, "Value");
-            }
-        }
-
-        protected override void OnBarUpdate()
-        {
-            Value[0] = Close[0];
-        }
+// Workspace source browser and editor
+app.use('/api/files', requireRole('viewer'), createFilesRouter(workspaceFiles, { requireRole }));
 
-        [Browsable(false)]
-        public Series<double> Value => Values[0];
-    }
-}`;
-}
+// NinjaScript template catalog - built-in templates plus the team's own
+app.use('/api/templates', requireRole('viewer'), createTemplatesRouter(templateCatalog, templateOptions));
 
-function generateStrategyTemplate(fileName) {
-    const className = path.basename(fileName, '.cs');
-    return `#region Using declarations
-using System;
-using System.ComponentModel;
-using NinjaTrader.Cbi;
-using NinjaTrader.NinjaScript;
-using NinjaTrader.NinjaScript.Strategies;
-#endregion
-
-namespace NinjaTrader.NinjaScript.Strategies
-{
-    public class ${className} : Strategy
-    {
-        protected override void OnStateChange()
-        {
-            if (State == State.SetDefaults)
-            {
-                Description = @"${className} - FKS Trading Strategy";
-                Name = "${className}";
-                Calculate = Calculate.OnBarClose;
-                EntriesPerDirection = 1;
-                EntryHandling = EntryHandling.AllEntries;
-                IsExitOnSessionCloseStrategy = true;
-                ExitOnSessionCloseSeconds = 30;
-                IsFillLimitOnTouch = false;
-                MaximumBarsLookBack = MaximumBarsLookBack.TwoHundredFiftySix;
-                OrderFillResolution = OrderFillResolution.Standard;
-                Slippage = 0;
-                StartBehavior = StartBehavior.WaitUntilFlat;
-                TimeInForce = TimeInForce.Gtc;
-                TraceOrders = false;
-                RealtimeErrorHandling = RealtimeErrorHandling.StopCancelClose;
-                StopTargetHandling = StopTargetHandling.PerEntryExecution;
-                BarsRequiredToTrade = 20;
-                IsInstantiatedOnEachOptimizationIteration = true;
-            }
-        }
+// Dockerfile templates: list, render with build args, audit
+app.use('/api/docker', requireRole('viewer'), createDockerRouter(dockerTemplates));
 
-        protected override void OnBarUpdate()
-        {
-            if (CurrentBar < BarsRequiredToTrade) return;
-            
-            // Strategy logic here
-        }
-    }
-}`;
-}
+// Compose file lint and service stanza generation
+app.use('/api/compose', requireRole('viewer'), createComposeRouter(composeFiles));
 
-function generateAddonTemplate(fileName) {
-    const className = path.basename(fileName, '.cs');
-    return `#region Using declarations
-using System;
-using System.ComponentModel;
-using NinjaTrader.NinjaScript;
-#endregion
-
-namespace NinjaTrader.NinjaScript.AddOns
-{
-    public class ${className}
-    {
-        public ${className}()
-        {
-            // AddOn initialization
-        }
-    }
-}`;
-}
+// Template generation endpoint. Body: { type, fileName, variables?, dryRun? },
+// where type is a template id from GET /api/templates, or { fileName, spec }
+// to generate an indicator/strategy from a declarative spec
+app.post('/api/template', requireRole('admin'), (req, res) => {
+    const { type, ...body } = req.body || {};
+    handleTemplateRequest(templateCatalog, templateOptions, type, body, res);
+});
 
-app.listen(PORT, '0.0.0.0', () => {
+app.listen(PORT, config.host, () => {
     console.log(`🚀 FKS Build API running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/api/health`);
-    console.log(`Project structure: /workspace/src/FKS.csproj`);
-    console.log(`Output: /workspace/packages/`);
+    console.log(`Project structure: ${config.project.csproj}`);
+    console.log(`Output: ${config.paths.packages}/`);
+    console.log(`Config: ${config.meta.sources.join(' < ')}`);
 });
 
 process.on('SIGINT', () => {
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'manifest.json';
+const BUILD_LOG_FILE = 'build.log';
+
+// SHA-256 of a file, streamed so large packages are not read into memory
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// Every file under dir with its size and hash, paths relative to dir
+async function listFilesWithHashes(dir) {
+    const files = [];
+
+    async function walk(currentDir) {
+        const items = fs.readdirSync(currentDir, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const item of items) {
+            const fullPath = path.join(currentDir, item.name);
+            if (item.isDirectory()) {
+                await walk(fullPath);
+            } else if (item.isFile()) {
+                files.push({
+                    path: path.relative(dir, fullPath).split(path.sep).join('/'),
+                    size: fs.statSync(fullPath).size,
+                    sha256: await hashFile(fullPath)
+                });
+            }
+        }
+    }
+
+    if (dir && fs.existsSync(dir)) {
+        await walk(dir);
+    }
+    return files;
+}
+
+// Compact UTC timestamp for artifact ids: 20240131T154500123Z
+function timestampId(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace('.', '');
+}
+
+// Versioned package storage. Each artifact lives in its own directory under
+// rootDir with the zip, a manifest.json (per-file sizes and SHA-256, source
+// commit with author, tags and dirty state, version) and the build log.
+// Retention prunes by count and age but always keeps the newest minKeep
+// artifacts of each kind, plus any ids returned by the optional protect()
+// callback.
+class ArtifactStore {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir;
+        this.protect = options.protect || null;
+        this.retention = {
+            maxCount: 50,
+            maxAgeDays: 30,
+            minKeep: 3,
+            ...(options.retention || {})
+        };
+    }
+
+    _dir(id) {
+        return path.join(this.rootDir, id);
+    }
+
+    // Store a finished package. zipPath is moved into the store.
+    async save({ kind, version, fileName, zipPath, sourceDir, buildLog, git, jobId, metadata = {} }) {
+        const createdAt = new Date();
+        const id = `${kind}-${version}-${timestampId(createdAt)}`;
+        const dir = this._dir(id);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const storedZip = path.join(dir, fileName);
+        try {
+            fs.renameSync(zipPath, storedZip);
+        } catch (error) {
+            // Different volume - fall back to copy
+            fs.copyFileSync(zipPath, storedZip);
+            fs.unlinkSync(zipPath);
+        }
+
+        fs.writeFileSync(path.join(dir, BUILD_LOG_FILE), buildLog || '');
+
+        const manifest = {
+            id,
+            kind,
+            version,
+            createdAt: createdAt.toISOString(),
+            jobId: jobId || null,
+            git: git || { commit: null },
+            package: {
+                fileName,
+                size: fs.statSync(storedZip).size,
+                sha256: await hashFile(storedZip)
+            },
+            files: await listFilesWithHashes(sourceDir),
+            buildLog: BUILD_LOG_FILE,
+            ...metadata
+        };
+
+        this._writeManifest(id, manifest);
+        console.log(`Stored artifact ${id} (${manifest.package.size} bytes)`);
+
+        const pruned = this.prune();
+        if (pruned.length > 0) {
+            console.log(`Retention pruned ${pruned.length} artifact(s): ${pruned.join(', ')}`);
+        }
+
+        return manifest;
+    }
+
+    _writeManifest(id, manifest) {
+        const manifestPath = path.join(this._dir(id), MANIFEST_FILE);
+        const tempPath = `${manifestPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+        fs.renameSync(tempPath, manifestPath);
+    }
+
+    // Rewrite a manifest; mutator receives the current manifest and returns the new one
+    update(id, mutator) {
+        const manifest = this.get(id);
+        if (!manifest) return null;
+
+        const updated = mutator(manifest);
+        this._writeManifest(id, { ...updated, id });
+        return this.get(id);
+    }
+
+    get(id) {
+        // Ids are directory names; reject anything that could leave rootDir
+        if (!/^[A-Za-z0-9._-]+$/.test(id) || id.startsWith('.')) return null;
+
+        const manifestPath = path.join(this._dir(id), MANIFEST_FILE);
+        if (!fs.existsSync(manifestPath)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        } catch (error) {
+            console.error(`Unreadable manifest for artifact ${id}:`, error.message);
+            return null;
+        }
+    }
+
+    // Manifests newest first, optionally filtered by kind and version
+    list({ kind, version } = {}) {
+        if (!fs.existsSync(this.rootDir)) return [];
+
+        return fs.readdirSync(this.rootDir, { withFileTypes: true })
+            .filter(item => item.isDirectory())
+            .map(item => this.get(item.name))
+            .filter(Boolean)
+            .filter(manifest => !kind || manifest.kind === kind)
+            .filter(manifest => !version || manifest.version === version)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    latest(filter = {}) {
+        return this.list(filter)[0] || null;
+    }
+
+    packagePath(manifest) {
+        return path.join(this._dir(manifest.id), manifest.package.fileName);
+    }
+
+    buildLogPath(manifest) {
+        return path.join(this._dir(manifest.id), manifest.buildLog || BUILD_LOG_FILE);
+    }
+
+    remove(id) {
+        if (!this.get(id)) return false;
+        fs.rmSync(this._dir(id), { recursive: true, force: true });
+        return true;
+    }
+
+    // Apply the retention policy; returns the ids that were removed
+    prune() {
+        const { maxCount, maxAgeDays, minKeep } = this.retention;
+        const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+        const keptPerKind = new Map();
+        const protectedIds = this.protect ? this.protect() : new Set();
+        const removed = [];
+
+        this.list().forEach((manifest, index) => {
+            if (protectedIds.has(manifest.id)) return;
+
+            const kept = keptPerKind.get(manifest.kind) || 0;
+            const tooMany = maxCount > 0 && index >= maxCount;
+            const tooOld = cutoff !== null && Date.parse(manifest.createdAt) < cutoff;
+
+            if (kept >= minKeep && (tooMany || tooOld)) {
+                this.remove(manifest.id);
+                removed.push(manifest.id);
+            } else {
+                keptPerKind.set(manifest.kind, kept + 1);
+            }
+        });
+
+        return removed;
+    }
+}
+
+module.exports = {
+    ArtifactStore,
+    hashFile,
+    listFilesWithHashes
+};
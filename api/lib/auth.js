@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Roles in increasing order of privilege; each role includes the ones before it
+const ROLES = ['viewer', 'builder', 'admin'];
+
+// How often lastUsedAt updates are flushed to disk
+const USAGE_FLUSH_MS = 60000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hasRole(actual, required) {
+    return ROLES.indexOf(actual) >= ROLES.indexOf(required);
+}
+
+// API tokens stored as SHA-256 hashes in a JSON file. The plaintext token is
+// only returned once, from issue().
+class TokenStore {
+    constructor(options = {}) {
+        this.file = options.file;
+        this.tokens = [];
+        this.lastFlush = 0;
+        this._load();
+    }
+
+    _load() {
+        if (!this.file || !fs.existsSync(this.file)) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.tokens = saved.tokens || [];
+        } catch (error) {
+            // Refuse to start with an unreadable token file rather than silently
+            // dropping every token
+            throw new Error(`Cannot read token file ${this.file}: ${error.message}`);
+        }
+    }
+
+    _save() {
+        if (!this.file) return;
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ tokens: this.tokens }, null, 2), { mode: 0o600 });
+        fs.renameSync(tempFile, this.file);
+        this.lastFlush = Date.now();
+    }
+
+    get size() {
+        return this.tokens.length;
+    }
+
+    // Create a token; returns { token, record } - the plaintext is not stored
+    issue({ name, role, expiresInDays } = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Token name is required');
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error(`Invalid role: ${role}. Expected one of ${ROLES.join(', ')}`);
+        }
+
+        const token = `fks_${crypto.randomBytes(32).toString('base64url')}`;
+        const now = new Date();
+        const record = {
+            id: crypto.randomUUID(),
+            name: name.trim(),
+            role,
+            hash: hashToken(token),
+            prefix: token.slice(0, 8),
+            createdAt: now.toISOString(),
+            expiresAt: expiresInDays > 0
+                ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+                : null,
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        this.tokens.push(record);
+        this._save();
+        return { token, record: publicRecord(record) };
+    }
+
+    // Active token record for a plaintext token, or null
+    verify(token) {
+        if (!token) return null;
+
+        const hash = Buffer.from(hashToken(token), 'hex');
+        const record = this.tokens.find(candidate =>
+            crypto.timingSafeEqual(Buffer.from(candidate.hash, 'hex'), hash)
+        );
+
+        if (!record || record.revokedAt) return null;
+        if (record.expiresAt && Date.parse(record.expiresAt) < Date.now()) return null;
+
+        record.lastUsedAt = new Date().toISOString();
+        if (Date.now() - this.lastFlush > USAGE_FLUSH_MS) {
+            this._save();
+        }
+        return record;
+    }
+
+    revoke(id) {
+        const record = this.tokens.find(candidate => candidate.id === id);
+        if (!record) return null;
+
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+            this._save();
+        }
+        return publicRecord(record);
+    }
+
+    list() {
+        return this.tokens.map(publicRecord);
+    }
+}
+
+function publicRecord(record) {
+    const { hash, ...rest } = record;
+    return rest;
+}
+
+// Token from Authorization: Bearer, X-API-Token, or ?access_token= on GET
+// requests (EventSource and plain download links cannot set headers)
+function extractToken(req) {
+    const header = req.get('Authorization');
+    if (header && /^Bearer\s+/i.test(header)) {
+        return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    if (req.get('X-API-Token')) {
+        return req.get('X-API-Token').trim();
+    }
+    if (req.method === 'GET' && typeof req.query.access_token === 'string') {
+        return req.query.access_token;
+    }
+    return null;
+}
+
+// Middleware factory: requireRole('builder') rejects requests without a
+// valid token of at least that role. Sets req.auth to the token record.
+function createAuthorizer(tokenStore) {
+    return function requireRole(role) {
+        return (req, res, next) => {
+            if (!req.auth) {
+                const record = tokenStore.verify(extractToken(req));
+                if (!record) {
+                    res.set('WWW-Authenticate', 'Bearer realm="fks-build-api"');
+                    return res.status(401).json({ success: false, error: 'Authentication required' });
+                }
+                req.auth = { id: record.id, name: record.name, role: record.role };
+            }
+
+            if (!hasRole(req.auth.role, role)) {
+                return res.status(403).json({
+                    success: false,
+                    error: `This action requires the ${role} role`,
+                    role: req.auth.role
+                });
+            }
+            next();
+        };
+    };
+}
+
+// CORS origin callback for an allow-list; '*' allows any origin. Requests
+// without an Origin header (curl, server-to-server) are always allowed.
+function corsOriginFromAllowList(allowList) {
+    return (origin, callback) => {
+        if (!origin || allowList.includes('*') || allowList.includes(origin)) {
+            return callback(null, true);
+        }
+        callback(null, false);
+    };
+}
+
+module.exports = {
+    ROLES,
+    TokenStore,
+    hasRole,
+    extractToken,
+    createAuthorizer,
+    corsOriginFromAllowList
+};
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { hashFile } = require('./artifact-store');
+const { isInside } = require('./path-guard');
+
+// Content-hash cache for build cells. A cell's key covers everything MSBuild
+// reads for it: source files next to the project, the csproj itself, the
+// Directory.Build.* / global.json / NuGet.config files above it, referenced
+// assemblies (HintPath), referenced projects (recursively), the
+// configuration and the MSBuild properties. The last successful result per
+// cell (project + configuration + properties) is kept with the hashes of the
+// assemblies it produced, so a hit is only reported while those outputs are
+// still on disk unchanged.
+
+// Extensions that can affect a compile; everything else next to the project is ignored
+const INPUT_EXTENSIONS = new Set(['.cs', '.csproj', '.props', '.targets', '.resx', '.xaml', '.settings',
+    '.config', '.snk', '.manifest', '.resources']);
+const SKIPPED_DIRS = new Set(['bin', 'obj', 'node_modules', 'packages', 'TestResults']);
+const ANCESTOR_FILES = ['Directory.Build.props', 'Directory.Build.targets', 'Directory.Packages.props',
+    'global.json', 'NuGet.config', 'nuget.config'];
+// "  FKS -> /workspace/bin/Release/FKS.dll" in dotnet build output
+const OUTPUT_LINE_PATTERN = /^\s*[^\s].* -> (.+\.(?:dll|exe))\s*$/gm;
+// Changed inputs listed when explaining a miss
+const MAX_CHANGED_REPORTED = 20;
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Project directory files that feed the build, skipping output folders
+function listProjectFiles(dir) {
+    const files = [];
+    const walk = (current) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(current, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        entries.forEach(entry => {
+            const entryPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                if (!entry.name.startsWith('.') && !SKIPPED_DIRS.has(entry.name)) walk(entryPath);
+            } else if (entry.isFile() && INPUT_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+                files.push(entryPath);
+            }
+        });
+    };
+    walk(dir);
+    return files;
+}
+
+// HintPath assemblies and ProjectReference csproj files named by a project
+function projectReferences(csprojPath) {
+    let xml;
+    try {
+        xml = fs.readFileSync(csprojPath, 'utf8');
+    } catch (error) {
+        return { assemblies: [], projects: [] };
+    }
+    const dir = path.dirname(csprojPath);
+    const resolve = value => path.resolve(dir, value.trim().replace(/\\/g, '/'));
+    return {
+        assemblies: Array.from(xml.matchAll(/<HintPath>\s*([^<]+?)\s*<\/HintPath>/g), match => resolve(match[1])),
+        projects: Array.from(xml.matchAll(/<ProjectReference\s+Include="([^"]+)"/g), match => resolve(match[1]))
+    };
+}
+
+function cellSignature(cell) {
+    const properties = Object.keys(cell.properties || {}).sort().map(name => `${name}=${cell.properties[name]}`);
+    return [cell.project, cell.configuration, ...properties].join('|');
+}
+
+class BuildCache {
+    // options: { file, root (names inputs relative to it), maxEntries }
+    constructor(options = {}) {
+        this.file = options.file;
+        this.root = options.root;
+        this.maxEntries = options.maxEntries || 100;
+        // path -> { mtimeMs, size, sha256 }; skips re-hashing unchanged files
+        this.hashes = new Map();
+        this.entries = this._load();
+    }
+
+    _load() {
+        if (!this.file || !fs.existsSync(this.file)) return {};
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8')).entries || {};
+        } catch (error) {
+            console.error(`Ignoring unreadable build cache ${this.file}:`, error.message);
+            return {};
+        }
+    }
+
+    _save() {
+        if (!this.file) return;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ entries: this.entries }, null, 2));
+        fs.renameSync(tempFile, this.file);
+    }
+
+    _name(file) {
+        return this.root && isInside(this.root, file) ? path.relative(this.root, file).split(path.sep).join('/') : file;
+    }
+
+    async _hash(file) {
+        let stats;
+        try {
+            stats = await fs.promises.stat(file);
+        } catch (error) {
+            return 'missing';
+        }
+        const cached = this.hashes.get(file);
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            return cached.sha256;
+        }
+        const digest = await hashFile(file);
+        this.hashes.set(file, { mtimeMs: stats.mtimeMs, size: stats.size, sha256: digest });
+        return digest;
+    }
+
+    // Hash every input of a cell. Returns { key, inputs: { name: sha256 } }.
+    async computeKey(cell) {
+        const files = new Set();
+        const visited = new Set();
+        const addProject = (csproj) => {
+            if (visited.has(csproj)) return;
+            visited.add(csproj);
+            files.add(csproj);
+
+            const projectDir = path.dirname(csproj);
+            listProjectFiles(projectDir).forEach(file => files.add(file));
+            for (let dir = projectDir; ; dir = path.dirname(dir)) {
+                ANCESTOR_FILES.map(name => path.join(dir, name)).filter(file => fs.existsSync(file)).forEach(file => files.add(file));
+                if (dir === path.dirname(dir) || (this.root && !isInside(this.root, path.dirname(dir)))) break;
+            }
+
+            const references = projectReferences(csproj);
+            references.assemblies.forEach(file => files.add(file));
+            references.projects.forEach(addProject);
+        };
+        addProject(cell.project);
+
+        const inputs = {};
+        for (const file of Array.from(files).sort()) {
+            inputs[this._name(file)] = await this._hash(file);
+        }
+        const key = sha256(JSON.stringify({ signature: cellSignature({ ...cell, project: this._name(cell.project) }), inputs }));
+        return { key, inputs };
+    }
+
+    // Cached result for a cell whose inputs hash to key. Returns
+    // { hit: true, entry } or { hit: false, reason, changed? }.
+    async lookup(cell, { key, inputs }) {
+        const entry = this.entries[cellSignature(cell)];
+        if (!entry) {
+            return { hit: false, reason: 'no previous successful build' };
+        }
+        if (entry.key !== key) {
+            const names = new Set([...Object.keys(entry.inputs), ...Object.keys(inputs)]);
+            const changed = Array.from(names).filter(name => entry.inputs[name] !== inputs[name]);
+            return {
+                hit: false,
+                reason: `${changed.length} input file(s) changed since job ${entry.jobId}`,
+                changed: changed.slice(0, MAX_CHANGED_REPORTED)
+            };
+        }
+        for (const output of entry.outputs) {
+            if (await this._hash(output.path) !== output.sha256) {
+                return { hit: false, reason: `build output ${this._name(output.path)} is missing or was modified` };
+            }
+        }
+        return { hit: true, entry };
+    }
+
+    // Remember a successful cell build. result is the cell result without
+    // stdout/stderr; outputs are read from the "Project -> file.dll" lines.
+    async record(cell, { key, inputs }, { result, stdout, jobId }) {
+        const outputs = [];
+        for (const match of (stdout || '').matchAll(OUTPUT_LINE_PATTERN)) {
+            const output = match[1].trim();
+            if (fs.existsSync(output)) outputs.push({ path: output, sha256: await this._hash(output) });
+        }
+
+        this.entries[cellSignature(cell)] = {
+            key,
+            inputs,
+            outputs,
+            result,
+            jobId,
+            builtAt: new Date().toISOString()
+        };
+
+        const signatures = Object.keys(this.entries);
+        if (signatures.length > this.maxEntries) {
+            signatures
+                .sort((a, b) => this.entries[a].builtAt.localeCompare(this.entries[b].builtAt))
+                .slice(0, signatures.length - this.maxEntries)
+                .forEach(signature => delete this.entries[signature]);
+        }
+        this._save();
+    }
+}
+
+module.exports = {
+    BuildCache
+};
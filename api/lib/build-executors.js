@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { runProcess } = require('./process-runner');
+
+// Backends for the dotnet steps of build and package jobs (clean, build,
+// package). Every executor's run(step, args, options) takes dotnet arguments
+// and the runProcess() options { cwd, timeout, maxBuffer, signal, onLine },
+// and resolves with the runProcess() result plus { executor, step }:
+// progress arrives line by line through onLine, the exit status in code and
+// error, and the output in stdout/stderr - whichever backend ran it.
+//   local   dotnet on this machine (the default)
+//   docker  dotnet inside a container of the build image, with the
+//           workspace mounted at the same place for every run
+//   stub    plays back recorded output, for machines without a .NET SDK
+
+const STEPS = ['clean', 'build', 'package'];
+const EXECUTOR_NAMES = ['local', 'docker', 'stub'];
+
+// Recordings shipped with the API, used when the stub's own directory has
+// none for a step
+const BUILTIN_RECORDINGS_DIR = path.join(__dirname, '..', 'stub-recordings');
+// Recorded paths under the step's working directory are stored with this
+// placeholder so a recording plays back in any workspace
+const CWD_PLACEHOLDER = '{cwd}';
+
+class ExecutorError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'ExecutorError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function replaceAll(text, from, to) {
+    return from ? text.split(from).join(to) : text;
+}
+
+class Executor {
+    constructor(name, options = {}) {
+        this.name = name;
+        // Write each step's output as a stub recording (the last run per step)
+        this.recordDir = options.recordDir || null;
+    }
+
+    // True when nothing is really compiled; such results are never cached
+    get simulated() {
+        return false;
+    }
+
+    describe() {
+        return { name: this.name, simulated: this.simulated, recordDir: this.recordDir };
+    }
+
+    async run(step, args, options = {}) {
+        if (!STEPS.includes(step)) throw new ExecutorError(`Unknown build step: ${step}`);
+
+        const startedAt = Date.now();
+        const lines = [];
+        const onLine = (line, stream) => {
+            if (this.recordDir) lines.push({ at: Date.now() - startedAt, stream, line });
+            if (options.onLine) options.onLine(line, stream);
+        };
+
+        const result = await this._run(step, args, { ...options, onLine });
+        if (this.recordDir && !result.cancelled) {
+            this._record(step, args, options.cwd, result, lines);
+        }
+        return { ...result, executor: this.name, step };
+    }
+
+    _record(step, args, cwd, result, lines) {
+        const recording = {
+            step,
+            recordedAt: new Date().toISOString(),
+            executor: this.name,
+            args,
+            code: result.code,
+            durationMs: result.durationMs,
+            lines: lines.map(entry => ({ ...entry, line: replaceAll(entry.line, cwd, CWD_PLACEHOLDER) }))
+        };
+        try {
+            fs.mkdirSync(this.recordDir, { recursive: true });
+            const target = path.join(this.recordDir, `${step}.json`);
+            fs.writeFileSync(`${target}.tmp`, JSON.stringify(recording, null, 2));
+            fs.renameSync(`${target}.tmp`, target);
+        } catch (error) {
+            console.error(`Failed to record ${step} output:`, error.message);
+        }
+    }
+}
+
+// dotnet (or options.command) on the API's own machine
+class LocalExecutor extends Executor {
+    constructor(options = {}) {
+        super('local', options);
+        this.command = options.command || 'dotnet';
+    }
+
+    describe() {
+        return { ...super.describe(), command: this.command };
+    }
+
+    _run(step, args, options) {
+        return runProcess(this.command, args, options);
+    }
+}
+
+// `docker run --rm <image> dotnet ...` with every mount at the same path
+// inside the container as on the host, so working directories, MSBuild's
+// output and diagnostics need no translation. Files are written as the
+// API's own user. A cancelled or timed-out run removes its container, since
+// killing the docker client alone leaves it running.
+class DockerExecutor extends Executor {
+    constructor(options = {}) {
+        super('docker', options);
+        this.command = options.command || 'docker';
+        this.image = options.image;
+        this.mounts = options.mounts || [];
+        this.network = options.network || null;
+        this.nugetVolume = options.nugetVolume || null;
+        this.extraArgs = options.extraArgs || [];
+        this.user = options.user
+            || (typeof process.getuid === 'function' ? `${process.getuid()}:${process.getgid()}` : null);
+    }
+
+    describe() {
+        return { ...super.describe(), command: this.command, image: this.image, mounts: this.mounts, network: this.network };
+    }
+
+    _dockerArgs(name, args, cwd) {
+        const dockerArgs = ['run', '--rm', '--name', name, '--workdir', cwd];
+        this.mounts.forEach(mount => dockerArgs.push('--volume', `${mount}:${mount}`));
+        if (this.nugetVolume) {
+            dockerArgs.push('--volume', `${this.nugetVolume}:/nuget`, '--env', 'NUGET_PACKAGES=/nuget');
+        }
+        if (this.user) dockerArgs.push('--user', this.user);
+        if (this.network) dockerArgs.push('--network', this.network);
+        // An arbitrary --user has no writable home for the dotnet first-run files
+        dockerArgs.push('--env', 'DOTNET_CLI_HOME=/tmp', '--env', 'DOTNET_CLI_TELEMETRY_OPTOUT=1', '--env', 'DOTNET_NOLOGO=1');
+        return [...dockerArgs, ...this.extraArgs, this.image, 'dotnet', ...args];
+    }
+
+    async _run(step, args, options) {
+        const cwd = path.resolve(options.cwd || process.cwd());
+        if (!this.mounts.some(mount => cwd === mount || cwd.startsWith(`${mount}${path.sep}`))) {
+            return failedRun(`dotnet ${args.join(' ')}`, new Error(`${cwd} is not inside a directory mounted into the build container`));
+        }
+
+        const name = `fks-build-${step}-${crypto.randomBytes(4).toString('hex')}`;
+        const result = await runProcess(this.command, this._dockerArgs(name, args, cwd), options);
+
+        if (result.cancelled || result.timedOut) {
+            await runProcess(this.command, ['rm', '--force', name], { timeout: 30000 });
+        }
+        // docker run exits 125 when the container could not be started at all
+        if (result.code === 125) {
+            const reason = result.stderr.trim().split('\n').pop();
+            result.error = new Error(`Could not start ${this.image}: ${reason || 'docker run failed'}`);
+        }
+        return result;
+    }
+}
+
+// Plays back recordings: <step>.json in recordingsDir, else the built-in
+// one. A recording is { code, lines: [{ at, stream, line }], files } where
+// at is milliseconds from the start and files ({ path relative to the
+// working directory: text or { base64 } }) are written when code is 0, so
+// later steps find what a real run leaves behind. timeScale 1 keeps the
+// recorded pace, 0 plays back instantly.
+class StubExecutor extends Executor {
+    constructor(options = {}) {
+        super('stub', options);
+        this.recordingsDir = options.recordingsDir || null;
+        this.timeScale = options.timeScale !== undefined ? options.timeScale : 1;
+    }
+
+    get simulated() {
+        return true;
+    }
+
+    describe() {
+        return { ...super.describe(), recordingsDir: this.recordingsDir, timeScale: this.timeScale };
+    }
+
+    loadRecording(step) {
+        const candidates = [this.recordingsDir, BUILTIN_RECORDINGS_DIR]
+            .filter(Boolean)
+            .map(dir => path.join(dir, `${step}.json`));
+        const file = candidates.find(candidate => fs.existsSync(candidate));
+        if (!file) throw new ExecutorError(`No stub recording for ${step}`, 500);
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new ExecutorError(`Unreadable stub recording ${file}: ${error.message}`, 500);
+        }
+    }
+
+    async _run(step, args, options) {
+        const { cwd = process.cwd(), timeout = 0, maxBuffer = 2 * 1024 * 1024, signal, onLine } = options;
+        const command = `dotnet ${args.join(' ')}`;
+
+        let recording;
+        try {
+            recording = this.loadRecording(step);
+        } catch (error) {
+            if (!(error instanceof ExecutorError)) throw error;
+            return failedRun(command, error);
+        }
+
+        const startedAt = Date.now();
+        const result = {
+            command,
+            code: null,
+            signal: null,
+            stdout: '',
+            stderr: '',
+            truncated: false,
+            timedOut: false,
+            cancelled: false,
+            error: null,
+            durationMs: 0
+        };
+
+        for (const entry of recording.lines || []) {
+            const wait = (entry.at || 0) * this.timeScale - (Date.now() - startedAt);
+            if (wait > 0) await delay(wait, signal);
+            if (signal && signal.aborted) {
+                result.cancelled = true;
+                break;
+            }
+            if (timeout > 0 && Date.now() - startedAt > timeout) {
+                result.timedOut = true;
+                break;
+            }
+
+            const stream = entry.stream === 'stderr' ? 'stderr' : 'stdout';
+            const line = replaceAll(String(entry.line), CWD_PLACEHOLDER, cwd);
+            result[stream] += `${line}\n`;
+            if (result[stream].length > maxBuffer) {
+                result[stream] = result[stream].slice(-maxBuffer);
+                result.truncated = true;
+            }
+            if (onLine) onLine(line, stream);
+        }
+
+        result.durationMs = Date.now() - startedAt;
+        if (result.cancelled) {
+            result.error = new Error('Command cancelled');
+        } else if (result.timedOut) {
+            result.error = new Error(`Command timed out after ${timeout}ms: ${command}`);
+        } else {
+            result.code = Number.isInteger(recording.code) ? recording.code : 0;
+            if (result.code !== 0) {
+                result.error = new Error(`Command failed with exit code ${result.code}: ${command}`);
+            } else {
+                writeRecordedFiles(recording.files, cwd);
+            }
+        }
+        return result;
+    }
+}
+
+function delay(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', done);
+            resolve();
+        }
+        if (signal) signal.addEventListener('abort', done, { once: true });
+    });
+}
+
+function writeRecordedFiles(files, cwd) {
+    Object.entries(files || {}).forEach(([relative, content]) => {
+        const target = path.resolve(cwd, relative);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, typeof content === 'string' ? content : Buffer.from(content.base64 || '', 'base64'));
+    });
+}
+
+// A run that never started, in the runProcess() result shape
+function failedRun(command, error) {
+    return {
+        command,
+        code: null,
+        signal: null,
+        stdout: '',
+        stderr: '',
+        truncated: false,
+        timedOut: false,
+        cancelled: false,
+        error,
+        durationMs: 0
+    };
+}
+
+// The configured executors by name; only enabled ones are created.
+// resolve(name) returns the named executor or the default, and throws an
+// ExecutorError for names that are unknown or not enabled.
+class ExecutorRegistry {
+    constructor(options = {}) {
+        this.defaultName = options.default || 'local';
+        this.executors = new Map();
+        (options.enabled || [this.defaultName]).forEach(name => {
+            this.executors.set(name, createExecutor(name, options[name] || {}));
+        });
+    }
+
+    get names() {
+        return Array.from(this.executors.keys());
+    }
+
+    resolve(name) {
+        const wanted = name === undefined || name === null ? this.defaultName : name;
+        const executor = this.executors.get(wanted);
+        if (!executor) {
+            throw new ExecutorError(`Unknown or disabled executor: ${wanted}`, 400, { executors: this.names });
+        }
+        return executor;
+    }
+
+    toJSON() {
+        return {
+            default: this.defaultName,
+            executors: this.names.map(name => ({ ...this.executors.get(name).describe(), default: name === this.defaultName }))
+        };
+    }
+}
+
+function createExecutor(name, options) {
+    switch (name) {
+        case 'local':
+            return new LocalExecutor(options);
+        case 'docker':
+            return new DockerExecutor(options);
+        case 'stub':
+            return new StubExecutor(options);
+        default:
+            throw new ExecutorError(`Unknown executor: ${name}`);
+    }
+}
+
+module.exports = {
+    EXECUTOR_NAMES,
+    STEPS,
+    DockerExecutor,
+    ExecutorError,
+    ExecutorRegistry,
+    LocalExecutor,
+    StubExecutor
+};
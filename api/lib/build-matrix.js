@@ -0,0 +1,142 @@
+const path = require('path');
+
+// MSBuild property names are identifiers; values are limited to characters
+// that appear in real property values (define lists, versions, paths)
+const PROPERTY_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PROPERTY_VALUE_PATTERN = /^[A-Za-z0-9_.,;:+\-/ ]{0,200}$/;
+
+class BuildRequestError extends Error {
+    constructor(issues) {
+        super(`Invalid build request: ${issues.join('; ')}`);
+        this.name = 'BuildRequestError';
+        this.issues = issues;
+    }
+}
+
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Match a requested project against the allow-list by path relative to the
+// workspace, file name, or file name without .csproj
+function resolveProject(requested, allowedProjects, workspace) {
+    if (typeof requested !== 'string') return null;
+    const wanted = requested.trim().toLowerCase();
+
+    return allowedProjects.find(project => {
+        const relative = path.relative(workspace, project).split(path.sep).join('/').toLowerCase();
+        const fileName = path.basename(project).toLowerCase();
+        return wanted === relative || wanted === fileName || wanted === fileName.replace(/\.csproj$/, '');
+    }) || null;
+}
+
+function validateProperties(properties, allowedProperties, issues) {
+    if (properties === null || typeof properties !== 'object' || Array.isArray(properties)) {
+        issues.push('properties must be an object of MSBuild property names to values');
+        return {};
+    }
+
+    const validated = {};
+    Object.entries(properties).forEach(([name, value]) => {
+        if (!PROPERTY_NAME_PATTERN.test(name) || !allowedProperties.includes(name)) {
+            issues.push(`Property ${name} is not allowed (allowed: ${allowedProperties.join(', ')})`);
+            return;
+        }
+        const text = typeof value === 'boolean' || typeof value === 'number' ? String(value) : value;
+        if (typeof text !== 'string' || !PROPERTY_VALUE_PATTERN.test(text)) {
+            issues.push(`Property ${name} has an unsupported value`);
+            return;
+        }
+        validated[name] = text;
+    });
+    return validated;
+}
+
+// Turn a /api/build body into matrix cells. Body fields, all optional:
+//   projects:       names or paths of allow-listed csproj files
+//   configurations: e.g. ['Debug', 'Release']
+//   properties:     { Name: value } for every cell, or a list of such sets
+//                   to add a matrix dimension
+//   failFast:       stop after the first failing cell
+// Throws BuildRequestError listing every problem.
+function planBuildMatrix(body = {}, options) {
+    const { workspace, projects, configurations, allowedProperties, defaultProject, defaultConfiguration, maxCells } = options;
+    const issues = [];
+
+    const requestedProjects = toList(body.projects || body.project);
+    const resolvedProjects = requestedProjects.length === 0
+        ? [defaultProject]
+        : requestedProjects.map(requested => {
+            const project = resolveProject(requested, projects, workspace);
+            if (!project) {
+                issues.push(`Project ${JSON.stringify(requested)} is not in the build allow-list`);
+            }
+            return project;
+        });
+
+    const requestedConfigurations = toList(body.configurations || body.configuration);
+    const resolvedConfigurations = requestedConfigurations.length === 0
+        ? [defaultConfiguration]
+        : requestedConfigurations.map(requested => {
+            const match = configurations.find(configuration =>
+                typeof requested === 'string' && configuration.toLowerCase() === requested.toLowerCase());
+            if (!match) {
+                issues.push(`Configuration ${JSON.stringify(requested)} is not allowed (allowed: ${configurations.join(', ')})`);
+            }
+            return match;
+        });
+
+    const propertySets = Array.isArray(body.properties)
+        ? body.properties.map(set => validateProperties(set, allowedProperties, issues))
+        : [validateProperties(body.properties || {}, allowedProperties, issues)];
+
+    if (body.failFast !== undefined && typeof body.failFast !== 'boolean') {
+        issues.push('failFast must be a boolean');
+    }
+
+    const cellCount = resolvedProjects.length * resolvedConfigurations.length * Math.max(propertySets.length, 1);
+    if (cellCount > maxCells) {
+        issues.push(`Matrix has ${cellCount} cells; the limit is ${maxCells}`);
+    }
+    if (issues.length > 0) {
+        throw new BuildRequestError(issues);
+    }
+
+    const unique = list => Array.from(new Set(list));
+    const cells = [];
+    unique(resolvedProjects).forEach(project => {
+        unique(resolvedConfigurations).forEach(configuration => {
+            (propertySets.length > 0 ? propertySets : [{}]).forEach(properties => {
+                cells.push({
+                    id: cells.length + 1,
+                    project,
+                    projectName: path.basename(project, '.csproj'),
+                    configuration,
+                    properties
+                });
+            });
+        });
+    });
+
+    return { cells, failFast: body.failFast === true };
+}
+
+// dotnet arguments for one cell. MSBuild splits -p: on semicolons and
+// commas, so both are escaped and DefineConstants=A;B or A,B stays a single
+// property.
+function msbuildPropertyArgs(properties) {
+    return Object.entries(properties).map(([name, value]) => `-p:${name}=${value.replace(/;/g, '%3B').replace(/,/g, '%2C')}`);
+}
+
+function cellLabel(cell) {
+    const properties = Object.entries(cell.properties).map(([name, value]) => `${name}=${value}`);
+    return [cell.projectName, cell.configuration, ...properties].join(' ');
+}
+
+module.exports = {
+    BuildRequestError,
+    planBuildMatrix,
+    msbuildPropertyArgs,
+    cellLabel
+};
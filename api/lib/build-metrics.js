@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const { MetricsRegistry } = require('./metrics');
+
+// Seconds; dotnet builds range from a few seconds to several minutes
+const DURATION_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600, 1200];
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Walking the packages tree on every scrape is wasteful; reuse for a minute
+const DIRECTORY_SIZE_CACHE_MS = 60000;
+
+async function directorySize(dir) {
+    let total = 0;
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        return 0;
+    }
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            total += await directorySize(entryPath);
+        } else if (entry.isFile()) {
+            total += (await fs.promises.stat(entryPath)).size;
+        }
+    }
+    return total;
+}
+
+// Prometheus metrics for the Build API: job results and durations, stage
+// durations, queue depth, stored artifacts, packages disk usage and HTTP
+// traffic. Returns { registry, httpMiddleware }.
+function createBuildApiMetrics({ jobQueue, artifactStore, packagesDir }) {
+    const registry = new MetricsRegistry();
+
+    const jobsTotal = registry.counter('fks_build_jobs_total',
+        'Finished build and package jobs by type and result', ['type', 'result']);
+    const jobDuration = registry.histogram('fks_build_job_duration_seconds',
+        'Wall time of finished jobs from start to finish', ['type', 'result'], DURATION_BUCKETS);
+    const stageDuration = registry.histogram('fks_build_stage_duration_seconds',
+        'Time spent in each job stage (clean, build, PackageNT8, zip)', ['type', 'stage'], DURATION_BUCKETS);
+    const queueDepth = registry.gauge('fks_build_queue_jobs',
+        'Jobs waiting in or running from the build queue', ['state']);
+    const artifactsStored = registry.gauge('fks_artifacts_stored',
+        'Stored package artifacts', ['kind']);
+    const artifactBytes = registry.gauge('fks_artifacts_size_bytes',
+        'Total size of stored package artifacts', ['kind']);
+    const latestArtifactBytes = registry.gauge('fks_artifact_latest_size_bytes',
+        'Size of the newest package artifact', ['kind', 'version']);
+    const packagesDirBytes = registry.gauge('fks_packages_directory_bytes',
+        'Bytes used by files under the packages directory', ['path']);
+    const volumeBytes = registry.gauge('fks_packages_volume_bytes',
+        'Size and available space of the volume holding the packages directory', ['path', 'kind']);
+    const httpRequests = registry.counter('http_requests_total',
+        'HTTP requests by method, route and status code', ['method', 'route', 'status']);
+    const httpDuration = registry.histogram('http_request_duration_seconds',
+        'HTTP request latency by method and route', ['method', 'route'], HTTP_BUCKETS);
+    const processMemory = registry.gauge('process_resident_memory_bytes',
+        'Resident memory of the Build API process');
+    const processStart = registry.gauge('process_start_time_seconds',
+        'Start time of the Build API process since the Unix epoch');
+
+    // Stage timing: a stage ends when the next one starts or the job finishes
+    const currentStage = new Map();
+    const endStage = (jobId, endedAt) => {
+        const stage = currentStage.get(jobId);
+        if (!stage) return;
+        currentStage.delete(jobId);
+        stageDuration.observe({ type: stage.type, stage: stage.name }, (endedAt - stage.startedAt) / 1000);
+    };
+
+    jobQueue.on('event', (jobId, event) => {
+        const job = jobQueue.get(jobId);
+        if (!job || event.type !== 'stage') return;
+
+        const time = Date.parse(event.time) || Date.now();
+        endStage(jobId, time);
+        currentStage.set(jobId, { type: job.type, name: event.data.stage, startedAt: time });
+    });
+
+    jobQueue.on('finished', (job) => {
+        endStage(job.id, Date.now());
+        jobsTotal.inc({ type: job.type, result: job.status });
+        if (job.durationMs !== null && job.durationMs !== undefined) {
+            jobDuration.observe({ type: job.type, result: job.status }, job.durationMs / 1000);
+        }
+    });
+
+    let sizeCache = { at: 0, bytes: 0 };
+    registry.addCollector(async () => {
+        const { queued, running } = jobQueue.stats();
+        queueDepth.set({ state: 'queued' }, queued);
+        queueDepth.set({ state: 'running' }, running);
+
+        const byKind = new Map();
+        // list() is newest first, so the first manifest of a kind is the latest
+        artifactStore.list().forEach(manifest => {
+            const totals = byKind.get(manifest.kind) || { count: 0, bytes: 0, latest: manifest };
+            totals.count++;
+            totals.bytes += manifest.package.size;
+            byKind.set(manifest.kind, totals);
+        });
+        artifactsStored.reset();
+        artifactBytes.reset();
+        latestArtifactBytes.reset();
+        byKind.forEach(({ count, bytes, latest }, kind) => {
+            artifactsStored.set({ kind }, count);
+            artifactBytes.set({ kind }, bytes);
+            latestArtifactBytes.set({ kind, version: latest.version }, latest.package.size);
+        });
+
+        if (Date.now() - sizeCache.at > DIRECTORY_SIZE_CACHE_MS) {
+            sizeCache = { at: Date.now(), bytes: await directorySize(packagesDir) };
+        }
+        packagesDirBytes.set({ path: packagesDir }, sizeCache.bytes);
+
+        try {
+            const stats = await fs.promises.statfs(packagesDir);
+            volumeBytes.set({ path: packagesDir, kind: 'size' }, stats.blocks * stats.bsize);
+            volumeBytes.set({ path: packagesDir, kind: 'available' }, stats.bavail * stats.bsize);
+        } catch (error) {
+            // Packages directory not created yet
+        }
+
+        processMemory.set({}, process.memoryUsage().rss);
+        processStart.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+    });
+
+    // Count and time every request. The route label is the matched Express
+    // route pattern, so /api/jobs/:id stays one series regardless of ids;
+    // requests rejected before reaching a route are labelled by their mount.
+    const httpMiddleware = (req, res, next) => {
+        const startedAt = process.hrtime.bigint();
+        res.on('finish', () => {
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : (req.baseUrl || 'unmatched');
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            httpDuration.observe({ method: req.method, route }, seconds);
+        });
+        next();
+    };
+
+    return { registry, httpMiddleware };
+}
+
+module.exports = {
+    createBuildApiMetrics
+};
@@ -0,0 +1,715 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { validateMarketCalendar } = require('./market-sessions');
+const { LINT_CODES } = require('./source-lint');
+const { EXECUTOR_NAMES } = require('./build-executors');
+
+// Layered configuration: DEFAULTS, then a JSON/YAML config file, then
+// environment variables. Relative paths under `paths` and elsewhere are
+// resolved against paths.workspace after all layers are merged, so pointing
+// FKS_WORKSPACE somewhere else moves every derived path with it.
+const DEFAULTS = {
+    port: 4000,
+    host: '0.0.0.0',
+    paths: {
+        workspace: '/workspace',
+        src: 'src',
+        packages: 'packages',
+        bin: 'bin',
+        // Server state: job history, tokens, custom suggestions
+        data: '.build-api'
+    },
+    project: {
+        name: 'FKS',
+        csproj: 'src/FKS.csproj',
+        configuration: 'Release',
+        dll: 'bin/Release/FKS.dll',
+        // Where the PackageNT8 target leaves the package layout
+        packageTempDir: 'packages/temp'
+    },
+    build: {
+        // csproj files /api/build may target; empty means just project.csproj
+        projects: [],
+        configurations: ['Debug', 'Release'],
+        // MSBuild properties a build request may set with -p:Name=Value
+        allowedProperties: [
+            'DefineConstants',
+            'Platform',
+            'LangVersion',
+            'TreatWarningsAsErrors',
+            'Optimize',
+            'DebugType',
+            'Version'
+        ],
+        // Upper bound on projects x configurations x property sets
+        maxCells: 12,
+        // Skip cells whose inputs hash the same as their last successful
+        // build (see lib/build-cache.js); file is relative to paths.data
+        cache: {
+            enabled: true,
+            file: 'build-cache.json',
+            maxEntries: 100
+        }
+    },
+    // Static checks behind /api/lint (see lib/source-lint.js). With
+    // beforeBuild, build jobs run them first and lint errors fail the job
+    // before dotnet starts; a build request's lint: true|false overrides it.
+    // ignore lists finding codes to leave out.
+    lint: {
+        beforeBuild: false,
+        ignore: [],
+        maxFileBytes: 2 * 1024 * 1024
+    },
+    templates: {
+        // Folder for each template kind
+        targetDirs: {
+            indicator: 'src/Indicators',
+            strategy: 'src/Strategies',
+            addon: 'src/AddOns'
+        },
+        // Team templates (*.cs.tmpl), relative to paths.data; these override
+        // built-in templates with the same id
+        customDir: 'templates',
+        // Copies of files replaced with overwrite: true, relative to paths.data
+        backupDir: 'template-backups'
+    },
+    // Builds from a branch, tag or commit (ref in /api/build and /api/package)
+    git: {
+        // Checkout the refs are resolved in, relative to paths.workspace
+        repoDir: '.',
+        // Per-job worktrees, relative to paths.data; removed after each job
+        worktreeDir: 'worktrees',
+        timeoutMs: 60000
+    },
+    // Source browser/editor at /api/files
+    files: {
+        // Named roots, relative to paths.workspace; empty means packages, bin
+        // and src from paths
+        roots: {},
+        // Roots that accept writes, renames and deletes
+        writable: ['src'],
+        maxFileBytes: 1024 * 1024,
+        maxTreeEntries: 5000
+    },
+    // Optional router mounted at /api/docs; skipped when the file is missing
+    docsRouter: 'src/web/api/routes/docs.js',
+    timeouts: {
+        cleanMs: 120000,
+        buildMs: 120000,
+        packageMs: 120000,
+        externalPackageMs: 60000
+    },
+    buffers: {
+        maxOutputBytes: 2 * 1024 * 1024
+    },
+    jobs: {
+        concurrency: 2,
+        historyLimit: 200
+    },
+    artifacts: {
+        dir: 'packages/artifacts',
+        retention: {
+            maxCount: 50,
+            maxAgeDays: 30,
+            minKeep: 3
+        }
+    },
+    // NinjaTrader 8 import package checks (see lib/nt8-package.js), run on
+    // every addon package and at POST /api/package/validate. With enforce, a
+    // package with errors fails its job and is not stored. maxPackageBytes
+    // is also the upload limit; providedAssemblies adds name patterns
+    // (e.g. 'Newtonsoft.Json') to the assemblies NinjaTrader supplies.
+    packageValidation: {
+        enforce: true,
+        maxEntryBytes: 20 * 1024 * 1024,
+        maxPackageBytes: 100 * 1024 * 1024,
+        allowedExtensions: ['.cs', '.dll', '.xml', '.txt', '.xaml', '.png', '.ico'],
+        allowedDirs: ['bin', 'templates'],
+        providedAssemblies: []
+    },
+    // Where the dotnet steps of build and package jobs run (see
+    // lib/build-executors.js); a request may pick an enabled one with
+    // { executor }. stub plays back recorded output and its packages are
+    // stored like real ones, so only enable it on development machines.
+    executors: {
+        default: 'local',
+        enabled: ['local', 'docker'],
+        local: {
+            command: 'dotnet',
+            // Save each step's output as a stub recording, relative to paths.data
+            recordDir: null
+        },
+        docker: {
+            command: 'docker',
+            // Built from templates/Dockerfile.dotnet (--target build)
+            image: 'fks-dotnet-build:latest',
+            network: null,
+            // Named volume kept between runs as the NuGet package cache
+            nugetVolume: 'fks-build-nuget',
+            // uid:gid to run as; null = the API's own user
+            user: null,
+            extraArgs: []
+        },
+        stub: {
+            // <step>.json recordings, relative to paths.data; null = built-in ones
+            recordingsDir: null,
+            // 1 = recorded pace, 0 = instant
+            timeScale: 1
+        }
+    },
+    cors: {
+        allowedOrigins: []
+    },
+    auth: {
+        // Relative to paths.data
+        tokensFile: 'tokens.json'
+    },
+    metrics: {
+        // Prometheus endpoint at /metrics
+        enabled: true,
+        // When true, scrapes need a viewer token (bearer_token in Prometheus)
+        requireAuth: true
+    },
+    services: {
+        // Relative to paths.data; seeded with the default services when missing
+        registryFile: 'services.json',
+        probeIntervalMs: 30000,
+        probeTimeoutMs: 5000
+    },
+    // Outgoing webhooks (see lib/webhooks.js). Files are relative to
+    // paths.data; retries wait retryBaseMs, doubling after each failure.
+    webhooks: {
+        file: 'webhooks.json',
+        deliveriesFile: 'webhook-deliveries.json',
+        timeoutMs: 10000,
+        maxAttempts: 5,
+        retryBaseMs: 10000,
+        deliveryLogLimit: 500
+    },
+    // Dockerfile templates behind /api/docker (see lib/dockerfile-templates.js).
+    // Relative to the repository the API is checked out in, not the
+    // workspace; the first set is the default and the one others are
+    // compared with for drift. scanDirs adds other Dockerfiles to the audit.
+    docker: {
+        templateSets: {
+            templates: 'templates',
+            shared: 'shared_templates'
+        },
+        scanDirs: []
+    },
+    // Compose files behind /api/compose (see lib/compose-files.js), relative
+    // to the repository like docker.templateSets. The first file is the base
+    // and each other one an overlay applied on top of it.
+    compose: {
+        files: ['compose/docker-compose.yml', 'compose/docker-compose.dev.yml', 'compose/docker-compose.prod.yml'],
+        template: 'compose/docker-compose.template.yml'
+    },
+    // Session calendar behind /api/trading-status (see lib/market-sessions.js).
+    // Holiday lists need a yearly update; set a market to null to drop it.
+    markets: {
+        futures: {
+            // CME Globex: Sunday evening to Friday afternoon with a daily halt
+            timeZone: 'America/Chicago',
+            sessions: [{ days: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu'], open: '17:00', close: '16:00' }],
+            holidays: [
+                { date: '2026-01-01', name: "New Year's Day" },
+                { date: '2026-01-19', name: 'Martin Luther King Jr. Day', close: '12:00' },
+                { date: '2026-02-16', name: "Presidents' Day", close: '12:00' },
+                { date: '2026-04-03', name: 'Good Friday' },
+                { date: '2026-05-25', name: 'Memorial Day', close: '12:00' },
+                { date: '2026-06-19', name: 'Juneteenth', close: '12:00' },
+                { date: '2026-07-03', name: 'Independence Day (observed)', close: '12:00' },
+                { date: '2026-09-07', name: 'Labor Day', close: '12:00' },
+                { date: '2026-11-26', name: 'Thanksgiving', close: '12:00' },
+                { date: '2026-11-27', name: 'Day after Thanksgiving', close: '12:15' },
+                { date: '2026-12-24', name: 'Christmas Eve', close: '12:15' },
+                { date: '2026-12-25', name: 'Christmas' },
+                { date: '2027-01-01', name: "New Year's Day" },
+                { date: '2027-01-18', name: 'Martin Luther King Jr. Day', close: '12:00' },
+                { date: '2027-02-15', name: "Presidents' Day", close: '12:00' },
+                { date: '2027-03-26', name: 'Good Friday' },
+                { date: '2027-05-31', name: 'Memorial Day', close: '12:00' },
+                { date: '2027-06-18', name: 'Juneteenth (observed)', close: '12:00' },
+                { date: '2027-07-05', name: 'Independence Day (observed)', close: '12:00' },
+                { date: '2027-09-06', name: 'Labor Day', close: '12:00' },
+                { date: '2027-11-25', name: 'Thanksgiving', close: '12:00' },
+                { date: '2027-11-26', name: 'Day after Thanksgiving', close: '12:15' },
+                { date: '2027-12-24', name: 'Christmas (observed)' }
+            ]
+        },
+        forex: {
+            // Spot FX: continuous from Sunday 17:00 to Friday 17:00 New York time
+            timeZone: 'America/New_York',
+            sessions: [{ days: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu'], open: '17:00', close: '17:00' }],
+            holidays: [
+                { date: '2026-12-25', name: 'Christmas' },
+                { date: '2027-01-01', name: "New Year's Day" }
+            ]
+        },
+        stocks: {
+            // NYSE/Nasdaq regular trading hours
+            timeZone: 'America/New_York',
+            sessions: [{ days: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'], open: '09:30', close: '16:00' }],
+            holidays: [
+                { date: '2026-01-01', name: "New Year's Day" },
+                { date: '2026-01-19', name: 'Martin Luther King Jr. Day' },
+                { date: '2026-02-16', name: "Presidents' Day" },
+                { date: '2026-04-03', name: 'Good Friday' },
+                { date: '2026-05-25', name: 'Memorial Day' },
+                { date: '2026-06-19', name: 'Juneteenth' },
+                { date: '2026-07-03', name: 'Independence Day (observed)' },
+                { date: '2026-09-07', name: 'Labor Day' },
+                { date: '2026-11-26', name: 'Thanksgiving' },
+                { date: '2026-11-27', name: 'Day after Thanksgiving', close: '13:00' },
+                { date: '2026-12-24', name: 'Christmas Eve', close: '13:00' },
+                { date: '2026-12-25', name: 'Christmas' },
+                { date: '2027-01-01', name: "New Year's Day" },
+                { date: '2027-01-18', name: 'Martin Luther King Jr. Day' },
+                { date: '2027-02-15', name: "Presidents' Day" },
+                { date: '2027-03-26', name: 'Good Friday' },
+                { date: '2027-05-31', name: 'Memorial Day' },
+                { date: '2027-06-18', name: 'Juneteenth (observed)' },
+                { date: '2027-07-05', name: 'Independence Day (observed)' },
+                { date: '2027-09-06', name: 'Labor Day' },
+                { date: '2027-11-25', name: 'Thanksgiving' },
+                { date: '2027-11-26', name: 'Day after Thanksgiving', close: '13:00' },
+                { date: '2027-12-24', name: 'Christmas (observed)' }
+            ]
+        }
+    }
+};
+
+// Environment variable -> config key and type
+const ENV_MAP = [
+    ['PORT', 'port', 'int'],
+    ['BUILD_API_HOST', 'host', 'string'],
+    ['FKS_WORKSPACE', 'paths.workspace', 'string'],
+    ['FKS_SRC_DIR', 'paths.src', 'string'],
+    ['FKS_PACKAGES_DIR', 'paths.packages', 'string'],
+    ['FKS_BIN_DIR', 'paths.bin', 'string'],
+    ['FKS_DATA_DIR', 'paths.data', 'string'],
+    ['FKS_PROJECT_NAME', 'project.name', 'string'],
+    ['FKS_CSPROJ', 'project.csproj', 'string'],
+    ['FKS_CONFIGURATION', 'project.configuration', 'string'],
+    ['FKS_DLL', 'project.dll', 'string'],
+    ['FKS_PACKAGE_TEMP_DIR', 'project.packageTempDir', 'string'],
+    ['BUILD_PROJECTS', 'build.projects', 'list'],
+    ['BUILD_CONFIGURATIONS', 'build.configurations', 'list'],
+    ['BUILD_ALLOWED_PROPERTIES', 'build.allowedProperties', 'list'],
+    ['BUILD_MAX_CELLS', 'build.maxCells', 'int'],
+    ['BUILD_CACHE_ENABLED', 'build.cache.enabled', 'bool'],
+    ['BUILD_CACHE_FILE', 'build.cache.file', 'string'],
+    ['BUILD_CACHE_MAX_ENTRIES', 'build.cache.maxEntries', 'int'],
+    ['LINT_BEFORE_BUILD', 'lint.beforeBuild', 'bool'],
+    ['LINT_IGNORE', 'lint.ignore', 'list'],
+    ['LINT_MAX_FILE_BYTES', 'lint.maxFileBytes', 'int'],
+    ['TEMPLATES_CUSTOM_DIR', 'templates.customDir', 'string'],
+    ['TEMPLATES_BACKUP_DIR', 'templates.backupDir', 'string'],
+    ['GIT_REPO_DIR', 'git.repoDir', 'string'],
+    ['GIT_WORKTREE_DIR', 'git.worktreeDir', 'string'],
+    ['GIT_TIMEOUT_MS', 'git.timeoutMs', 'int'],
+    ['FILES_WRITABLE_ROOTS', 'files.writable', 'list'],
+    ['FILES_MAX_FILE_BYTES', 'files.maxFileBytes', 'int'],
+    ['FILES_MAX_TREE_ENTRIES', 'files.maxTreeEntries', 'int'],
+    ['FKS_DOCS_ROUTER', 'docsRouter', 'string'],
+    ['BUILD_CLEAN_TIMEOUT_MS', 'timeouts.cleanMs', 'int'],
+    ['BUILD_TIMEOUT_MS', 'timeouts.buildMs', 'int'],
+    ['PACKAGE_TIMEOUT_MS', 'timeouts.packageMs', 'int'],
+    ['EXTERNAL_PACKAGE_TIMEOUT_MS', 'timeouts.externalPackageMs', 'int'],
+    ['BUILD_MAX_OUTPUT_BYTES', 'buffers.maxOutputBytes', 'int'],
+    ['BUILD_JOB_CONCURRENCY', 'jobs.concurrency', 'int'],
+    ['BUILD_JOB_HISTORY_LIMIT', 'jobs.historyLimit', 'int'],
+    ['ARTIFACTS_DIR', 'artifacts.dir', 'string'],
+    ['ARTIFACT_MAX_COUNT', 'artifacts.retention.maxCount', 'int'],
+    ['ARTIFACT_MAX_AGE_DAYS', 'artifacts.retention.maxAgeDays', 'int'],
+    ['ARTIFACT_MIN_KEEP', 'artifacts.retention.minKeep', 'int'],
+    ['PACKAGE_VALIDATION_ENFORCE', 'packageValidation.enforce', 'bool'],
+    ['PACKAGE_MAX_ENTRY_BYTES', 'packageValidation.maxEntryBytes', 'int'],
+    ['PACKAGE_MAX_BYTES', 'packageValidation.maxPackageBytes', 'int'],
+    ['PACKAGE_PROVIDED_ASSEMBLIES', 'packageValidation.providedAssemblies', 'list'],
+    ['BUILD_EXECUTOR', 'executors.default', 'string'],
+    ['BUILD_EXECUTORS_ENABLED', 'executors.enabled', 'list'],
+    ['BUILD_RECORD_DIR', 'executors.local.recordDir', 'string'],
+    ['DOCKER_BUILD_IMAGE', 'executors.docker.image', 'string'],
+    ['DOCKER_BUILD_NETWORK', 'executors.docker.network', 'string'],
+    ['STUB_RECORDINGS_DIR', 'executors.stub.recordingsDir', 'string'],
+    ['CORS_ALLOWED_ORIGINS', 'cors.allowedOrigins', 'list'],
+    ['BUILD_API_TOKENS_FILE', 'auth.tokensFile', 'string'],
+    ['METRICS_ENABLED', 'metrics.enabled', 'bool'],
+    ['METRICS_REQUIRE_AUTH', 'metrics.requireAuth', 'bool'],
+    ['SERVICES_REGISTRY_FILE', 'services.registryFile', 'string'],
+    ['SERVICE_PROBE_INTERVAL_MS', 'services.probeIntervalMs', 'int'],
+    ['SERVICE_PROBE_TIMEOUT_MS', 'services.probeTimeoutMs', 'int'],
+    ['WEBHOOKS_FILE', 'webhooks.file', 'string'],
+    ['WEBHOOK_DELIVERIES_FILE', 'webhooks.deliveriesFile', 'string'],
+    ['WEBHOOK_TIMEOUT_MS', 'webhooks.timeoutMs', 'int'],
+    ['WEBHOOK_MAX_ATTEMPTS', 'webhooks.maxAttempts', 'int'],
+    ['WEBHOOK_RETRY_BASE_MS', 'webhooks.retryBaseMs', 'int'],
+    ['WEBHOOK_DELIVERY_LOG_LIMIT', 'webhooks.deliveryLogLimit', 'int'],
+    ['DOCKER_SCAN_DIRS', 'docker.scanDirs', 'list'],
+    ['COMPOSE_FILES', 'compose.files', 'list'],
+    ['COMPOSE_TEMPLATE', 'compose.template', 'string']
+];
+
+// Config file locations tried in order when BUILD_API_CONFIG is not set
+const CONFIG_FILE_CANDIDATES = [
+    path.join(__dirname, '..', 'build-api.config.json'),
+    path.join(__dirname, '..', 'build-api.config.yaml'),
+    path.join(__dirname, '..', 'build-api.config.yml')
+];
+
+// Checkout the API runs from; docker and compose paths are relative to it
+const REPOSITORY_ROOT = path.join(__dirname, '..', '..');
+
+// Keys whose values never leave the server
+const SECRET_KEY_PATTERN = /(secret|password|token(?!sFile)|apikey|api_key|privatekey)/i;
+
+class ConfigError extends Error {
+    constructor(issues) {
+        super(`Invalid configuration:\n${issues.map(issue => `  - ${issue}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.issues = issues;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+    const merged = { ...base };
+    Object.entries(override || {}).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? deepMerge(base[key], value)
+            : value;
+    });
+    return merged;
+}
+
+function getPath(object, keyPath) {
+    return keyPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), object);
+}
+
+function setPath(object, keyPath, value) {
+    const keys = keyPath.split('.');
+    let current = object;
+    keys.slice(0, -1).forEach(key => {
+        if (!isPlainObject(current[key])) current[key] = {};
+        current = current[key];
+    });
+    current[keys[keys.length - 1]] = value;
+}
+
+function readConfigFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(raw) : JSON.parse(raw);
+    if (parsed != null && !isPlainObject(parsed)) {
+        throw new ConfigError([`${filePath} must contain an object at the top level`]);
+    }
+    return parsed || {};
+}
+
+function fromEnvironment(env, issues) {
+    const overrides = {};
+    const applied = [];
+
+    ENV_MAP.forEach(([name, keyPath, type]) => {
+        const raw = env[name];
+        if (raw === undefined || raw === '') return;
+
+        let value = raw;
+        if (type === 'int') {
+            value = Number(raw);
+            if (!Number.isInteger(value)) {
+                issues.push(`${name}=${raw} is not an integer (sets ${keyPath})`);
+                return;
+            }
+        } else if (type === 'list') {
+            value = raw.split(',').map(item => item.trim()).filter(Boolean);
+        } else if (type === 'bool') {
+            if (!/^(true|false|1|0|yes|no)$/i.test(raw)) {
+                issues.push(`${name}=${raw} is not a boolean (sets ${keyPath})`);
+                return;
+            }
+            value = /^(true|1|yes)$/i.test(raw);
+        }
+
+        setPath(overrides, keyPath, value);
+        applied.push(name);
+    });
+
+    return { overrides, applied };
+}
+
+// Resolve every path-like setting against the workspace root
+function resolvePaths(config) {
+    const root = path.resolve(config.paths.workspace);
+    const resolve = value => (typeof value === 'string' ? path.resolve(root, value) : value);
+
+    config.paths.workspace = root;
+    ['src', 'packages', 'bin', 'data'].forEach(key => {
+        config.paths[key] = resolve(config.paths[key]);
+    });
+    ['csproj', 'dll', 'packageTempDir'].forEach(key => {
+        config.project[key] = resolve(config.project[key]);
+    });
+    config.build.projects = config.build.projects.length > 0
+        ? config.build.projects.map(resolve)
+        : [config.project.csproj];
+    Object.keys(config.templates.targetDirs).forEach(kind => {
+        config.templates.targetDirs[kind] = resolve(config.templates.targetDirs[kind]);
+    });
+    config.build.cache.file = path.resolve(config.paths.data, config.build.cache.file);
+    config.git.repoDir = resolve(config.git.repoDir);
+    config.git.worktreeDir = path.resolve(config.paths.data, config.git.worktreeDir);
+    config.files.roots = Object.keys(config.files.roots).length > 0
+        ? Object.fromEntries(Object.entries(config.files.roots).map(([name, dir]) => [name, resolve(dir)]))
+        : { packages: config.paths.packages, bin: config.paths.bin, src: config.paths.src };
+    config.docsRouter = config.docsRouter ? resolve(config.docsRouter) : null;
+    config.artifacts.dir = resolve(config.artifacts.dir);
+    config.auth.tokensFile = path.resolve(config.paths.data, config.auth.tokensFile);
+    const dataPath = value => (typeof value === 'string' ? path.resolve(config.paths.data, value) : value);
+    config.executors.local.recordDir = dataPath(config.executors.local.recordDir);
+    config.executors.stub.recordingsDir = dataPath(config.executors.stub.recordingsDir);
+    config.templates.customDir = path.resolve(config.paths.data, config.templates.customDir);
+    config.templates.backupDir = path.resolve(config.paths.data, config.templates.backupDir);
+    config.services.registryFile = path.resolve(config.paths.data, config.services.registryFile);
+    config.webhooks.file = path.resolve(config.paths.data, config.webhooks.file);
+    config.webhooks.deliveriesFile = path.resolve(config.paths.data, config.webhooks.deliveriesFile);
+    // A set configured as null is dropped
+    config.docker.templateSets = Object.fromEntries(Object.entries(config.docker.templateSets)
+        .filter(([, dir]) => dir !== null)
+        .map(([set, dir]) => [set, path.resolve(REPOSITORY_ROOT, dir)]));
+    config.docker.scanDirs = config.docker.scanDirs.map(dir => path.resolve(REPOSITORY_ROOT, dir));
+    config.compose.files = config.compose.files.map(file => path.resolve(REPOSITORY_ROOT, file));
+    config.compose.template = config.compose.template ? path.resolve(REPOSITORY_ROOT, config.compose.template) : null;
+    return config;
+}
+
+function validate(config, issues) {
+    const positiveInt = (keyPath, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) => {
+        const value = getPath(config, keyPath);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            const range = max === Number.MAX_SAFE_INTEGER ? `>= ${min}` : `between ${min} and ${max}`;
+            issues.push(`${keyPath} must be an integer ${range} (got ${JSON.stringify(value)})`);
+        }
+    };
+    const nonEmptyString = (keyPath) => {
+        const value = getPath(config, keyPath);
+        if (typeof value !== 'string' || value.trim() === '') {
+            issues.push(`${keyPath} must be a non-empty string (got ${JSON.stringify(value)})`);
+        }
+    };
+
+    positiveInt('port', { min: 1, max: 65535 });
+    nonEmptyString('host');
+    ['workspace', 'src', 'packages', 'bin', 'data'].forEach(key => nonEmptyString(`paths.${key}`));
+    ['name', 'csproj', 'configuration', 'dll', 'packageTempDir'].forEach(key => nonEmptyString(`project.${key}`));
+
+    if (typeof config.project.name === 'string' && !/^[A-Za-z_][A-Za-z0-9_.]*$/.test(config.project.name)) {
+        issues.push(`project.name must be a plain identifier (got ${JSON.stringify(config.project.name)})`);
+    }
+    if (typeof config.project.csproj === 'string' && !config.project.csproj.endsWith('.csproj')) {
+        issues.push(`project.csproj must point at a .csproj file (got ${JSON.stringify(config.project.csproj)})`);
+    }
+    const stringList = (keyPath, { nonEmpty = false } = {}) => {
+        const value = getPath(config, keyPath);
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')
+            || (nonEmpty && value.length === 0)) {
+            issues.push(`${keyPath} must be a ${nonEmpty ? 'non-empty ' : ''}list of strings (got ${JSON.stringify(value)})`);
+            return false;
+        }
+        return true;
+    };
+    if (stringList('build.projects') && config.build.projects.some(project => !project.endsWith('.csproj'))) {
+        issues.push('build.projects entries must point at .csproj files');
+    }
+    stringList('build.configurations', { nonEmpty: true });
+    if (stringList('build.allowedProperties')
+        && config.build.allowedProperties.some(name => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name))) {
+        issues.push('build.allowedProperties entries must be MSBuild property names');
+    }
+    positiveInt('build.maxCells');
+    if (typeof config.build.cache.enabled !== 'boolean') {
+        issues.push(`build.cache.enabled must be true or false (got ${JSON.stringify(config.build.cache.enabled)})`);
+    }
+    nonEmptyString('build.cache.file');
+    positiveInt('build.cache.maxEntries');
+    if (typeof config.lint.beforeBuild !== 'boolean') {
+        issues.push(`lint.beforeBuild must be true or false (got ${JSON.stringify(config.lint.beforeBuild)})`);
+    }
+    if (stringList('lint.ignore')) {
+        config.lint.ignore.filter(code => !LINT_CODES.includes(code)).forEach(code => {
+            issues.push(`lint.ignore names unknown finding code ${code} (codes: ${LINT_CODES.join(', ')})`);
+        });
+    }
+    positiveInt('lint.maxFileBytes', { min: 1024 });
+    if (!isPlainObject(config.templates.targetDirs)) {
+        issues.push('templates.targetDirs must map template kinds to directories');
+    }
+    nonEmptyString('templates.customDir');
+    nonEmptyString('templates.backupDir');
+    nonEmptyString('git.repoDir');
+    nonEmptyString('git.worktreeDir');
+    positiveInt('git.timeoutMs', { min: 1000 });
+    if (!isPlainObject(config.files.roots)
+        || Object.entries(config.files.roots).some(([name, dir]) => !/^[A-Za-z0-9_-]+$/.test(name) || typeof dir !== 'string' || dir.trim() === '')) {
+        issues.push('files.roots must map root names (letters, digits, _ and -) to directories');
+    }
+    if (stringList('files.writable')) {
+        const roots = Object.keys(config.files.roots || {});
+        const available = roots.length > 0 ? roots : ['src', 'packages', 'bin'];
+        config.files.writable.filter(name => !available.includes(name)).forEach(name => {
+            issues.push(`files.writable names unknown root ${name} (roots: ${available.join(', ')})`);
+        });
+    }
+    positiveInt('files.maxFileBytes', { min: 1024 });
+    positiveInt('files.maxTreeEntries');
+
+    Object.keys(DEFAULTS.timeouts).forEach(key => positiveInt(`timeouts.${key}`, { min: 1000 }));
+    positiveInt('buffers.maxOutputBytes', { min: 1024 });
+    positiveInt('jobs.concurrency');
+    positiveInt('jobs.historyLimit');
+    ['maxCount', 'maxAgeDays', 'minKeep'].forEach(key => positiveInt(`artifacts.retention.${key}`, { min: 0 }));
+    if (typeof config.packageValidation.enforce !== 'boolean') {
+        issues.push(`packageValidation.enforce must be true or false (got ${JSON.stringify(config.packageValidation.enforce)})`);
+    }
+    positiveInt('packageValidation.maxEntryBytes', { min: 1024 });
+    positiveInt('packageValidation.maxPackageBytes', { min: 1024 });
+    if (stringList('packageValidation.allowedExtensions', { nonEmpty: true })
+        && config.packageValidation.allowedExtensions.some(extension => !/^\.[A-Za-z0-9]+$/.test(extension))) {
+        issues.push('packageValidation.allowedExtensions entries must look like .dll');
+    }
+    stringList('packageValidation.allowedDirs');
+    stringList('packageValidation.providedAssemblies');
+    if (stringList('executors.enabled', { nonEmpty: true })) {
+        config.executors.enabled.filter(name => !EXECUTOR_NAMES.includes(name)).forEach(name => {
+            issues.push(`executors.enabled names unknown executor ${name} (executors: ${EXECUTOR_NAMES.join(', ')})`);
+        });
+        if (!config.executors.enabled.includes(config.executors.default)) {
+            issues.push(`executors.default must be one of executors.enabled (got ${JSON.stringify(config.executors.default)})`);
+        }
+    }
+    nonEmptyString('executors.local.command');
+    nonEmptyString('executors.docker.command');
+    nonEmptyString('executors.docker.image');
+    stringList('executors.docker.extraArgs');
+    ['local.recordDir', 'stub.recordingsDir', 'docker.network', 'docker.nugetVolume', 'docker.user'].forEach(key => {
+        const value = getPath(config, `executors.${key}`);
+        if (value !== null && (typeof value !== 'string' || value.trim() === '')) {
+            issues.push(`executors.${key} must be a non-empty string or null`);
+        }
+    });
+    const timeScale = config.executors.stub.timeScale;
+    if (typeof timeScale !== 'number' || !(timeScale >= 0)) {
+        issues.push(`executors.stub.timeScale must be a number >= 0 (got ${JSON.stringify(timeScale)})`);
+    }
+
+    ['enabled', 'requireAuth'].forEach(key => {
+        if (typeof config.metrics[key] !== 'boolean') {
+            issues.push(`metrics.${key} must be true or false (got ${JSON.stringify(config.metrics[key])})`);
+        }
+    });
+    nonEmptyString('services.registryFile');
+    positiveInt('services.probeIntervalMs', { min: 1000 });
+    positiveInt('services.probeTimeoutMs', { min: 100 });
+    nonEmptyString('webhooks.file');
+    nonEmptyString('webhooks.deliveriesFile');
+    positiveInt('webhooks.timeoutMs', { min: 100 });
+    positiveInt('webhooks.maxAttempts', { max: 20 });
+    positiveInt('webhooks.retryBaseMs', { min: 100 });
+    positiveInt('webhooks.deliveryLogLimit');
+    const templateSets = isPlainObject(config.docker.templateSets)
+        ? Object.entries(config.docker.templateSets).filter(([, dir]) => dir !== null)
+        : [];
+    if (templateSets.length === 0
+        || templateSets.some(([name, dir]) => !/^[A-Za-z0-9_-]+$/.test(name) || typeof dir !== 'string' || dir.trim() === '')) {
+        issues.push('docker.templateSets must map set names (letters, digits, _ and -) to directories');
+    }
+    stringList('docker.scanDirs');
+    stringList('compose.files', { nonEmpty: true });
+    if (config.compose.template !== null && (typeof config.compose.template !== 'string' || config.compose.template.trim() === '')) {
+        issues.push('compose.template must be a file path or null');
+    }
+
+    validateMarketCalendar(config.markets, issues);
+
+    const origins = config.cors.allowedOrigins;
+    if (!Array.isArray(origins) || origins.some(origin => typeof origin !== 'string')) {
+        issues.push('cors.allowedOrigins must be a list of origin strings');
+    }
+}
+
+// Missing paths are only warnings: volumes may be mounted after start
+function checkPaths(config, warnings) {
+    if (!fs.existsSync(config.paths.workspace)) {
+        warnings.push(`Workspace ${config.paths.workspace} does not exist`);
+    } else {
+        config.build.projects.forEach(project => {
+            if (!fs.existsSync(project)) {
+                warnings.push(`Project file ${project} does not exist`);
+            }
+        });
+    }
+}
+
+// Build the effective configuration. Throws ConfigError listing every problem.
+function loadConfig({ env = process.env, file } = {}) {
+    const issues = [];
+    const warnings = [];
+    const sources = ['defaults'];
+
+    // Deep copy so resolving paths never mutates DEFAULTS
+    let config = JSON.parse(JSON.stringify(DEFAULTS));
+
+    const configFile = file || env.BUILD_API_CONFIG || CONFIG_FILE_CANDIDATES.find(candidate => fs.existsSync(candidate));
+    if (configFile) {
+        if (!fs.existsSync(configFile)) {
+            throw new ConfigError([`Config file ${configFile} does not exist`]);
+        }
+        try {
+            config = deepMerge(config, readConfigFile(configFile));
+            sources.push(configFile);
+        } catch (error) {
+            if (error instanceof ConfigError) throw error;
+            throw new ConfigError([`Cannot parse ${configFile}: ${error.message}`]);
+        }
+    }
+
+    const { overrides, applied } = fromEnvironment(env, issues);
+    config = deepMerge(config, overrides);
+    if (applied.length > 0) {
+        sources.push(`env: ${applied.join(', ')}`);
+    }
+
+    if (isPlainObject(config.paths) && typeof config.paths.workspace === 'string') {
+        validate(config, issues);
+    } else {
+        issues.push('paths.workspace must be a non-empty string');
+    }
+    if (issues.length > 0) {
+        throw new ConfigError(issues);
+    }
+
+    resolvePaths(config);
+    checkPaths(config, warnings);
+    return Object.freeze({ ...config, meta: { sources, warnings } });
+}
+
+// Copy of the config safe to show over the API
+function redactConfig(value, key = '') {
+    if (Array.isArray(value)) return value.map(item => redactConfig(item));
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, redactConfig(child, childKey)]));
+    }
+    return SECRET_KEY_PATTERN.test(key) && value ? '[redacted]' : value;
+}
+
+module.exports = {
+    DEFAULTS,
+    ENV_MAP,
+    ConfigError,
+    loadConfig,
+    redactConfig
+};
@@ -0,0 +1,48 @@
+// C# naming rules shared by the template renderer, the spec code generator and
+// the template writer.
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const CSHARP_KEYWORDS = new Set(('abstract as base bool break byte case catch char checked class const continue '
+    + 'decimal default delegate do double else enum event explicit extern false finally fixed float for foreach '
+    + 'goto if implicit in int interface internal is lock long namespace new null object operator out override '
+    + 'params private protected public readonly ref return sbyte sealed short sizeof stackalloc static string '
+    + 'struct switch this throw true try typeof uint ulong unchecked unsafe ushort using virtual void volatile while')
+    .split(' '));
+
+// NinjaScript base and framework types a generated class must not be named
+// after; the generated-code region adds partial members to several of these
+const RESERVED_TYPE_NAMES = new Set(['Indicator', 'Strategy', 'MarketAnalyzerColumn', 'AddOnBase',
+    'NinjaScript', 'NinjaScriptBase', 'NinjaTrader', 'Series', 'ISeries', 'Brushes', 'Brush', 'Cbi', 'Gui',
+    'Core', 'Data', 'DrawingTools', 'Indicators', 'Strategies', 'AddOns', 'System']);
+
+// Push an issue and return false unless value is a usable C# identifier
+function checkIdentifier(value, label, issues) {
+    if (typeof value !== 'string' || !IDENTIFIER_PATTERN.test(value)) {
+        issues.push(`${label} must be a C# identifier (got ${JSON.stringify(value)})`);
+        return false;
+    }
+    if (CSHARP_KEYWORDS.has(value)) {
+        issues.push(`${label} ${value} is a C# keyword`);
+        return false;
+    }
+    return true;
+}
+
+// As checkIdentifier, and also rejects NinjaScript framework type names
+function checkClassName(value, label, issues) {
+    if (!checkIdentifier(value, label, issues)) return false;
+    if (RESERVED_TYPE_NAMES.has(value)) {
+        issues.push(`${label} ${value} is a reserved NinjaScript type name`);
+        return false;
+    }
+    return true;
+}
+
+module.exports = {
+    IDENTIFIER_PATTERN,
+    CSHARP_KEYWORDS,
+    RESERVED_TYPE_NAMES,
+    checkIdentifier,
+    checkClassName
+};
@@ -0,0 +1,126 @@
+const path = require('path');
+
+// MSBuild/Roslyn canonical error format:
+//   origin(line,col[,endLine,endCol]): severity CODE: message [project]
+// where origin is a file path, or a tool name such as CSC or MSBUILD.
+// Multi-node builds prefix lines with the node number ("  1>"). Paths may
+// hold parentheses ("C:\Program Files (x86)\..."), so the origin runs up to
+// the (line,col) that is directly followed by the colon.
+const DIAGNOSTIC_PATTERN = new RegExp(
+    '^\\s*(?:\\d+>)?' +
+    '(?:(?<origin>(?:[A-Za-z]:)?[^:]*?)' +
+    '(?:\\((?<line>\\d+)(?:,(?<column>\\d+))?(?:,(?<endLine>\\d+),(?<endColumn>\\d+))?\\))?' +
+    '\\s*:\\s*)?' +
+    '(?<severity>error|warning|info)\\s+(?<code>[A-Z]{2,}\\d+)\\s*:\\s*' +
+    '(?<message>.*?)' +
+    '(?:\\s+\\[(?<project>[^\\]]+)\\])?\\s*$'
+);
+
+// Origins that name the reporting tool rather than a file
+const TOOL_ORIGINS = ['CSC', 'MSBUILD', 'EXEC', 'RESGEN', 'NUGET'];
+
+// Parse one line of build output; returns null for anything that is not a diagnostic
+function parseDiagnosticLine(line, options = {}) {
+    const match = DIAGNOSTIC_PATTERN.exec(line);
+    if (!match) return null;
+
+    const { origin, line: lineNo, column, endLine, endColumn, severity, code, message, project } = match.groups;
+    const trimmedOrigin = origin ? origin.trim() : '';
+    const isTool = !trimmedOrigin || TOOL_ORIGINS.includes(trimmedOrigin.toUpperCase());
+    const file = isTool ? null : trimmedOrigin;
+
+    const diagnostic = {
+        severity,
+        code,
+        message: message.trim(),
+        file,
+        relativeFile: file && options.baseDir ? toRelative(file, options.baseDir) : null,
+        line: lineNo ? parseInt(lineNo, 10) : null,
+        column: column ? parseInt(column, 10) : null,
+        endLine: endLine ? parseInt(endLine, 10) : null,
+        endColumn: endColumn ? parseInt(endColumn, 10) : null,
+        project: project ? project.trim() : null,
+        tool: isTool ? (trimmedOrigin || null) : null
+    };
+
+    return diagnostic;
+}
+
+function toRelative(file, baseDir) {
+    // Windows paths from a build log cannot be mapped onto this workspace
+    if (path.sep === '/' && /^[A-Za-z]:[\\/]/.test(file)) return null;
+
+    const relative = path.relative(baseDir, path.resolve(baseDir, file));
+    return relative.startsWith('..') ? null : relative.split(path.sep).join('/');
+}
+
+// Parse build output into a deduplicated list of diagnostics. dotnet build
+// repeats every diagnostic in its end-of-build summary, and multi-target
+// builds report the same error once per target, hence the dedupe.
+function parseDiagnostics(output, options = {}) {
+    const seen = new Map();
+
+    String(output || '').split(/\r?\n/).forEach(line => {
+        const diagnostic = parseDiagnosticLine(line, options);
+        if (!diagnostic) return;
+
+        const key = [
+            diagnostic.severity, diagnostic.code, diagnostic.file,
+            diagnostic.line, diagnostic.column, diagnostic.message, diagnostic.project
+        ].join('|');
+
+        if (seen.has(key)) {
+            seen.get(key).occurrences++;
+        } else {
+            seen.set(key, { ...diagnostic, occurrences: 1 });
+        }
+    });
+
+    return Array.from(seen.values());
+}
+
+// Counts per severity and per code, errors first
+function summarizeDiagnostics(diagnostics) {
+    const summary = {
+        errors: 0,
+        warnings: 0,
+        info: 0,
+        files: 0,
+        byCode: []
+    };
+
+    const byCode = new Map();
+    const files = new Set();
+
+    diagnostics.forEach(diagnostic => {
+        if (diagnostic.severity === 'error') summary.errors++;
+        else if (diagnostic.severity === 'warning') summary.warnings++;
+        else summary.info++;
+
+        if (diagnostic.file) files.add(diagnostic.file);
+
+        const key = `${diagnostic.severity}:${diagnostic.code}`;
+        if (!byCode.has(key)) {
+            byCode.set(key, {
+                code: diagnostic.code,
+                severity: diagnostic.severity,
+                count: 0,
+                firstMessage: diagnostic.message
+            });
+        }
+        byCode.get(key).count++;
+    });
+
+    const severityRank = { error: 0, warning: 1, info: 2 };
+    summary.files = files.size;
+    summary.byCode = Array.from(byCode.values())
+        .sort((a, b) => severityRank[a.severity] - severityRank[b.severity] || b.count - a.count);
+
+    return summary;
+}
+
+module.exports = {
+    parseDiagnosticLine,
+    parseDiagnostics,
+    summarizeDiagnostics
+};
@@ -0,0 +1,492 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { unifiedDiff } = require('./unified-diff');
+
+// Dockerfile templates (Dockerfile.<runtime> in each configured template
+// set) and the audit that scripts/audit_dockerfiles.py used to produce:
+// base images, multi-stage use, duplicate files, unpinned image tags, final
+// stages without USER or HEALTHCHECK, and drift between the template sets.
+
+// Same aliases as scripts/build-service.sh
+const RUNTIME_ALIASES = {
+    js: 'node',
+    javascript: 'node',
+    csharp: 'dotnet',
+    cs: 'dotnet'
+};
+// Build args the render options name directly
+const NAMED_ARGS = {
+    serviceName: 'SERVICE_NAME',
+    serviceType: 'SERVICE_TYPE',
+    port: 'SERVICE_PORT',
+    userId: 'USER_ID'
+};
+// Content patterns counted by the audit, as in audit_dockerfiles.py
+const PATTERNS = {
+    python_poetry: /poetry (install|lock)/,
+    python_uvicorn: /uvicorn/,
+    multi_stage: /^FROM .* AS /im,
+    cuda: /nvidia|cuda/i,
+    rust_cargo: /cargo build/,
+    node_react: /npm (ci|install)|yarn/,
+    dotnet: /dotnet (build|restore)/
+};
+const TEMPLATE_FILE_PATTERN = /^Dockerfile\.([A-Za-z0-9][A-Za-z0-9_-]*)$/;
+const ARG_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const SERVICE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,62}$/;
+const SKIPPED_DIRS = new Set(['node_modules', 'bin', 'obj', 'target', 'dist']);
+// Dockerfiles read from scanDirs per audit
+const MAX_SCANNED_FILES = 1000;
+
+class DockerTemplateError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'DockerTemplateError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function shortHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+// Instructions with continuation lines joined and comments dropped:
+// [{ keyword, value, line }] where line is 1-based
+function parseDockerfile(content) {
+    const instructions = [];
+    let current = null;
+    content.split(/\r?\n/).forEach((raw, index) => {
+        const trimmed = raw.trim();
+        if (!current && (trimmed === '' || trimmed.startsWith('#'))) return;
+        if (current && trimmed.startsWith('#')) return;
+
+        const continued = /\\\s*$/.test(raw);
+        const text = continued ? raw.replace(/\\\s*$/, '') : raw;
+        if (current) {
+            current.value += ` ${text.trim()}`;
+        } else {
+            const match = text.trim().match(/^(\S+)\s*(.*)$/);
+            current = { keyword: match[1].toUpperCase(), value: match[2], line: index + 1 };
+        }
+        if (!continued) {
+            current.value = current.value.trim();
+            instructions.push(current);
+            current = null;
+        }
+    });
+    if (current) instructions.push(current);
+    return instructions;
+}
+
+// ARG value: "NAME", "NAME=value" or NAME="quoted value"
+function parseArg(value) {
+    const match = value.match(/^([A-Za-z_][A-Za-z0-9_]*)(?:=(.*))?$/);
+    if (!match) return null;
+    let defaultValue = match[2] === undefined ? null : match[2].trim();
+    if (defaultValue !== null && /^(".*"|'.*')$/.test(defaultValue)) {
+        defaultValue = defaultValue.slice(1, -1);
+    }
+    return { name: match[1], default: defaultValue };
+}
+
+// ${NAME}, ${NAME:-default} and $NAME from ARG defaults; unknown names stay
+function substituteArgs(text, args) {
+    return text.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}|\$([A-Za-z_][A-Za-z0-9_]*)/g,
+        (match, braced, fallback, bare) => {
+            const value = args[braced || bare];
+            if (value !== undefined && value !== null && value !== '') return value;
+            return fallback !== undefined ? fallback : match;
+        });
+}
+
+// Tag problem of a resolved image reference, or null when it is pinned
+function imageTagIssue(image) {
+    if (image === 'scratch' || image.includes('@sha256:')) return null;
+    if (image.includes('$')) return 'depends on a build arg without a default';
+    const name = image.split('/').pop();
+    if (!name.includes(':')) return 'has no tag (implicitly :latest)';
+    if (name.endsWith(':latest')) return 'uses the :latest tag';
+    return null;
+}
+
+// Stages, base images and findings of one Dockerfile
+function analyzeDockerfile(content) {
+    const instructions = parseDockerfile(content);
+    const globalArgs = {};
+    const stages = [];
+    const findings = [];
+
+    instructions.forEach(instruction => {
+        const { keyword, value, line } = instruction;
+        if (keyword === 'FROM') {
+            const parts = value.split(/\s+/).filter(part => !part.startsWith('--'));
+            const name = parts.length >= 3 && parts[1].toUpperCase() === 'AS' ? parts[2] : null;
+            const image = parts[0] || '';
+            const stageRef = stages.find(stage => stage.name && stage.name.toLowerCase() === image.toLowerCase());
+            stages.push({
+                name,
+                image,
+                resolvedImage: stageRef ? null : substituteArgs(image, globalArgs),
+                from: stageRef ? stageRef.name : null,
+                line,
+                user: null,
+                healthcheck: null,
+                exposes: []
+            });
+            return;
+        }
+
+        const stage = stages[stages.length - 1];
+        if (keyword === 'ARG') {
+            const arg = parseArg(value);
+            if (arg && !stage) globalArgs[arg.name] = arg.default;
+        } else if (!stage) {
+            return;
+        } else if (keyword === 'USER') {
+            stage.user = { value, line };
+        } else if (keyword === 'HEALTHCHECK') {
+            stage.healthcheck = { disabled: /^NONE\b/i.test(value), line };
+        } else if (keyword === 'EXPOSE') {
+            stage.exposes.push(...value.split(/\s+/));
+        }
+    });
+
+    stages.filter(stage => stage.resolvedImage).forEach(stage => {
+        const issue = imageTagIssue(stage.resolvedImage);
+        if (issue) {
+            findings.push({
+                severity: 'warning',
+                code: 'unpinned_tag',
+                message: `Base image ${stage.image}${stage.resolvedImage !== stage.image ? ` (${stage.resolvedImage})` : ''} ${issue}`,
+                line: stage.line
+            });
+        }
+    });
+
+    const final = stages[stages.length - 1];
+    if (!final) {
+        findings.push({ severity: 'error', code: 'no_from', message: 'No FROM instruction', line: null });
+    } else {
+        const user = final.user ? final.user.value.split(':')[0] : null;
+        if (!user) {
+            findings.push({
+                severity: 'warning',
+                code: 'missing_user',
+                message: 'Final stage has no USER instruction and runs as the base image user (usually root)',
+                line: final.line
+            });
+        } else if (user === 'root' || user === '0') {
+            findings.push({ severity: 'warning', code: 'root_user', message: 'Final stage runs as root', line: final.user.line });
+        }
+        if (!final.healthcheck || final.healthcheck.disabled) {
+            findings.push({
+                severity: 'warning',
+                code: 'missing_healthcheck',
+                message: final.healthcheck ? 'HEALTHCHECK NONE disables the health check' : 'Final stage has no HEALTHCHECK',
+                line: final.healthcheck ? final.healthcheck.line : final.line
+            });
+        }
+    }
+
+    return {
+        stages: stages.map(({ healthcheck, user, ...stage }) => ({ ...stage, user: user ? user.value : null, healthcheck: Boolean(healthcheck && !healthcheck.disabled) })),
+        baseImages: stages.filter(stage => stage.resolvedImage).map(stage => stage.image),
+        multiStage: stages.length > 1,
+        user: final && final.user ? final.user.value : null,
+        healthcheck: Boolean(final && final.healthcheck && !final.healthcheck.disabled),
+        args: instructions.filter(instruction => instruction.keyword === 'ARG').map(instruction => parseArg(instruction.value)).filter(Boolean),
+        findings
+    };
+}
+
+// Quote an ARG default when Docker would otherwise split or expand it
+function formatArgValue(value) {
+    if (/^[A-Za-z0-9_.,:/@%+=-]+$/.test(value)) return value;
+    return `"${value.replace(/["\\$]/g, '\\$&')}"`;
+}
+
+// Build args from render options: the named ones plus { args: { NAME: value } }
+function collectBuildArgs(options = {}) {
+    const args = {};
+    const { serviceName, serviceType, port, userId } = options;
+
+    [['serviceName', serviceName], ['serviceType', serviceType]].forEach(([option, value]) => {
+        if (value === undefined) return;
+        if (typeof value !== 'string' || !SERVICE_NAME_PATTERN.test(value)) {
+            throw new DockerTemplateError(`${option} must be letters, digits, "_", "." and "-" (max 63)`, 400, { code: 'invalid_args' });
+        }
+        args[NAMED_ARGS[option]] = value;
+    });
+    if (port !== undefined) {
+        const number = Number(port);
+        if (!Number.isInteger(number) || number < 1 || number > 65535) {
+            throw new DockerTemplateError(`port must be between 1 and 65535 (got ${JSON.stringify(port)})`, 400, { code: 'invalid_args' });
+        }
+        args.SERVICE_PORT = String(number);
+    }
+    if (userId !== undefined) {
+        const number = Number(userId);
+        // 0 would make the non-root user root again
+        if (!Number.isInteger(number) || number < 1 || number > 2147483647) {
+            throw new DockerTemplateError(`userId must be a positive integer (got ${JSON.stringify(userId)})`, 400, { code: 'invalid_args' });
+        }
+        args.USER_ID = String(number);
+    }
+
+    if (options.args !== undefined) {
+        if (!options.args || typeof options.args !== 'object' || Array.isArray(options.args)) {
+            throw new DockerTemplateError('args must be an object of build arg names to values', 400, { code: 'invalid_args' });
+        }
+        Object.entries(options.args).forEach(([name, value]) => {
+            if (!ARG_NAME_PATTERN.test(name)) {
+                throw new DockerTemplateError(`Invalid build arg name: ${name}`, 400, { code: 'invalid_args' });
+            }
+            if (!['string', 'number', 'boolean'].includes(typeof value) || /[\r\n]/.test(String(value))) {
+                throw new DockerTemplateError(`Build arg ${name} must be a single-line string, number or boolean`, 400, { code: 'invalid_args' });
+            }
+            args[name] = String(value);
+        });
+    }
+    return args;
+}
+
+// Replace the defaults of every ARG line that declares one of args; a plain
+// `docker build` of the result then behaves like passing them as --build-arg
+function applyBuildArgs(content, args) {
+    const used = new Set();
+    const rendered = content.split('\n').map(line => {
+        const match = line.match(/^(\s*ARG\s+)([A-Za-z_][A-Za-z0-9_]*)(?:=[^\r]*)?(\r?)$/i);
+        if (!match || !(match[2] in args)) return line;
+        used.add(match[2]);
+        return `${match[1]}${match[2]}=${formatArgValue(args[match[2]])}${match[3]}`;
+    }).join('\n');
+    return { content: rendered, unused: Object.keys(args).filter(name => !used.has(name)) };
+}
+
+function listDockerfiles(dir, limit) {
+    const files = [];
+    const walk = (current) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(current, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        entries.forEach(entry => {
+            if (files.length >= limit || entry.name.startsWith('.')) return;
+            const entryPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                if (!SKIPPED_DIRS.has(entry.name)) walk(entryPath);
+            } else if (entry.isFile() && /^Dockerfile(\..+)?$|\.Dockerfile$/.test(entry.name)) {
+                files.push(entryPath);
+            }
+        });
+    };
+    walk(dir);
+    return files;
+}
+
+function countChanges(diff) {
+    const lines = diff.split('\n').filter(line => !line.startsWith('---') && !line.startsWith('+++'));
+    return {
+        added: lines.filter(line => line.startsWith('+')).length,
+        removed: lines.filter(line => line.startsWith('-')).length
+    };
+}
+
+class DockerTemplates {
+    // options: { sets: { name: dir } (the first is the default set), scanDirs, root }
+    constructor(options = {}) {
+        this.sets = options.sets || {};
+        this.scanDirs = options.scanDirs || [];
+        this.root = options.root || process.cwd();
+    }
+
+    _relative(file) {
+        return path.relative(this.root, file).split(path.sep).join('/');
+    }
+
+    get defaultSet() {
+        return Object.keys(this.sets)[0] || null;
+    }
+
+    // { runtime: file } of one set; a missing directory is an empty set
+    _templateFiles(set) {
+        const dir = this.sets[set];
+        if (!dir || !fs.existsSync(dir)) return {};
+        const files = {};
+        fs.readdirSync(dir).sort().forEach(name => {
+            const match = name.match(TEMPLATE_FILE_PATTERN);
+            if (match) files[match[1]] = path.join(dir, name);
+        });
+        return files;
+    }
+
+    listSets() {
+        return Object.entries(this.sets).map(([name, dir]) => ({
+            name,
+            path: this._relative(dir),
+            exists: fs.existsSync(dir),
+            runtimes: Object.keys(this._templateFiles(name))
+        }));
+    }
+
+    list() {
+        const templates = [];
+        Object.keys(this.sets).forEach(set => {
+            Object.entries(this._templateFiles(set)).forEach(([runtime, file]) => {
+                const content = fs.readFileSync(file, 'utf8');
+                const analysis = analyzeDockerfile(content);
+                templates.push({
+                    set,
+                    runtime,
+                    path: this._relative(file),
+                    hash: shortHash(content),
+                    lines: content.split('\n').length,
+                    baseImages: analysis.baseImages,
+                    args: analysis.args
+                });
+            });
+        });
+        return templates;
+    }
+
+    // Template content plus its parsed ARGs. set defaults to the first set.
+    get(runtime, set = this.defaultSet) {
+        if (!Object.hasOwn(this.sets, set)) {
+            throw new DockerTemplateError(`Unknown template set: ${set}`, 404, {
+                code: 'unknown_set',
+                sets: Object.keys(this.sets)
+            });
+        }
+        const name = Object.hasOwn(RUNTIME_ALIASES, runtime) ? RUNTIME_ALIASES[runtime] : runtime;
+        const files = this._templateFiles(set);
+        if (!Object.hasOwn(files, name)) {
+            throw new DockerTemplateError(`No Dockerfile template for runtime ${runtime} in ${set}`, 404, {
+                code: 'unknown_runtime',
+                runtimes: Object.keys(files)
+            });
+        }
+        const content = fs.readFileSync(files[name], 'utf8');
+        return { set, runtime: name, path: this._relative(files[name]), hash: shortHash(content), content, args: analyzeDockerfile(content).args };
+    }
+
+    // Template with build arg defaults replaced. options: { set, serviceName,
+    // serviceType, port, userId, args }. Args the template does not declare
+    // are reported in unusedArgs, as docker build warns about them.
+    render(runtime, options = {}) {
+        const template = this.get(runtime, options.set || this.defaultSet);
+        const args = collectBuildArgs(options);
+        const { content, unused } = applyBuildArgs(template.content, args);
+        return {
+            set: template.set,
+            runtime: template.runtime,
+            path: template.path,
+            args,
+            unusedArgs: unused,
+            content
+        };
+    }
+
+    // Audit every template plus Dockerfiles under scanDirs. With diff, drift
+    // entries carry the unified diff between the sets.
+    audit({ diff = false } = {}) {
+        const sources = [];
+        Object.keys(this.sets).forEach(set => {
+            Object.entries(this._templateFiles(set)).forEach(([runtime, file]) => sources.push({ file, set, runtime }));
+        });
+        const known = new Set(sources.map(source => source.file));
+        this.scanDirs.forEach(dir => {
+            listDockerfiles(dir, MAX_SCANNED_FILES)
+                .filter(file => !known.has(file))
+                .forEach(file => sources.push({ file, set: null, runtime: null }));
+        });
+
+        const records = sources.map(({ file, set, runtime }) => {
+            const content = fs.readFileSync(file, 'utf8');
+            const analysis = analyzeDockerfile(content);
+            return {
+                path: this._relative(file),
+                set,
+                runtime,
+                hash: shortHash(content),
+                size: content.split('\n').length,
+                baseImages: analysis.baseImages,
+                stages: analysis.stages,
+                multiStage: analysis.multiStage,
+                user: analysis.user,
+                healthcheck: analysis.healthcheck,
+                tags: Object.keys(PATTERNS).filter(name => PATTERNS[name].test(content)),
+                findings: analysis.findings,
+                content
+            };
+        });
+
+        const byHash = new Map();
+        records.forEach(record => byHash.set(record.hash, [...(byHash.get(record.hash) || []), record]));
+        const duplicates = Array.from(byHash.values()).filter(group => group.length > 1);
+        duplicates.forEach(group => group.forEach(record => {
+            record.duplicateGroup = group[0].hash;
+            record.findings.push({
+                severity: 'info',
+                code: 'duplicate',
+                message: `Identical to ${group.filter(other => other !== record).map(other => other.path).join(', ')}`,
+                line: null
+            });
+        }));
+
+        const drift = this._drift(records, diff);
+        const findingCounts = {};
+        records.forEach(record => record.findings.forEach(finding => {
+            findingCounts[finding.code] = (findingCounts[finding.code] || 0) + 1;
+        }));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            total: records.length,
+            duplicates: duplicates.length,
+            patterns: Object.fromEntries(Object.keys(PATTERNS).map(name => [name, records.filter(record => record.tags.includes(name)).length])),
+            findings: findingCounts,
+            drift,
+            records: records.map(({ content, ...record }) => record)
+        };
+    }
+
+    // Each set compared with the first, runtime by runtime
+    _drift(records, includeDiff) {
+        const [baseSet, ...otherSets] = Object.keys(this.sets);
+        const templatesOf = set => new Map(records.filter(record => record.set === set).map(record => [record.runtime, record]));
+        const base = templatesOf(baseSet);
+
+        const drift = [];
+        otherSets.forEach(set => {
+            const other = templatesOf(set);
+            const runtimes = Array.from(new Set([...base.keys(), ...other.keys()])).sort();
+            runtimes.forEach(runtime => {
+                const a = base.get(runtime);
+                const b = other.get(runtime);
+                const entry = { runtime, sets: [baseSet, set] };
+                if (!a || !b) {
+                    drift.push({ ...entry, status: 'missing', missingFrom: a ? set : baseSet });
+                    return;
+                }
+                if (a.hash === b.hash) {
+                    drift.push({ ...entry, status: 'identical' });
+                    return;
+                }
+                const patch = unifiedDiff(a.content, b.content, { oldLabel: a.path, newLabel: b.path });
+                drift.push({ ...entry, status: 'different', ...countChanges(patch), ...(includeDiff ? { diff: patch } : {}) });
+            });
+        });
+        return drift;
+    }
+}
+
+module.exports = {
+    DockerTemplateError,
+    DockerTemplates,
+    analyzeDockerfile,
+    parseDockerfile
+};
@@ -0,0 +1,292 @@
+// Reads the identity and assembly references of a .NET assembly straight
+// from its PE image and ECMA-335 metadata, so packages can be checked on a
+// machine without Windows or NinjaTrader.
+
+class AssemblyFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AssemblyFormatError';
+    }
+}
+
+const TABLE = {
+    Module: 0x00, TypeRef: 0x01, TypeDef: 0x02, FieldPtr: 0x03, Field: 0x04, MethodPtr: 0x05, MethodDef: 0x06,
+    ParamPtr: 0x07, Param: 0x08, InterfaceImpl: 0x09, MemberRef: 0x0a, Constant: 0x0b, CustomAttribute: 0x0c,
+    FieldMarshal: 0x0d, DeclSecurity: 0x0e, ClassLayout: 0x0f, FieldLayout: 0x10, StandAloneSig: 0x11,
+    EventMap: 0x12, EventPtr: 0x13, Event: 0x14, PropertyMap: 0x15, PropertyPtr: 0x16, Property: 0x17,
+    MethodSemantics: 0x18, MethodImpl: 0x19, ModuleRef: 0x1a, TypeSpec: 0x1b, ImplMap: 0x1c, FieldRVA: 0x1d,
+    EncLog: 0x1e, EncMap: 0x1f, Assembly: 0x20, AssemblyProcessor: 0x21, AssemblyOS: 0x22, AssemblyRef: 0x23,
+    File: 0x26, ExportedType: 0x27, ManifestResource: 0x28, NestedClass: 0x29, GenericParam: 0x2a, MethodSpec: 0x2b,
+    GenericParamConstraint: 0x2c
+};
+
+// Coded index kinds (ECMA-335 II.24.2.6): tag bits and the tables they cover
+const CODED = {
+    TypeDefOrRef: [2, [TABLE.TypeDef, TABLE.TypeRef, TABLE.TypeSpec]],
+    HasConstant: [2, [TABLE.Field, TABLE.Param, TABLE.Property]],
+    HasCustomAttribute: [5, [TABLE.MethodDef, TABLE.Field, TABLE.TypeRef, TABLE.TypeDef, TABLE.Param,
+        TABLE.InterfaceImpl, TABLE.MemberRef, TABLE.Module, TABLE.DeclSecurity, TABLE.Property, TABLE.Event,
+        TABLE.StandAloneSig, TABLE.ModuleRef, TABLE.TypeSpec, TABLE.Assembly, TABLE.AssemblyRef, TABLE.File,
+        TABLE.ExportedType, TABLE.ManifestResource, TABLE.GenericParam, TABLE.GenericParamConstraint, TABLE.MethodSpec]],
+    HasFieldMarshal: [1, [TABLE.Field, TABLE.Param]],
+    HasDeclSecurity: [2, [TABLE.TypeDef, TABLE.MethodDef, TABLE.Assembly]],
+    MemberRefParent: [3, [TABLE.TypeDef, TABLE.TypeRef, TABLE.ModuleRef, TABLE.MethodDef, TABLE.TypeSpec]],
+    HasSemantics: [1, [TABLE.Event, TABLE.Property]],
+    MethodDefOrRef: [1, [TABLE.MethodDef, TABLE.MemberRef]],
+    MemberForwarded: [1, [TABLE.Field, TABLE.MethodDef]],
+    CustomAttributeType: [3, [TABLE.MethodDef, TABLE.MemberRef]],
+    ResolutionScope: [2, [TABLE.Module, TABLE.ModuleRef, TABLE.AssemblyRef, TABLE.TypeRef]],
+    Implementation: [2, [TABLE.File, TABLE.AssemblyRef, TABLE.ExportedType]]
+};
+
+// Columns of every table up to NestedClass, in order: 1/2/4 fixed-size
+// fields, S/G/B heap indexes, T:<table> simple and C:<kind> coded indexes
+const SCHEMA = [
+    [2, 'S', 'G', 'G', 'G'],
+    ['C:ResolutionScope', 'S', 'S'],
+    [4, 'S', 'S', 'C:TypeDefOrRef', `T:${TABLE.Field}`, `T:${TABLE.MethodDef}`],
+    [`T:${TABLE.Field}`],
+    [2, 'S', 'B'],
+    [`T:${TABLE.MethodDef}`],
+    [4, 2, 2, 'S', 'B', `T:${TABLE.Param}`],
+    [`T:${TABLE.Param}`],
+    [2, 2, 'S'],
+    [`T:${TABLE.TypeDef}`, 'C:TypeDefOrRef'],
+    ['C:MemberRefParent', 'S', 'B'],
+    [2, 'C:HasConstant', 'B'],
+    ['C:HasCustomAttribute', 'C:CustomAttributeType', 'B'],
+    ['C:HasFieldMarshal', 'B'],
+    [2, 'C:HasDeclSecurity', 'B'],
+    [2, 4, `T:${TABLE.TypeDef}`],
+    [4, `T:${TABLE.Field}`],
+    ['B'],
+    [`T:${TABLE.TypeDef}`, `T:${TABLE.Event}`],
+    [`T:${TABLE.Event}`],
+    [2, 'S', 'C:TypeDefOrRef'],
+    [`T:${TABLE.TypeDef}`, `T:${TABLE.Property}`],
+    [`T:${TABLE.Property}`],
+    [2, 'S', 'B'],
+    [2, `T:${TABLE.MethodDef}`, 'C:HasSemantics'],
+    [`T:${TABLE.TypeDef}`, 'C:MethodDefOrRef', 'C:MethodDefOrRef'],
+    ['S'],
+    ['B'],
+    [2, 'C:MemberForwarded', 'S', `T:${TABLE.ModuleRef}`],
+    [4, `T:${TABLE.Field}`],
+    [4, 4],
+    [4],
+    [4, 2, 2, 2, 2, 4, 'B', 'S', 'S'],
+    [4],
+    [4, 4, 4],
+    [2, 2, 2, 2, 4, 'B', 'S', 'S', 'B'],
+    [4, `T:${TABLE.AssemblyRef}`],
+    [4, 4, 4, `T:${TABLE.AssemblyRef}`],
+    [4, 'S', 'B'],
+    [4, 4, 'S', 'S', 'C:Implementation'],
+    [4, 4, 'S', 'C:Implementation'],
+    [`T:${TABLE.TypeDef}`, `T:${TABLE.TypeDef}`]
+];
+
+// TypeDef visibility (ECMA-335 II.23.1.15): Public and NestedPublic
+const VISIBILITY_MASK = 0x7;
+const PUBLIC = 1;
+const NESTED_PUBLIC = 2;
+
+const MACHINES = { 0x14c: 'x86', 0x8664: 'x64', 0xaa64: 'arm64', 0x1c4: 'arm' };
+
+function check(condition, message) {
+    if (!condition) throw new AssemblyFormatError(message);
+}
+
+// PE sections as { virtualAddress, virtualSize, rawOffset, rawSize }
+function readPe(buffer) {
+    check(buffer.length >= 64 && buffer.toString('latin1', 0, 2) === 'MZ', 'Not a PE file (no MZ header)');
+    const pe = buffer.readUInt32LE(0x3c);
+    check(pe + 24 <= buffer.length && buffer.readUInt32LE(pe) === 0x00004550, 'Not a PE file (no PE signature)');
+
+    const machine = buffer.readUInt16LE(pe + 4);
+    const sectionCount = buffer.readUInt16LE(pe + 6);
+    const optionalSize = buffer.readUInt16LE(pe + 20);
+    const optional = pe + 24;
+    const magic = buffer.readUInt16LE(optional);
+    check(magic === 0x10b || magic === 0x20b, 'Unknown PE optional header');
+
+    // Data directory 14 is the CLI header
+    const directories = optional + (magic === 0x20b ? 112 : 96);
+    const directoryCount = buffer.readUInt32LE(optional + (magic === 0x20b ? 108 : 92));
+    const cliRva = directoryCount > 14 ? buffer.readUInt32LE(directories + 14 * 8) : 0;
+
+    const sections = [];
+    const table = optional + optionalSize;
+    for (let i = 0; i < sectionCount; i++) {
+        const offset = table + i * 40;
+        check(offset + 40 <= buffer.length, 'Section table is truncated');
+        sections.push({
+            virtualSize: buffer.readUInt32LE(offset + 8),
+            virtualAddress: buffer.readUInt32LE(offset + 12),
+            rawSize: buffer.readUInt32LE(offset + 16),
+            rawOffset: buffer.readUInt32LE(offset + 20)
+        });
+    }
+
+    const toOffset = rva => {
+        const section = sections.find(s => rva >= s.virtualAddress && rva < s.virtualAddress + Math.max(s.virtualSize, s.rawSize));
+        check(section, `RVA 0x${rva.toString(16)} is outside every section`);
+        return rva - section.virtualAddress + section.rawOffset;
+    };
+
+    return { machine, pe32Plus: magic === 0x20b, cliRva, toOffset };
+}
+
+function readStreams(buffer, root) {
+    check(buffer.readUInt32LE(root) === 0x424a5342, 'Metadata signature missing');
+    const versionLength = buffer.readUInt32LE(root + 12);
+    const runtimeVersion = buffer.toString('latin1', root + 16, root + 16 + versionLength).replace(/\0.*$/s, '');
+    let offset = root + 16 + versionLength + 2;
+    const count = buffer.readUInt16LE(offset);
+    offset += 2;
+
+    const streams = {};
+    for (let i = 0; i < count; i++) {
+        const streamOffset = buffer.readUInt32LE(offset);
+        const size = buffer.readUInt32LE(offset + 4);
+        let end = offset + 8;
+        while (buffer[end] !== 0) end++;
+        const name = buffer.toString('latin1', offset + 8, end);
+        streams[name] = { offset: root + streamOffset, size };
+        offset = (end + 4) & ~3;
+    }
+    return { runtimeVersion, streams };
+}
+
+// Identity and references of a .NET assembly:
+// { name, version, culture, runtimeVersion, architecture, ilOnly, references: [{ name, version, culture }] }
+// plus publicTypes (full names, nested types as Outer+Inner) with
+// options.types. Throws AssemblyFormatError for native DLLs and anything unreadable.
+function readAssemblyInfo(buffer, options = {}) {
+    try {
+        return parseAssembly(buffer, options);
+    } catch (error) {
+        if (error instanceof AssemblyFormatError) throw error;
+        // Offsets pointing past the end of a truncated or hand-made file
+        throw new AssemblyFormatError(`Malformed assembly: ${error.message}`);
+    }
+}
+
+function parseAssembly(buffer, options) {
+    const { machine, pe32Plus, cliRva, toOffset } = readPe(buffer);
+    check(cliRva !== 0, 'Native DLL - no .NET CLI header');
+
+    const cli = toOffset(cliRva);
+    const metadataRva = buffer.readUInt32LE(cli + 8);
+    const flags = buffer.readUInt32LE(cli + 16);
+    const { runtimeVersion, streams } = readStreams(buffer, toOffset(metadataRva));
+    const tables = streams['#~'] || streams['#-'];
+    check(tables && streams['#Strings'], 'Metadata has no tables stream');
+
+    let offset = tables.offset;
+    const heapSizes = buffer[offset + 6];
+    const valid = buffer.readBigUInt64LE(offset + 8);
+    offset += 24;
+
+    const rows = new Array(64).fill(0);
+    for (let table = 0; table < 64; table++) {
+        if ((valid >> BigInt(table)) & 1n) {
+            rows[table] = buffer.readUInt32LE(offset);
+            offset += 4;
+        }
+    }
+    // Uncompressed (#-) streams may carry 4 extra bytes
+    if (heapSizes & 0x40) offset += 4;
+
+    const heapIndexSize = { S: heapSizes & 0x01 ? 4 : 2, G: heapSizes & 0x02 ? 4 : 2, B: heapSizes & 0x04 ? 4 : 2 };
+    const columnSize = column => {
+        if (typeof column === 'number') return column;
+        if (heapIndexSize[column]) return heapIndexSize[column];
+        const [kind, ref] = column.split(':');
+        if (kind === 'T') return rows[Number(ref)] < 0x10000 ? 2 : 4;
+        const [bits, covered] = CODED[ref];
+        return Math.max(...covered.map(table => rows[table])) < (1 << (16 - bits)) ? 2 : 4;
+    };
+    const rowSizes = SCHEMA.map(columns => columns.reduce((sum, column) => sum + columnSize(column), 0));
+
+    const tableOffsets = [];
+    let position = offset;
+    for (let table = 0; table < SCHEMA.length; table++) {
+        tableOffsets[table] = position;
+        position += rowSizes[table] * rows[table];
+    }
+
+    const readColumns = (table, row) => {
+        let cursor = tableOffsets[table] + row * rowSizes[table];
+        return SCHEMA[table].map(column => {
+            const size = columnSize(column);
+            const value = size === 1 ? buffer[cursor] : size === 2 ? buffer.readUInt16LE(cursor) : buffer.readUInt32LE(cursor);
+            cursor += size;
+            return value;
+        });
+    };
+    const strings = streams['#Strings'];
+    const readString = index => {
+        let end = strings.offset + index;
+        while (buffer[end] !== 0) end++;
+        return buffer.toString('utf8', strings.offset + index, end);
+    };
+
+    check(rows[TABLE.Assembly] > 0, 'Module without an assembly manifest (netmodule)');
+    const [, major, minor, build, revision, , , nameIndex, cultureIndex] = readColumns(TABLE.Assembly, 0);
+
+    const references = [];
+    for (let row = 0; row < rows[TABLE.AssemblyRef]; row++) {
+        const [refMajor, refMinor, refBuild, refRevision, , , refName, refCulture] = readColumns(TABLE.AssemblyRef, row);
+        references.push({
+            name: readString(refName),
+            version: `${refMajor}.${refMinor}.${refBuild}.${refRevision}`,
+            culture: readString(refCulture) || null
+        });
+    }
+
+    const info = {
+        name: readString(nameIndex),
+        version: `${major}.${minor}.${build}.${revision}`,
+        culture: readString(cultureIndex) || null,
+        runtimeVersion,
+        // ILONLY without 32BITREQUIRED runs as AnyCPU
+        architecture: (flags & 0x1) && !(flags & 0x2) && !pe32Plus ? 'AnyCPU' : (MACHINES[machine] || `0x${machine.toString(16)}`),
+        ilOnly: (flags & 0x1) !== 0,
+        references
+    };
+    if (options.types) info.publicTypes = readPublicTypes(rows, readColumns, readString);
+    return info;
+}
+
+// Types visible outside the assembly, sorted; a nested type counts only
+// when every type enclosing it is public too
+function readPublicTypes(rows, readColumns, readString) {
+    const enclosing = new Map();
+    for (let row = 0; row < rows[TABLE.NestedClass]; row++) {
+        const [nested, outer] = readColumns(TABLE.NestedClass, row);
+        enclosing.set(nested, outer);
+    }
+
+    const types = new Map();
+    for (let row = 0; row < rows[TABLE.TypeDef]; row++) {
+        const [typeFlags, name, namespace] = readColumns(TABLE.TypeDef, row);
+        types.set(row + 1, { visibility: typeFlags & VISIBILITY_MASK, name: readString(name), namespace: readString(namespace) });
+    }
+
+    const fullName = (index, depth = 0) => {
+        const type = types.get(index);
+        if (!type || depth > 64) return null;
+        if (type.visibility === PUBLIC) return type.namespace ? `${type.namespace}.${type.name}` : type.name;
+        if (type.visibility !== NESTED_PUBLIC || !enclosing.has(index)) return null;
+        const outer = fullName(enclosing.get(index), depth + 1);
+        return outer ? `${outer}+${type.name}` : null;
+    };
+
+    return Array.from(types.keys()).map(index => fullName(index)).filter(Boolean).sort();
+}
+
+module.exports = {
+    AssemblyFormatError,
+    readAssemblyInfo
+};
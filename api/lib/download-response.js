@@ -0,0 +1,29 @@
+// Completion callback for res.download() / res.sendFile() of a package.
+// send reports 412 (failed If-Match / If-Unmodified-Since) and 416
+// (unsatisfiable Range) as errors; those keep their status and headers
+// (Content-Range: bytes */size) and everything else becomes a 500. The
+// JSON error body replaces the attachment headers sendFile already set.
+// options: { label } for the log, { envelope } to add success: false as
+// the /api/artifacts routes do, { onSent } called after a full download.
+function downloadCallback(res, options = {}) {
+    const { label = 'Download', envelope = false, onSent } = options;
+    return (err) => {
+        if (!err) {
+            if (onSent) onSent();
+            return;
+        }
+        const status = err.status || 500;
+        if (status >= 500) console.error(`${label} error:`, err);
+        if (res.headersSent) return;
+
+        res.removeHeader('Content-Disposition');
+        res.removeHeader('Content-Type');
+        if (err.headers) res.set(err.headers);
+        const error = status >= 500 ? 'Download failed' : err.message;
+        res.status(status).json(envelope ? { success: false, error } : { error });
+    };
+}
+
+module.exports = {
+    downloadCallback
+};
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { runProcess } = require('./process-runner');
+const { isInside, realPath } = require('./path-guard');
+
+// Git access for builds: resolving a branch, tag or commit, describing a
+// commit for package manifests, checking a commit out into a throwaway
+// worktree and listing the commits between two revisions.
+
+// Branch, tag and commit names plus ~ / ^ suffixes. Ranges (..), reflog
+// selectors (@{) and anything starting with '-' are refused before git sees them.
+const REF_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._/~^-]*$/;
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+const COMMIT_FORMAT = ['%H', '%h', '%an', '%ae', '%aI', '%s'].join('%x1f');
+
+class GitError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'GitError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function parseCommit(record) {
+    const [commit, shortCommit, authorName, authorEmail, date, subject] = record.split(FIELD_SEPARATOR);
+    return { commit, shortCommit, author: { name: authorName, email: authorEmail }, date, subject };
+}
+
+class GitWorkspace {
+    // options: { repoDir, worktreeDir, timeoutMs }
+    constructor(options = {}) {
+        this.repoDir = options.repoDir;
+        this.worktreeDir = options.worktreeDir;
+        this.timeoutMs = options.timeoutMs || 60000;
+        this.root = null;
+    }
+
+    async _git(args, { cwd = this.repoDir, timeout = this.timeoutMs } = {}) {
+        const result = await runProcess('git', args, { cwd, timeout });
+        if (result.error) {
+            const message = (result.stderr || result.error.message).trim().split('\n').pop();
+            throw new GitError(`git ${args[0]} failed: ${message}`, 500, { code: 'git_failed' });
+        }
+        return result.stdout;
+    }
+
+    // Top-level directory of the repository, or null when repoDir is not in one
+    async repositoryRoot() {
+        if (this.root) return this.root;
+        if (!this.repoDir || !fs.existsSync(this.repoDir)) return null;
+        try {
+            this.root = (await this._git(['rev-parse', '--show-toplevel'])).trim();
+        } catch (error) {
+            return null;
+        }
+        return this.root;
+    }
+
+    async _requireRepository() {
+        const root = await this.repositoryRoot();
+        if (!root) {
+            throw new GitError(`${this.repoDir} is not a git repository`, 400, { code: 'not_a_repository' });
+        }
+        return root;
+    }
+
+    // Full commit hash for a branch, tag or commit; 404 when it does not exist
+    async resolveRef(ref) {
+        if (typeof ref !== 'string' || !REF_PATTERN.test(ref) || ref.includes('..') || ref.length > 200) {
+            throw new GitError(`Invalid ref: ${JSON.stringify(ref)}`, 400, { code: 'invalid_ref' });
+        }
+        await this._requireRepository();
+
+        const result = await runProcess('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], {
+            cwd: this.repoDir,
+            timeout: this.timeoutMs
+        });
+        if (result.error) {
+            throw new GitError(`Unknown branch, tag or commit: ${ref}`, 404, { code: 'unknown_ref', ref });
+        }
+        return result.stdout.trim();
+    }
+
+    // Commit metadata: { commit, shortCommit, author, date, subject, tags, describe }
+    async describe(rev = 'HEAD') {
+        const [log, tags, describe] = await Promise.all([
+            this._git(['show', '-s', `--format=${COMMIT_FORMAT}`, rev]),
+            this._git(['tag', '--points-at', rev]),
+            this._git(['describe', '--tags', '--always', rev]).catch(() => '')
+        ]);
+        return {
+            ...parseCommit(log.trim()),
+            tags: tags.split('\n').map(tag => tag.trim()).filter(Boolean),
+            describe: describe.trim() || null
+        };
+    }
+
+    // Metadata for a package built from the working tree: HEAD plus whether
+    // tracked files had uncommitted changes. null outside a repository.
+    async describeWorkingTree() {
+        const root = await this.repositoryRoot();
+        if (!root) return null;
+        try {
+            const [commit, status, branch] = await Promise.all([
+                this.describe('HEAD'),
+                this._git(['status', '--porcelain', '--untracked-files=no']),
+                this._git(['symbolic-ref', '--short', '-q', 'HEAD']).catch(() => '')
+            ]);
+            return { ...commit, ref: null, branch: branch.trim() || null, dirty: status.trim() !== '', worktree: false };
+        } catch (error) {
+            // Repository without commits yet
+            return null;
+        }
+    }
+
+    // Check commit out into worktreeDir/name, detached. Returns the directory.
+    async checkout(commit, name) {
+        await this._requireRepository();
+        const dir = path.join(this.worktreeDir, name);
+        if (fs.existsSync(dir)) await this.release(dir);
+        fs.mkdirSync(this.worktreeDir, { recursive: true });
+        await this._git(['worktree', 'add', '--detach', '--force', dir, commit], { timeout: this.timeoutMs * 5 });
+        return dir;
+    }
+
+    async release(dir) {
+        try {
+            await this._git(['worktree', 'remove', '--force', dir]);
+        } catch (error) {
+            fs.rmSync(dir, { recursive: true, force: true });
+            await this._git(['worktree', 'prune']).catch(() => {});
+        }
+    }
+
+    // Remove worktrees left behind by a crash or restart mid-build
+    async cleanup() {
+        if (!this.worktreeDir || !fs.existsSync(this.worktreeDir) || !(await this.repositoryRoot())) return;
+        for (const name of fs.readdirSync(this.worktreeDir)) {
+            await this.release(path.join(this.worktreeDir, name));
+        }
+    }
+
+    // Path inside a worktree corresponding to a path in the main checkout;
+    // paths outside the repository are returned unchanged
+    mapPath(worktree, target) {
+        const real = realPath(target);
+        if (!worktree || !this.root || !isInside(this.root, real)) return target;
+        return path.join(worktree, path.relative(this.root, real));
+    }
+
+    // Commits reachable from `to` but not from `from`, newest first
+    async log(from, to, { limit = 500 } = {}) {
+        await this._requireRepository();
+        const output = await this._git(['log', `--format=${COMMIT_FORMAT}%x1e`, `--max-count=${limit + 1}`, `${from}..${to}`]);
+        const commits = output.split(RECORD_SEPARATOR).map(record => record.trim()).filter(Boolean).map(parseCommit);
+        return { commits: commits.slice(0, limit), truncated: commits.length > limit };
+    }
+}
+
+module.exports = {
+    GitError,
+    GitWorkspace
+};
@@ -0,0 +1,146 @@
+const net = require('net');
+const { EventEmitter } = require('events');
+
+function probeHttp(url, timeoutMs) {
+    return fetch(url, {
+        method: 'GET',
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+    }).then(response => {
+        // Drain the body so the socket is released
+        if (response.body) response.body.cancel().catch(() => {});
+        if (response.status >= 400) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return `HTTP ${response.status}`;
+    }, error => {
+        throw new Error(error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : (error.cause || error).message);
+    });
+}
+
+function probeTcp(host, port, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host, port });
+        socket.setTimeout(timeoutMs);
+        socket.once('connect', () => {
+            socket.destroy();
+            resolve(`TCP ${host}:${port} open`);
+        });
+        socket.once('timeout', () => {
+            socket.destroy();
+            reject(new Error(`Timed out after ${timeoutMs}ms`));
+        });
+        socket.once('error', (error) => {
+            socket.destroy();
+            reject(error);
+        });
+    });
+}
+
+// Periodically probes every registry entry that has a healthCheck and keeps
+// the latest status ('up', 'down', or 'unknown' when there is no check),
+// latency and when the status last changed. Emits 'change' (service, health,
+// previousStatus) when a service goes up or down.
+class HealthProber extends EventEmitter {
+    constructor(registry, options = {}) {
+        super();
+        this.registry = registry;
+        this.intervalMs = options.intervalMs || 30000;
+        this.timeoutMs = options.timeoutMs || 5000;
+        this.health = new Map();
+        this.timer = null;
+        this.running = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.probeAll();
+        this.timer = setInterval(() => this.probeAll(), this.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Health of one service; never-probed services report 'unknown'
+    get(id) {
+        return this.health.get(id) || {
+            status: 'unknown',
+            latencyMs: null,
+            checkedAt: null,
+            lastChange: null,
+            detail: null,
+            error: null
+        };
+    }
+
+    // Probe every service once. Overlapping calls share the run in progress.
+    probeAll() {
+        if (this.running) return this.running;
+
+        const services = this.registry.list();
+        const ids = new Set(services.map(service => service.id));
+        Array.from(this.health.keys())
+            .filter(id => !ids.has(id))
+            .forEach(id => this.health.delete(id));
+
+        this.running = Promise.all(services.map(service => this.probe(service)))
+            .finally(() => {
+                this.running = null;
+            });
+        return this.running;
+    }
+
+    async probe(service) {
+        const check = service.healthCheck;
+        const previous = this.health.get(service.id);
+        const startedAt = Date.now();
+        let status = 'unknown';
+        let detail = null;
+        let error = null;
+
+        if (check) {
+            const timeoutMs = check.timeoutMs || this.timeoutMs;
+            try {
+                detail = check.url
+                    ? await probeHttp(check.url, timeoutMs)
+                    : await probeTcp(check.host, check.port, timeoutMs);
+                status = 'up';
+            } catch (probeError) {
+                status = 'down';
+                error = probeError.message;
+            }
+        }
+
+        const now = new Date().toISOString();
+        const changed = !previous || previous.status !== status;
+        const health = {
+            status,
+            latencyMs: check ? Date.now() - startedAt : null,
+            checkedAt: check ? now : null,
+            lastChange: !check ? null : (changed ? now : previous.lastChange),
+            detail,
+            error
+        };
+
+        // The service may have been removed while the probe was in flight
+        if (!this.registry.get(service.id)) return health;
+
+        this.health.set(service.id, health);
+        if (changed && previous) {
+            console.log(`Service ${service.id} is now ${status}${error ? ` (${error})` : ''}`);
+            this.emit('change', service, health, previous.status);
+        }
+        return health;
+    }
+
+    forget(id) {
+        this.health.delete(id);
+    }
+}
+
+module.exports = {
+    HealthProber
+};
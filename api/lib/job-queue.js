@@ -0,0 +1,340 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TERMINAL_STATES = ['succeeded', 'failed', 'cancelled'];
+
+// In-process job queue for long-running build work.
+//
+// Job types are registered with define(); each type may name a lock, and at
+// most one running job holds a given lock (e.g. 'workspace' for anything that
+// writes to /workspace). History is persisted to a JSON file so finished jobs
+// survive restarts; jobs that were queued or running when the server went
+// down are marked failed on load.
+//
+// Each job also keeps an in-memory event log (status changes, stage markers,
+// output lines and the final result) with sequential ids, so streaming
+// clients can replay from a Last-Event-ID. Logs are kept for the most recent
+// jobs only and are not persisted.
+class JobQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        // Every open stream subscribes to 'event'
+        this.setMaxListeners(0);
+        this.historyFile = options.historyFile || null;
+        this.historyLimit = options.historyLimit || 200;
+        this.concurrency = options.concurrency || 2;
+        this.maxLogEvents = options.maxLogEvents || 20000;
+        this.logRetention = options.logRetention || 20;
+
+        this.definitions = new Map();
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = new Map();
+        this.heldLocks = new Set();
+        this.logs = new Map();
+
+        this._loadHistory();
+    }
+
+    // Register a job type: handler(context) returns the job result. A result
+    // with success === false marks the job failed without throwing. The
+    // context carries { job, params, signal, log(line, stream), stage(name, details) }.
+    define(type, { handler, lock = null }) {
+        this.definitions.set(type, { handler, lock });
+    }
+
+    enqueue(type, params = {}) {
+        const definition = this.definitions.get(type);
+        if (!definition) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            params,
+            lock: definition.lock,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            durationMs: null,
+            result: null,
+            error: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.push(job.id);
+        this._trimHistory();
+        this._saveHistory();
+        this._record(job.id, 'status', { status: job.status });
+        this.emit('queued', job);
+
+        setImmediate(() => this._drain());
+        return this.view(job.id);
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    // Public representation of a job, including its place in the queue
+    view(id, { includeResult = true } = {}) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        const view = { ...job };
+        if (job.status === 'queued') {
+            view.position = this.pending.indexOf(id) + 1;
+        }
+        if (!includeResult) {
+            delete view.result;
+        }
+        return view;
+    }
+
+    list({ status, type, limit = 50 } = {}) {
+        return Array.from(this.jobs.values())
+            .filter(job => !status || job.status === status)
+            .filter(job => !type || job.type === type)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit)
+            .map(job => this.view(job.id, { includeResult: false }));
+    }
+
+    stats() {
+        return {
+            queued: this.pending.length,
+            running: this.running.size,
+            locks: Array.from(this.heldLocks)
+        };
+    }
+
+    // Cancel a queued or running job. Running jobs are aborted through their
+    // AbortSignal, which the process runner turns into a process tree kill.
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        if (job.status === 'queued') {
+            this.pending = this.pending.filter(pendingId => pendingId !== id);
+            this._finish(job, 'cancelled', null, 'Cancelled before start');
+        } else if (job.status === 'running') {
+            const entry = this.running.get(id);
+            if (entry) entry.controller.abort();
+        }
+
+        return this.view(id);
+    }
+
+    // Logged events with an id greater than afterId
+    events(id, afterId = 0) {
+        const log = this.logs.get(id);
+        if (!log) return [];
+        return log.events.filter(event => event.id > afterId);
+    }
+
+    isFinished(id) {
+        const job = this.jobs.get(id);
+        return Boolean(job) && TERMINAL_STATES.includes(job.status);
+    }
+
+    // Resolve with the job view once it reaches a terminal state
+    wait(id) {
+        const job = this.jobs.get(id);
+        if (!job) return Promise.reject(new Error(`Unknown job: ${id}`));
+        if (TERMINAL_STATES.includes(job.status)) return Promise.resolve(this.view(id));
+
+        return new Promise((resolve) => {
+            const onFinished = (finished) => {
+                if (finished.id !== id) return;
+                this.removeListener('finished', onFinished);
+                resolve(this.view(id));
+            };
+            this.on('finished', onFinished);
+        });
+    }
+
+    _drain() {
+        for (const id of [...this.pending]) {
+            if (this.running.size >= this.concurrency) break;
+
+            const job = this.jobs.get(id);
+            if (job.lock && this.heldLocks.has(job.lock)) continue;
+
+            this.pending = this.pending.filter(pendingId => pendingId !== id);
+            this._start(job);
+        }
+    }
+
+    async _start(job) {
+        const { handler } = this.definitions.get(job.type);
+        const controller = new AbortController();
+
+        if (job.lock) this.heldLocks.add(job.lock);
+        this.running.set(job.id, { controller });
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this._saveHistory();
+        this._record(job.id, 'status', { status: job.status });
+        this.emit('started', job);
+        console.log(`Job ${job.id} (${job.type}) started`);
+
+        const context = {
+            job,
+            params: job.params,
+            signal: controller.signal,
+            log: (line, stream = 'stdout') => this._record(job.id, 'line', { stream, line }),
+            stage: (name, details = {}) => {
+                job.stage = name;
+                this._record(job.id, 'stage', { ...details, stage: name });
+            }
+        };
+
+        let result = null;
+        let error = null;
+        try {
+            result = await handler(context);
+        } catch (handlerError) {
+            error = handlerError;
+        }
+
+        if (controller.signal.aborted) {
+            this._finish(job, 'cancelled', result, 'Cancelled by request');
+        } else if (error) {
+            this._finish(job, 'failed', result, error.message);
+        } else if (result && result.success === false) {
+            this._finish(job, 'failed', result, result.error || result.message || 'Job failed');
+        } else {
+            this._finish(job, 'succeeded', result, null);
+        }
+    }
+
+    _finish(job, status, result, error) {
+        job.status = status;
+        job.result = result;
+        job.error = error;
+        job.finishedAt = new Date().toISOString();
+        if (job.startedAt) {
+            job.durationMs = Date.parse(job.finishedAt) - Date.parse(job.startedAt);
+        }
+
+        if (this.running.has(job.id)) {
+            this.running.delete(job.id);
+            if (job.lock) this.heldLocks.delete(job.lock);
+        }
+
+        this._saveHistory();
+        this._record(job.id, 'result', {
+            status,
+            error,
+            durationMs: job.durationMs,
+            result: summarizeResult(result)
+        });
+        this._pruneLogs();
+        this.emit('finished', job);
+        console.log(`Job ${job.id} (${job.type}) ${status}${error ? `: ${error}` : ''}`);
+
+        setImmediate(() => this._drain());
+    }
+
+    // Drop the oldest finished jobs once history exceeds its limit
+    _trimHistory() {
+        if (this.jobs.size <= this.historyLimit) return;
+
+        const finished = Array.from(this.jobs.values())
+            .filter(job => TERMINAL_STATES.includes(job.status))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        while (this.jobs.size > this.historyLimit && finished.length > 0) {
+            const id = finished.shift().id;
+            this.jobs.delete(id);
+            this.logs.delete(id);
+        }
+    }
+
+    _record(id, type, data) {
+        let log = this.logs.get(id);
+        if (!log) {
+            log = { nextId: 1, events: [] };
+            this.logs.set(id, log);
+        }
+
+        const event = { id: log.nextId++, type, time: new Date().toISOString(), data };
+        log.events.push(event);
+        if (log.events.length > this.maxLogEvents) {
+            log.events.shift();
+        }
+
+        this.emit('event', id, event);
+        return event;
+    }
+
+    // Keep logs for active jobs and the most recent finished ones
+    _pruneLogs() {
+        const finished = Array.from(this.logs.keys())
+            .filter(id => !this.jobs.has(id) || this.isFinished(id))
+            .sort((a, b) => {
+                const createdA = this.jobs.has(a) ? this.jobs.get(a).createdAt : '';
+                const createdB = this.jobs.has(b) ? this.jobs.get(b).createdAt : '';
+                return createdB.localeCompare(createdA);
+            });
+
+        finished.slice(this.logRetention).forEach(id => this.logs.delete(id));
+    }
+
+    _loadHistory() {
+        if (!this.historyFile || !fs.existsSync(this.historyFile)) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.historyFile, 'utf8'));
+            for (const job of saved.jobs || []) {
+                if (!TERMINAL_STATES.includes(job.status)) {
+                    job.status = 'failed';
+                    job.error = 'Interrupted by server restart';
+                    job.finishedAt = job.finishedAt || new Date().toISOString();
+                }
+                delete job.position;
+                delete job.stage;
+                this.jobs.set(job.id, job);
+            }
+            console.log(`Loaded ${this.jobs.size} jobs from ${this.historyFile}`);
+        } catch (error) {
+            console.error(`Failed to load job history from ${this.historyFile}:`, error.message);
+        }
+    }
+
+    // Write-then-rename so a crash mid-write never leaves a truncated file
+    _saveHistory() {
+        if (!this.historyFile) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+            const tempFile = `${this.historyFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify({ jobs: Array.from(this.jobs.values()) }, null, 2));
+            fs.renameSync(tempFile, this.historyFile);
+        } catch (error) {
+            console.error(`Failed to save job history to ${this.historyFile}:`, error.message);
+        }
+    }
+}
+
+// Result as sent on the stream's final event; output was already streamed
+function summarizeResult(result) {
+    if (!result || typeof result !== 'object') return result;
+
+    const { stdout, stderr, buildOutput, ...summary } = result;
+    // Matrix builds carry output per cell
+    if (Array.isArray(summary.cells)) {
+        summary.cells = summary.cells.map(summarizeResult);
+    }
+    return summary;
+}
+
+module.exports = {
+    JobQueue,
+    TERMINAL_STATES
+};
@@ -0,0 +1,229 @@
+// Market session calendar: weekly sessions in the market's own time zone,
+// minus holidays, with optional early closes.
+//
+// A market definition looks like:
+//   {
+//     timeZone: 'America/Chicago',
+//     sessions: [{ days: ['Sun', 'Mon'], open: '17:00', close: '16:00' }],
+//     holidays: ['2026-12-25', { date: '2026-11-27', name: 'Thanksgiving', close: '12:15' }]
+//   }
+// `days` are the days a session opens on. A close at or before the open
+// means the session runs overnight and closes the next day; that next day is
+// its trading date, which is the date holidays are matched against.
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead to look for the next open (covers long holiday weekends)
+const LOOKAHEAD_DAYS = 10;
+
+// Wall-clock reading of `date` in a time zone, expressed as if it were UTC
+// milliseconds. All session arithmetic happens on these wall-clock values.
+function toWallClock(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+// Real instant of a wall-clock value, using the zone offset in effect then
+function fromWallClock(wallMs, timeZone) {
+    const guess = wallMs - (toWallClock(new Date(wallMs), timeZone) - wallMs);
+    const offset = toWallClock(new Date(guess), timeZone) - guess;
+    return new Date(wallMs - offset);
+}
+
+function parseTime(value) {
+    const [, hours, minutes] = TIME_PATTERN.exec(value);
+    return (Number(hours) * 60 + Number(minutes)) * 60 * 1000;
+}
+
+function dateKey(wallMs) {
+    return new Date(wallMs).toISOString().slice(0, 10);
+}
+
+function startOfDay(wallMs) {
+    return Math.floor(wallMs / DAY_MS) * DAY_MS;
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Push a message onto `issues` for every problem in a markets object;
+// a market set to null is disabled
+function validateMarketCalendar(markets, issues, prefix = 'markets') {
+    if (markets === null || typeof markets !== 'object' || Array.isArray(markets)) {
+        issues.push(`${prefix} must map market names to session definitions`);
+        return;
+    }
+
+    Object.entries(markets).forEach(([name, market]) => {
+        const key = `${prefix}.${name}`;
+        if (market === null) return;
+        if (typeof market !== 'object' || Array.isArray(market)) {
+            issues.push(`${key} must be an object with timeZone, sessions and holidays`);
+            return;
+        }
+        if (typeof market.timeZone !== 'string' || !isValidTimeZone(market.timeZone)) {
+            issues.push(`${key}.timeZone is not a known IANA time zone (got ${JSON.stringify(market.timeZone)})`);
+        }
+        if (!Array.isArray(market.sessions) || market.sessions.length === 0) {
+            issues.push(`${key}.sessions must be a non-empty list`);
+        } else {
+            market.sessions.forEach((session, index) => {
+                const sessionKey = `${key}.sessions[${index}]`;
+                if (!session || !Array.isArray(session.days) || session.days.some(day => !DAYS.includes(day))) {
+                    issues.push(`${sessionKey}.days must list days from ${DAYS.join(', ')}`);
+                }
+                ['open', 'close'].forEach(field => {
+                    if (!session || typeof session[field] !== 'string' || !TIME_PATTERN.test(session[field])) {
+                        issues.push(`${sessionKey}.${field} must be a HH:MM time`);
+                    }
+                });
+            });
+        }
+        (market.holidays || []).forEach((holiday, index) => {
+            const entry = typeof holiday === 'string' ? { date: holiday } : holiday;
+            if (!entry || typeof entry.date !== 'string' || !DATE_PATTERN.test(entry.date)) {
+                issues.push(`${key}.holidays[${index}] must be a YYYY-MM-DD date or { date, name?, close? }`);
+            } else if (entry.close !== undefined && (typeof entry.close !== 'string' || !TIME_PATTERN.test(entry.close))) {
+                issues.push(`${key}.holidays[${index}].close must be a HH:MM time`);
+            }
+        });
+    });
+}
+
+class MarketCalendar {
+    constructor(markets = {}) {
+        this.markets = new Map();
+        Object.entries(markets).forEach(([name, market]) => {
+            if (!market) return;
+            this.markets.set(name, {
+                timeZone: market.timeZone,
+                sessions: market.sessions.map(session => ({
+                    days: session.days.map(day => DAYS.indexOf(day)),
+                    open: parseTime(session.open),
+                    close: parseTime(session.close)
+                })),
+                holidays: new Map((market.holidays || []).map(holiday => {
+                    const entry = typeof holiday === 'string' ? { date: holiday } : holiday;
+                    return [entry.date, {
+                        name: entry.name || null,
+                        close: entry.close ? parseTime(entry.close) : null
+                    }];
+                }))
+            });
+        });
+    }
+
+    get names() {
+        return Array.from(this.markets.keys());
+    }
+
+    // Session intervals (wall-clock ms) opening between yesterday and the
+    // lookahead horizon, with holidays and early closes applied
+    _intervals(market, wallNow) {
+        const today = startOfDay(wallNow);
+        const intervals = [];
+
+        for (let day = today - DAY_MS; day <= today + LOOKAHEAD_DAYS * DAY_MS; day += DAY_MS) {
+            const weekday = new Date(day).getUTCDay();
+            market.sessions.forEach(session => {
+                if (!session.days.includes(weekday)) return;
+
+                const open = day + session.open;
+                let close = (session.close <= session.open ? day + DAY_MS : day) + session.close;
+                const tradingDate = dateKey(close - 1);
+                const holiday = market.holidays.get(tradingDate);
+                if (holiday && holiday.close === null) return;
+
+                let earlyClose = false;
+                if (holiday) {
+                    const holidayClose = startOfDay(close - 1) + holiday.close;
+                    if (holidayClose < close) {
+                        close = holidayClose;
+                        earlyClose = true;
+                    }
+                }
+                if (close > open) {
+                    intervals.push({ open, close, tradingDate, earlyClose, holiday: holiday ? holiday.name : null });
+                }
+            });
+        }
+        return intervals.sort((a, b) => a.open - b.open);
+    }
+
+    // State of one market at `now`: open or closed, why, and when that changes
+    status(name, now = new Date()) {
+        const market = this.markets.get(name);
+        if (!market) return null;
+
+        const { timeZone } = market;
+        const wallNow = toWallClock(now, timeZone);
+        const intervals = this._intervals(market, wallNow);
+        const instant = wallMs => fromWallClock(wallMs, timeZone).toISOString();
+        const localTime = new Date(wallNow).toISOString().slice(0, 16).replace('T', ' ');
+
+        const current = intervals.find(interval => interval.open <= wallNow && wallNow < interval.close);
+        if (current) {
+            return {
+                state: 'open',
+                timeZone,
+                localTime,
+                tradingDate: current.tradingDate,
+                openedAt: instant(current.open),
+                closesAt: instant(current.close),
+                earlyClose: current.earlyClose,
+                holiday: current.holiday
+            };
+        }
+
+        const next = intervals.find(interval => interval.open > wallNow);
+        const holiday = market.holidays.get(dateKey(wallNow));
+        const weekday = new Date(wallNow).getUTCDay();
+        let reason = 'outside session hours';
+        if (holiday) {
+            const label = holiday.close === null ? 'holiday' : 'early close';
+            reason = holiday.name ? `${label}: ${holiday.name}` : label;
+        } else if (weekday === 0 || weekday === 6) {
+            reason = 'weekend';
+        }
+
+        return {
+            state: 'closed',
+            reason,
+            timeZone,
+            localTime,
+            nextOpen: next ? instant(next.open) : null
+        };
+    }
+
+    // Status of every market, keyed by name
+    statusAll(now = new Date()) {
+        return Object.fromEntries(this.names.map(name => [name, this.status(name, now)]));
+    }
+}
+
+module.exports = {
+    DAYS,
+    MarketCalendar,
+    validateMarketCalendar
+};
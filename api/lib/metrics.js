@@ -0,0 +1,156 @@
+// Minimal Prometheus metrics: counters, gauges and histograms with labels,
+// rendered in the text exposition format (version 0.0.4).
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    // Series key from labels, in labelNames order; unknown labels are dropped
+    _key(labels = {}) {
+        return JSON.stringify(this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+    }
+
+    _labels(key) {
+        const values = JSON.parse(key);
+        return Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.series.forEach((value, key) => {
+            lines.push(...this._renderSeries(this._labels(key), value));
+        });
+        return lines.join('\n');
+    }
+
+    _renderSeries(labels, value) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels, amount = 1) {
+        const key = this._key(labels);
+        this.series.set(key, (this.series.get(key) || 0) + amount);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.series.set(this._key(labels), value);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = this._key(labels);
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, entry);
+        }
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    _renderSeries(labels, entry) {
+        const lines = this.buckets.map((bound, index) =>
+            `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(entry.sum)}`);
+        lines.push(`${this.name}_count${formatLabels(labels)} ${entry.count}`);
+        return lines;
+    }
+}
+
+// A set of metrics plus collectors that refresh gauges right before a scrape
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    _register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric already registered: ${metric.name}`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this._register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this._register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    // collector() may be async; a failing collector is logged and skipped
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    async render() {
+        for (const collector of this.collectors) {
+            try {
+                await collector();
+            } catch (error) {
+                console.error('Metrics collector failed:', error.message);
+            }
+        }
+        return `${Array.from(this.metrics.values()).map(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    MetricsRegistry
+};
@@ -0,0 +1,585 @@
+const { TemplateError } = require('./template-catalog');
+const { CSHARP_KEYWORDS, checkIdentifier, checkClassName } = require('./csharp-names');
+
+// Generates NinjaScript indicators and strategies from a JSON spec:
+//
+//   {
+//     kind: 'indicator' | 'strategy',
+//     description: 'Smoothed momentum',
+//     calculate: 'OnBarClose' | 'OnEachTick' | 'OnPriceChange',
+//     isOverlay: false,                 // indicators only
+//     barsRequired: 20,                 // BarsRequiredToPlot / BarsRequiredToTrade
+//     inputs: [{ name: 'Period', type: 'int', default: 14, range: [1, 200],
+//                group: 'Parameters', displayName: 'Period', description: '' }],
+//     plots: [{ name: 'Signal', brush: 'Orange', style: 'Line', dashStyle: 'Solid', width: 2 }],
+//     dataSeries: [{ instrument: 'ES 12-26', periodType: 'Minute', value: 5 }]
+//   }
+//
+// Input types: int, double, bool, string (NinjaScript properties, part of the
+// indicator's factory method signature) and brush (XmlIgnore'd Brush with a
+// serializable string companion). Indicators get the "NinjaScript generated
+// code" region NinjaTrader itself writes for indicator caching. An input's
+// range may also be given as separate min and max; keys the spec does not
+// know are reported rather than ignored, so a typo cannot drop a bound.
+
+const KINDS = ['indicator', 'strategy'];
+const INPUT_TYPES = ['int', 'double', 'bool', 'string', 'brush'];
+const CALCULATE_MODES = ['OnBarClose', 'OnEachTick', 'OnPriceChange'];
+const PLOT_STYLES = ['Bar', 'Block', 'Cross', 'Dot', 'Hash', 'HLine', 'Line', 'PriceBox', 'Square',
+    'TriangleDown', 'TriangleLeft', 'TriangleRight', 'TriangleUp'];
+const DASH_STYLES = ['Dash', 'DashDot', 'DashDotDot', 'Dot', 'Solid'];
+const PERIOD_TYPES = ['Tick', 'Volume', 'Range', 'Second', 'Minute', 'Day', 'Week', 'Month', 'Year',
+    'HeikenAshi', 'Kagi', 'LineBreak', 'PointAndFigure', 'Renko'];
+
+const SPEC_KEYS = ['kind', 'description', 'calculate', 'isOverlay', 'barsRequired', 'inputs', 'plots', 'dataSeries'];
+const INPUT_KEYS = ['name', 'type', 'default', 'range', 'min', 'max', 'group', 'displayName', 'description'];
+const PLOT_KEYS = ['name', 'brush', 'style', 'dashStyle', 'width'];
+const DATA_SERIES_KEYS = ['instrument', 'periodType', 'value'];
+
+const BRUSH_PATTERN = /^[A-Z][A-Za-z]*$/;
+const INSTRUMENT_PATTERN = /^[A-Za-z0-9 ._#@$&-]+$/;
+
+// Members every indicator/strategy already has; a generated property with one
+// of these names would hide it (CS0108) or fail to compile
+const RESERVED_MEMBERS = new Set(['Input', 'Value', 'Values', 'Plots', 'Lines', 'Name', 'Description',
+    'Calculate', 'Close', 'Open', 'High', 'Low', 'Time', 'Volume', 'Median', 'Typical', 'Weighted',
+    'Bars', 'BarsArray', 'BarsInProgress', 'BarsPeriod', 'CurrentBar', 'CurrentBars', 'Count', 'State',
+    'Instrument', 'IsOverlay', 'Displacement', 'Panel', 'Position', 'Account', 'Update', 'Print']);
+
+function csharpString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r/g, '\\r').replace(/\n/g, '\\n')}"`;
+}
+
+function csharpLiteral(type, value) {
+    switch (type) {
+        case 'int':
+            return String(value);
+        case 'double':
+            return Number.isInteger(value) ? `${value}.0` : String(value);
+        case 'bool':
+            return value ? 'true' : 'false';
+        case 'string':
+            return csharpString(value);
+        case 'brush':
+            return `Brushes.${value}`;
+        default:
+            throw new Error(`Unsupported type ${type}`);
+    }
+}
+
+// NinjaTrader names factory parameters after the property, first letter lowered
+function parameterName(propertyName) {
+    const name = propertyName.charAt(0).toLowerCase() + propertyName.slice(1);
+    return CSHARP_KEYWORDS.has(name) ? `@${name}` : name;
+}
+
+function oneOf(value, allowed, fallback, label, issues) {
+    if (value === undefined) return fallback;
+    if (!allowed.includes(value)) {
+        issues.push(`${label} must be one of ${allowed.join(', ')} (got ${JSON.stringify(value)})`);
+        return fallback;
+    }
+    return value;
+}
+
+function checkKeys(object, known, label, issues) {
+    Object.keys(object).filter(key => !known.includes(key)).forEach(key => {
+        issues.push(`${label ? `${label}.` : ''}${key} is not a known key (expected one of ${known.join(', ')})`);
+    });
+}
+
+function normalizeInput(input, index, issues) {
+    const label = `inputs[${index}]`;
+    if (!input || typeof input !== 'object') {
+        issues.push(`${label} must be an object`);
+        return null;
+    }
+    checkKeys(input, INPUT_KEYS, label, issues);
+    checkIdentifier(input.name, `${label}.name`, issues);
+    const type = oneOf(input.type, INPUT_TYPES, 'int', `${label}.type`, issues);
+
+    const fallbackDefault = { int: 0, double: 0, bool: false, string: '', brush: 'DodgerBlue' }[type];
+    const value = input.default === undefined ? fallbackDefault : input.default;
+    const checks = {
+        int: () => Number.isInteger(value),
+        double: () => typeof value === 'number' && Number.isFinite(value),
+        bool: () => typeof value === 'boolean',
+        string: () => typeof value === 'string',
+        brush: () => typeof value === 'string' && BRUSH_PATTERN.test(value)
+    };
+    if (!checks[type]()) {
+        issues.push(`${label}.default is not a valid ${type} (got ${JSON.stringify(value)})`);
+    }
+
+    const numeric = type === 'int' || type === 'double';
+    // range: [min, max] or separate min / max, not both
+    let bounds = { min: input.min, max: input.max };
+    if (input.range !== undefined) {
+        if (!Array.isArray(input.range) || input.range.length !== 2) {
+            issues.push(`${label}.range must be [min, max]`);
+        } else if (input.min !== undefined || input.max !== undefined) {
+            issues.push(`${label} sets range together with min/max; use one or the other`);
+        } else {
+            bounds = { min: input.range[0], max: input.range[1] };
+        }
+    }
+    const boundLabel = key => (input.range !== undefined ? `${label}.range ${key}` : `${label}.${key}`);
+    const bound = (key) => {
+        const limit = bounds[key];
+        if (limit === undefined || limit === null) return undefined;
+        if (!numeric) {
+            issues.push(`${boundLabel(key)} only applies to int and double inputs`);
+        } else if (!(type === 'int' ? Number.isInteger(limit) : Number.isFinite(limit))) {
+            issues.push(`${boundLabel(key)} must be a ${type}`);
+        }
+        return limit;
+    };
+    const min = bound('min');
+    const max = bound('max');
+    if (typeof min === 'number' && typeof max === 'number' && min > max) {
+        issues.push(`${label} min ${min} is above max ${max}`);
+    }
+    if (numeric && typeof value === 'number') {
+        if (min !== undefined && value < min) issues.push(`${label}.default is below min ${min}`);
+        if (max !== undefined && value > max) issues.push(`${label}.default is above max ${max}`);
+    }
+
+    ['group', 'displayName', 'description'].forEach(key => {
+        if (input[key] !== undefined && typeof input[key] !== 'string') {
+            issues.push(`${label}.${key} must be a string`);
+        }
+    });
+
+    return {
+        name: input.name,
+        type,
+        default: value,
+        min,
+        max,
+        group: input.group || 'Parameters',
+        displayName: input.displayName || input.name,
+        description: input.description || ''
+    };
+}
+
+function normalizePlot(plot, index, issues) {
+    const label = `plots[${index}]`;
+    if (!plot || typeof plot !== 'object') {
+        issues.push(`${label} must be an object`);
+        return null;
+    }
+    checkKeys(plot, PLOT_KEYS, label, issues);
+    checkIdentifier(plot.name, `${label}.name`, issues);
+    if (plot.brush !== undefined && (typeof plot.brush !== 'string' || !BRUSH_PATTERN.test(plot.brush))) {
+        issues.push(`${label}.brush must be a System.Windows.Media.Brushes name such as Orange`);
+    }
+    if (plot.width !== undefined && !(Number.isInteger(plot.width) && plot.width >= 1 && plot.width <= 10)) {
+        issues.push(`${label}.width must be an integer from 1 to 10`);
+    }
+    return {
+        name: plot.name,
+        brush: plot.brush || 'DodgerBlue',
+        style: oneOf(plot.style, PLOT_STYLES, 'Line', `${label}.style`, issues),
+        dashStyle: oneOf(plot.dashStyle, DASH_STYLES, 'Solid', `${label}.dashStyle`, issues),
+        width: plot.width || 1
+    };
+}
+
+function normalizeDataSeries(series, index, issues) {
+    const label = `dataSeries[${index}]`;
+    if (!series || typeof series !== 'object') {
+        issues.push(`${label} must be an object`);
+        return null;
+    }
+    checkKeys(series, DATA_SERIES_KEYS, label, issues);
+    if (series.instrument !== undefined
+        && (typeof series.instrument !== 'string' || !INSTRUMENT_PATTERN.test(series.instrument))) {
+        issues.push(`${label}.instrument must be an instrument name such as "ES 12-26"`);
+    }
+    if (!Number.isInteger(series.value) || series.value < 1) {
+        issues.push(`${label}.value must be a positive integer`);
+    }
+    return {
+        instrument: series.instrument || null,
+        periodType: oneOf(series.periodType, PERIOD_TYPES, 'Minute', `${label}.periodType`, issues),
+        value: series.value
+    };
+}
+
+// Validate a spec; throws TemplateError with every issue found
+function normalizeSpec(spec, className) {
+    const issues = [];
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new TemplateError('spec must be an object', 400, { code: 'invalid_spec', issues: ['spec must be an object'] });
+    }
+
+    checkKeys(spec, SPEC_KEYS, '', issues);
+    checkClassName(className, 'className', issues);
+    const kind = oneOf(spec.kind, KINDS, null, 'kind', issues);
+    if (!spec.kind) issues.push(`kind is required (${KINDS.join(' or ')})`);
+
+    const list = (key) => {
+        if (spec[key] === undefined) return [];
+        if (!Array.isArray(spec[key])) {
+            issues.push(`${key} must be a list`);
+            return [];
+        }
+        return spec[key];
+    };
+    const inputs = list('inputs').map((input, index) => normalizeInput(input, index, issues)).filter(Boolean);
+    const plots = list('plots').map((plot, index) => normalizePlot(plot, index, issues)).filter(Boolean);
+    const dataSeries = list('dataSeries').map((series, index) => normalizeDataSeries(series, index, issues)).filter(Boolean);
+
+    // Every generated member name must be unique and must not shadow the base class
+    const members = new Map();
+    const claim = (name, owner) => {
+        if (typeof name !== 'string') return;
+        if (RESERVED_MEMBERS.has(name)) {
+            issues.push(`${owner} ${name} clashes with a built-in NinjaScript member`);
+        } else if (name === className) {
+            issues.push(`${owner} ${name} cannot have the same name as the class`);
+        } else if (members.has(name)) {
+            issues.push(`${owner} ${name} duplicates ${members.get(name)} ${name}`);
+        } else {
+            members.set(name, owner);
+        }
+    };
+    inputs.forEach(input => {
+        claim(input.name, 'Input');
+        if (input.type === 'brush') claim(`${input.name}Serializable`, 'Input');
+    });
+    plots.forEach(plot => claim(plot.name, 'Plot'));
+
+    // The indicator's factory methods take one parameter per non-brush input,
+    // named by parameterName(); those must differ from each other and from
+    // the names the generated cache code already uses
+    if (kind === 'indicator') {
+        const generatedNames = new Set(['input', 'idx', 'indicator', `cache${className}`]);
+        const parameters = new Map();
+        inputs.filter(input => input.type !== 'brush' && typeof input.name === 'string').forEach(input => {
+            const parameter = parameterName(input.name);
+            if (generatedNames.has(parameter)) {
+                issues.push(`Input ${input.name} becomes parameter ${parameter}, which the generated caching code already uses`);
+            } else if (parameters.has(parameter)) {
+                issues.push(`Input ${input.name} and Input ${parameters.get(parameter)} both become parameter ${parameter}`);
+            } else {
+                parameters.set(parameter, input.name);
+            }
+        });
+    }
+
+    if (spec.description !== undefined && typeof spec.description !== 'string') {
+        issues.push('description must be a string');
+    }
+    if (spec.isOverlay !== undefined && typeof spec.isOverlay !== 'boolean') {
+        issues.push('isOverlay must be true or false');
+    }
+    if (spec.barsRequired !== undefined && !(Number.isInteger(spec.barsRequired) && spec.barsRequired >= 0)) {
+        issues.push('barsRequired must be a non-negative integer');
+    }
+    const calculate = oneOf(spec.calculate, CALCULATE_MODES, 'OnBarClose', 'calculate', issues);
+
+    if (issues.length > 0) {
+        throw new TemplateError('Invalid NinjaScript spec', 400, { code: 'invalid_spec', issues });
+    }
+
+    return {
+        kind,
+        className,
+        description: spec.description || `${className} - generated ${kind}`,
+        calculate,
+        isOverlay: spec.isOverlay === true,
+        barsRequired: spec.barsRequired === undefined ? 20 : spec.barsRequired,
+        inputs,
+        plots,
+        dataSeries
+    };
+}
+
+function indent(lines, depth) {
+    const pad = '    '.repeat(depth);
+    return lines.map(line => (line ? pad + line : line));
+}
+
+function usingDeclarations(kind) {
+    const usings = [
+        'System',
+        'System.Collections.Generic',
+        'System.ComponentModel',
+        'System.ComponentModel.DataAnnotations',
+        'System.Linq',
+        'System.Text',
+        'System.Threading.Tasks',
+        'System.Windows',
+        'System.Windows.Input',
+        'System.Windows.Media',
+        'System.Xml.Serialization',
+        'NinjaTrader.Cbi',
+        'NinjaTrader.Gui',
+        'NinjaTrader.Gui.Chart',
+        'NinjaTrader.Gui.SuperDom',
+        'NinjaTrader.Gui.Tools',
+        'NinjaTrader.Data',
+        'NinjaTrader.NinjaScript',
+        'NinjaTrader.Core.FloatingPoint'
+    ];
+    if (kind === 'strategy') usings.push('NinjaTrader.NinjaScript.Indicators');
+    usings.push('NinjaTrader.NinjaScript.DrawingTools');
+    return ['#region Using declarations', ...usings.map(name => `using ${name};`), '#endregion'];
+}
+
+function onStateChange(spec) {
+    const defaults = [
+        `Description = ${csharpString(spec.description)};`,
+        `Name = ${csharpString(spec.className)};`,
+        `Calculate = Calculate.${spec.calculate};`
+    ];
+
+    if (spec.kind === 'indicator') {
+        defaults.push(
+            `IsOverlay = ${spec.isOverlay};`,
+            'DisplayInDataBox = true;',
+            'DrawOnPricePanel = true;',
+            'PaintPriceMarkers = true;',
+            'ScaleJustification = NinjaTrader.Gui.Chart.ScaleJustification.Right;',
+            'IsSuspendedWhileInactive = true;',
+            `BarsRequiredToPlot = ${spec.barsRequired};`
+        );
+    } else {
+        defaults.push(
+            'EntriesPerDirection = 1;',
+            'EntryHandling = EntryHandling.AllEntries;',
+            'IsExitOnSessionCloseStrategy = true;',
+            'ExitOnSessionCloseSeconds = 30;',
+            'IsFillLimitOnTouch = false;',
+            'MaximumBarsLookBack = MaximumBarsLookBack.TwoHundredFiftySix;',
+            'OrderFillResolution = OrderFillResolution.Standard;',
+            'Slippage = 0;',
+            'StartBehavior = StartBehavior.WaitUntilFlat;',
+            'TimeInForce = TimeInForce.Gtc;',
+            'TraceOrders = false;',
+            'RealtimeErrorHandling = RealtimeErrorHandling.StopCancelClose;',
+            'StopTargetHandling = StopTargetHandling.PerEntryExecution;',
+            `BarsRequiredToTrade = ${spec.barsRequired};`,
+            'IsInstantiatedOnEachOptimizationIteration = true;'
+        );
+    }
+
+    spec.inputs.forEach(input => defaults.push(`${input.name} = ${csharpLiteral(input.type, input.default)};`));
+    spec.plots.forEach(plot => defaults.push(
+        `AddPlot(new Stroke(Brushes.${plot.brush}, DashStyleHelper.${plot.dashStyle}, ${plot.width}), PlotStyle.${plot.style}, ${csharpString(plot.name)});`
+    ));
+
+    const lines = [
+        'protected override void OnStateChange()',
+        '{',
+        '    if (State == State.SetDefaults)',
+        '    {',
+        ...indent(defaults, 2),
+        '    }'
+    ];
+    if (spec.dataSeries.length > 0) {
+        lines.push(
+            '    else if (State == State.Configure)',
+            '    {',
+            ...indent(spec.dataSeries.map(series => (series.instrument
+                ? `AddDataSeries(${csharpString(series.instrument)}, BarsPeriodType.${series.periodType}, ${series.value});`
+                : `AddDataSeries(BarsPeriodType.${series.periodType}, ${series.value});`)), 2),
+            '    }'
+        );
+    }
+    lines.push('}');
+    return lines;
+}
+
+function onBarUpdate(spec) {
+    const required = spec.kind === 'indicator' ? 'BarsRequiredToPlot' : 'BarsRequiredToTrade';
+    const seriesCount = spec.dataSeries.length + 1;
+    const warmup = seriesCount === 1
+        ? `if (CurrentBar < ${required})`
+        : `if (${Array.from({ length: seriesCount }, (_, index) => `CurrentBars[${index}] < ${required}`).join(' || ')})`;
+
+    const lines = ['protected override void OnBarUpdate()', '{'];
+    if (spec.dataSeries.length > 0) {
+        lines.push('    // BarsInProgress 0: primary series');
+        spec.dataSeries.forEach((series, index) => {
+            const instrument = series.instrument || 'primary instrument';
+            lines.push(`    // BarsInProgress ${index + 1}: ${instrument}, ${series.value} ${series.periodType}`);
+        });
+        lines.push('    if (BarsInProgress != 0)', '        return;', '');
+    }
+    lines.push(`    ${warmup}`, '        return;', '');
+    if (spec.plots.length > 0) {
+        spec.plots.forEach(plot => lines.push(`    ${plot.name}[0] = Close[0];`));
+    } else {
+        lines.push(`    // ${spec.kind === 'indicator' ? 'Indicator' : 'Strategy'} logic here`);
+    }
+    lines.push('}');
+    return lines;
+}
+
+function properties(spec) {
+    const lines = [];
+    let order = 1;
+
+    spec.inputs.forEach(input => {
+        const display = `[Display(Name = ${csharpString(input.displayName)}, Description = ${csharpString(input.description)}, Order = ${order++}, GroupName = ${csharpString(input.group)})]`;
+        if (input.type === 'brush') {
+            lines.push(
+                '[XmlIgnore]',
+                display,
+                `public Brush ${input.name}`,
+                '{ get; set; }',
+                '',
+                '[Browsable(false)]',
+                `public string ${input.name}Serializable`,
+                '{',
+                `    get { return Serialize.BrushToString(${input.name}); }`,
+                `    set { ${input.name} = Serialize.StringToBrush(value); }`,
+                '}',
+                ''
+            );
+            return;
+        }
+
+        lines.push('[NinjaScriptProperty]');
+        if (input.min !== undefined || input.max !== undefined) {
+            const limit = input.type === 'int' ? 'int' : 'double';
+            const min = input.min === undefined ? `${limit}.MinValue` : csharpLiteral(input.type, input.min);
+            const max = input.max === undefined ? `${limit}.MaxValue` : csharpLiteral(input.type, input.max);
+            lines.push(`[Range(${min}, ${max})]`);
+        }
+        lines.push(display, `public ${input.type} ${input.name}`, '{ get; set; }', '');
+    });
+
+    spec.plots.forEach((plot, index) => {
+        lines.push(
+            '[Browsable(false)]',
+            '[XmlIgnore]',
+            `public Series<double> ${plot.name}`,
+            '{',
+            `    get { return Values[${index}]; }`,
+            '}',
+            ''
+        );
+    });
+
+    if (lines.length === 0) return [];
+    lines.pop();
+    return ['#region Properties', ...lines, '#endregion'];
+}
+
+// The caching factory methods NinjaTrader generates for every indicator, so
+// other scripts can call MyIndicator(14) and reuse instances
+function generatedCodeRegion(spec) {
+    const { className } = spec;
+    const cacheField = `cache${className}`;
+    const parameters = spec.inputs.filter(input => input.type !== 'brush');
+    const signature = parameters.map(input => `${input.type} ${parameterName(input.name)}`);
+    const args = parameters.map(input => parameterName(input.name));
+    const withInput = ['ISeries<double> input', ...signature].join(', ');
+    const matches = parameters
+        .map(input => `${cacheField}[idx].${input.name} == ${parameterName(input.name)} && `)
+        .join('');
+    const initializer = parameters.map(input => `${input.name} = ${parameterName(input.name)}`).join(', ');
+
+    const forwarders = (namespace, declaration) => [
+        `namespace ${namespace}`,
+        '{',
+        `    ${declaration}`,
+        '    {',
+        `        public Indicators.${className} ${className}(${signature.join(', ')})`,
+        '        {',
+        `            return indicator.${className}(${['Input', ...args].join(', ')});`,
+        '        }',
+        '',
+        `        public Indicators.${className} ${className}(${withInput})`,
+        '        {',
+        `            return indicator.${className}(${['input', ...args].join(', ')});`,
+        '        }',
+        '    }',
+        '}'
+    ];
+
+    return [
+        '#region NinjaScript generated code. Neither change nor remove.',
+        '',
+        'namespace NinjaTrader.NinjaScript.Indicators',
+        '{',
+        '    public partial class Indicator : NinjaTrader.Gui.NinjaScript.IndicatorRenderBase',
+        '    {',
+        `        private ${className}[] ${cacheField};`,
+        `        public ${className} ${className}(${signature.join(', ')})`,
+        '        {',
+        `            return ${className}(${['Input', ...args].join(', ')});`,
+        '        }',
+        '',
+        `        public ${className} ${className}(${withInput})`,
+        '        {',
+        `            if (${cacheField} != null)`,
+        `                for (int idx = 0; idx < ${cacheField}.Length; idx++)`,
+        `                    if (${cacheField}[idx] != null && ${matches}${cacheField}[idx].EqualsInput(input))`,
+        `                        return ${cacheField}[idx];`,
+        `            return CacheIndicator<${className}>(new ${className}(){${initializer ? ` ${initializer} ` : ''}}, input, ref ${cacheField});`,
+        '        }',
+        '    }',
+        '}',
+        '',
+        ...forwarders('NinjaTrader.NinjaScript.MarketAnalyzerColumns',
+            'public partial class MarketAnalyzerColumn : MarketAnalyzerColumnBase'),
+        '',
+        ...forwarders('NinjaTrader.NinjaScript.Strategies',
+            'public partial class Strategy : NinjaTrader.Gui.NinjaScript.StrategyRenderBase'),
+        '',
+        '#endregion'
+    ];
+}
+
+// Generate the C# source for a spec. Returns the same shape as
+// TemplateCatalog.render() so callers can write either.
+function generateFromSpec(rawSpec, { className, fileName } = {}) {
+    const resolvedClassName = className || (fileName ? fileName.replace(/\.cs$/, '') : null);
+    if (!resolvedClassName) {
+        throw new TemplateError('fileName or className is required', 400, { code: 'invalid_name' });
+    }
+    const spec = normalizeSpec(rawSpec, resolvedClassName);
+    const namespace = spec.kind === 'indicator' ? 'Indicators' : 'Strategies';
+    const baseClass = spec.kind === 'indicator' ? 'Indicator' : 'Strategy';
+
+    const members = [...onStateChange(spec), '', ...onBarUpdate(spec)];
+    const props = properties(spec);
+    if (props.length > 0) members.push('', ...props);
+
+    const lines = [
+        ...usingDeclarations(spec.kind),
+        '',
+        `//This namespace holds ${namespace} in this folder and is required. Do not change it.`,
+        `namespace NinjaTrader.NinjaScript.${namespace}`,
+        '{',
+        `    public class ${spec.className} : ${baseClass}`,
+        '    {',
+        ...indent(members, 2),
+        '    }',
+        '}'
+    ];
+    if (spec.kind === 'indicator') {
+        lines.push('', ...generatedCodeRegion(spec));
+    }
+
+    return {
+        template: {
+            id: 'spec',
+            name: `Generated ${spec.kind}`,
+            kind: spec.kind,
+            targetDir: null
+        },
+        className: spec.className,
+        fileName: fileName || `${spec.className}.cs`,
+        spec,
+        content: `${lines.join('\n')}\n`
+    };
+}
+
+module.exports = {
+    generateFromSpec
+};
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ZipFormatError, readZipEntries, readZipEntry } = require('./zip-reader');
+const { AssemblyFormatError, readAssemblyInfo } = require('./dotnet-assembly');
+const { NINJASCRIPT_NAMESPACES } = require('./source-lint');
+
+// Checks a NinjaTrader 8 import package (the zip "Import NinjaScript" takes)
+// before anyone tries it on a trading machine. Findings are
+// { severity, code, message, file, ... } with file the zip entry:
+//   invalid_zip           not a readable zip, or an entry fails to extract
+//   unsafe_path           absolute or ../ entry names
+//   duplicate_entry       the same name twice, ignoring case as Windows does
+//   missing_info_xml      no Info.xml at the root
+//   nested_root           Info.xml only inside a folder - the folder was zipped
+//   invalid_info_xml      Info.xml without <NinjaTrader><Export><Version>8.x
+//   empty_package         neither a DLL nor NinjaScript sources to import
+//   missing_assembly      the project's DLL is not in the package
+//   invalid_assembly      a DLL that is not a .NET assembly
+//   wrong_framework       an assembly built for .NET Core/.NET 5+, not 4.8
+//   duplicate_assembly    one assembly name in two places (CS0433 on import)
+//   missing_reference     an assembly referenced by a DLL or listed in
+//                         AdditionalReferences.txt that is neither packaged
+//                         nor supplied by NinjaTrader/.NET Framework
+//   unexpected_file       an extension NinjaTrader does not import
+//   unexpected_location   a file outside the root, NinjaScript folders and allowedDirs
+//   oversized_file        an entry over maxEntryBytes
+//   oversized_package     more than maxPackageBytes once extracted
+
+const DEFAULT_PROVIDED_ASSEMBLIES = [
+    'mscorlib', 'netstandard', 'System', 'System.*', 'Microsoft.CSharp', 'Microsoft.VisualBasic', 'Microsoft.Win32.*',
+    'WindowsBase', 'PresentationCore', 'PresentationFramework', 'PresentationFramework.*', 'ReachFramework',
+    'UIAutomationProvider', 'UIAutomationTypes', 'NinjaTrader.*', 'SharpDX', 'SharpDX.*', 'InfragisticsWPF4*'
+];
+
+// System.* packages that ship on NuGet rather than with .NET Framework 4.8
+const NUGET_ONLY_ASSEMBLIES = ['System.Buffers', 'System.Collections.Immutable', 'System.Memory',
+    'System.Numerics.Vectors', 'System.Runtime.CompilerServices.Unsafe', 'System.Text.Encodings.Web',
+    'System.Text.Json', 'System.Threading.Channels', 'System.Threading.Tasks.Extensions'];
+
+// References that only exist on .NET Core and .NET 5+
+const CORE_ONLY_REFERENCES = ['System.Private.CoreLib', 'System.Runtime'];
+
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+// <Version> inside <Export> inside <NinjaTrader>; returns issues and the version
+function checkInfoXml(text) {
+    const issues = [];
+    const body = text.replace(/^\uFEFF/, '').replace(/<!--[\s\S]*?-->/g, '');
+    const root = /<NinjaTrader(?:\s[^>]*)?>([\s\S]*)<\/NinjaTrader>/.exec(body);
+    if (!root) {
+        issues.push('no <NinjaTrader> root element');
+        return { issues, version: null };
+    }
+    const exportBlock = /<Export(?:\s[^>]*)?>([\s\S]*?)<\/Export>/.exec(root[1]);
+    if (!exportBlock) {
+        issues.push('no <Export> element');
+        return { issues, version: null };
+    }
+    const version = /<Version>\s*([^<\s]+)\s*<\/Version>/.exec(exportBlock[1]);
+    if (!version) {
+        issues.push('no <Export><Version>');
+        return { issues, version: null };
+    }
+    if (!/^8(\.\d+){0,3}$/.test(version[1])) {
+        issues.push(`export version ${version[1]} is not a NinjaTrader 8 version`);
+    }
+    return { issues, version: version[1] };
+}
+
+class PackageValidator {
+    constructor(options = {}) {
+        this.maxEntryBytes = options.maxEntryBytes || 20 * 1024 * 1024;
+        this.maxPackageBytes = options.maxPackageBytes || 100 * 1024 * 1024;
+        this.allowedExtensions = (options.allowedExtensions || ['.cs', '.dll', '.xml', '.txt', '.xaml', '.png', '.ico'])
+            .map(extension => extension.toLowerCase());
+        this.allowedDirs = [...Object.keys(NINJASCRIPT_NAMESPACES), ...(options.allowedDirs || ['bin', 'templates'])]
+            .map(dir => dir.toLowerCase());
+        // Team additions on top of what .NET Framework and NinjaTrader supply
+        this.provided = [...DEFAULT_PROVIDED_ASSEMBLIES, ...(options.providedAssemblies || [])].map(globToRegExp);
+    }
+
+    isProvided(name) {
+        if (NUGET_ONLY_ASSEMBLIES.some(nuget => nuget.toLowerCase() === name.toLowerCase())) return false;
+        return this.provided.some(pattern => pattern.test(name));
+    }
+
+    validateFile(filePath, options = {}) {
+        return this.validate(fs.readFileSync(filePath), { name: path.basename(filePath), ...options });
+    }
+
+    // Validate a package held in memory. options: { name, assembly } where
+    // assembly is a DLL file name the package must contain (e.g. FKS.dll)
+    validate(buffer, options = {}) {
+        const findings = [];
+        const report = {
+            name: options.name || null,
+            size: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            entries: 0,
+            uncompressedSize: 0,
+            exportVersion: null,
+            assemblies: []
+        };
+        const add = (severity, code, message, extra = {}) => findings.push({ severity, code, message, ...extra });
+
+        let entries;
+        try {
+            entries = readZipEntries(buffer);
+        } catch (error) {
+            if (!(error instanceof ZipFormatError)) throw error;
+            add('error', 'invalid_zip', error.message);
+            return this._finish(report, findings);
+        }
+
+        const files = entries.filter(entry => !entry.directory);
+        report.entries = files.length;
+        report.uncompressedSize = files.reduce((sum, entry) => sum + entry.size, 0);
+        if (report.uncompressedSize > this.maxPackageBytes) {
+            add('error', 'oversized_package', `Package extracts to ${report.uncompressedSize} bytes, over the ${this.maxPackageBytes} byte limit`);
+        }
+
+        const seen = new Map();
+        files.forEach(entry => {
+            const name = entry.name.replace(/\\/g, '/');
+            entry.path = name;
+            if (name.startsWith('/') || /^[A-Za-z]:/.test(name) || name.split('/').includes('..')) {
+                add('error', 'unsafe_path', `Entry name escapes the import folder: ${entry.name}`, { file: entry.name });
+            }
+            const key = name.toLowerCase();
+            if (seen.has(key)) {
+                add('error', 'duplicate_entry', seen.get(key) === name
+                    ? `${name} is in the package twice`
+                    : `${name} and ${seen.get(key)} differ only in case and overwrite each other on Windows`, { file: name });
+            } else {
+                seen.set(key, name);
+            }
+
+            const extension = path.posix.extname(name).toLowerCase();
+            const dir = name.includes('/') ? name.split('/')[0].toLowerCase() : null;
+            if (!this.allowedExtensions.includes(extension)) {
+                add('warning', 'unexpected_file', `${name} is not a file type NinjaTrader imports`, { file: name });
+            } else if (dir && !this.allowedDirs.includes(dir)) {
+                add('warning', 'unexpected_location', `${name} is outside the package root and the NinjaScript folders`, { file: name });
+            }
+            if (entry.size > this.maxEntryBytes) {
+                add('warning', 'oversized_file', `${name} is ${entry.size} bytes, over the ${this.maxEntryBytes} byte limit`, { file: name, size: entry.size });
+            }
+        });
+
+        // Entries over maxEntryBytes are reported as oversized_file above and
+        // never inflated
+        const read = entry => {
+            if (entry.size > this.maxEntryBytes) return null;
+            try {
+                return readZipEntry(buffer, entry, { maxBytes: this.maxEntryBytes });
+            } catch (error) {
+                if (!(error instanceof ZipFormatError)) throw error;
+                add('error', 'invalid_zip', error.message, { file: entry.path });
+                return null;
+            }
+        };
+
+        this._checkInfoXml(files, read, report, add);
+
+        const dlls = files.filter(entry => entry.path.toLowerCase().endsWith('.dll'));
+        const sources = files.filter(entry => entry.path.toLowerCase().endsWith('.cs'));
+        if (dlls.length === 0 && sources.length === 0) {
+            add('error', 'empty_package', 'The package has neither a DLL nor NinjaScript sources to import');
+        }
+        if (options.assembly && !dlls.some(entry => path.posix.basename(entry.path).toLowerCase() === options.assembly.toLowerCase())) {
+            add('error', 'missing_assembly', `${options.assembly} is not in the package`, { assembly: options.assembly });
+        }
+
+        const packaged = this._checkAssemblies(dlls, read, report, add, options);
+        this._checkAdditionalReferences(files, packaged, read, add);
+        return this._finish(report, findings);
+    }
+
+    _checkInfoXml(files, read, report, add) {
+        const info = files.find(entry => entry.path.toLowerCase() === 'info.xml');
+        if (!info) {
+            const nested = files.find(entry => path.posix.basename(entry.path).toLowerCase() === 'info.xml');
+            if (nested) {
+                add('error', 'nested_root', `Info.xml is at ${nested.path}; zip the contents of ${path.posix.dirname(nested.path)}/, not the folder`, { file: nested.path });
+            } else {
+                add('error', 'missing_info_xml', 'No Info.xml at the package root; NinjaTrader rejects the import');
+            }
+            return;
+        }
+        const content = read(info);
+        if (!content) return;
+        const { issues, version } = checkInfoXml(content.toString('utf8'));
+        report.exportVersion = version;
+        issues.forEach(issue => add('error', 'invalid_info_xml', `Info.xml: ${issue}`, { file: info.path }));
+    }
+
+    _checkAssemblies(dlls, read, report, add, options) {
+        const packaged = new Map();
+        dlls.forEach(entry => {
+            const name = path.posix.basename(entry.path, path.posix.extname(entry.path)).toLowerCase();
+            if (!packaged.has(name)) packaged.set(name, []);
+            packaged.get(name).push(entry.path);
+        });
+        packaged.forEach(paths => {
+            if (paths.length > 1) {
+                add('error', 'duplicate_assembly', `${paths.join(' and ')} are the same assembly; NinjaTrader loads both and fails with CS0433`, { file: paths[1] });
+            }
+        });
+
+        const main = options.assembly ? options.assembly.toLowerCase() : null;
+        dlls.forEach(entry => {
+            const content = read(entry);
+            if (!content) return;
+
+            let info;
+            try {
+                info = readAssemblyInfo(content);
+            } catch (error) {
+                if (!(error instanceof AssemblyFormatError)) throw error;
+                const isMain = path.posix.basename(entry.path).toLowerCase() === main;
+                add(isMain ? 'error' : 'warning', 'invalid_assembly', `${entry.path} is not a .NET assembly: ${error.message}`, { file: entry.path });
+                return;
+            }
+
+            const names = info.references.map(reference => reference.name);
+            if (!names.includes('mscorlib') && names.some(name => CORE_ONLY_REFERENCES.includes(name))) {
+                add('error', 'wrong_framework', `${entry.path} targets .NET Core/.NET 5+ (references ${names.filter(name => CORE_ONLY_REFERENCES.includes(name)).join(', ')}); NinjaTrader 8 needs .NET Framework 4.8`, { file: entry.path });
+            }
+
+            const references = info.references.map(reference => {
+                const source = packaged.has(reference.name.toLowerCase())
+                    ? 'package'
+                    : this.isProvided(reference.name) ? 'provided' : 'missing';
+                if (source === 'missing') {
+                    add('error', 'missing_reference', `${entry.path} references ${reference.name} ${reference.version}, which is not in the package or supplied by NinjaTrader`, { file: entry.path, reference: reference.name });
+                }
+                return { ...reference, source };
+            });
+            report.assemblies.push({ path: entry.path, ...info, references });
+        });
+        return packaged;
+    }
+
+    // One assembly name per line, with or without .dll; NinjaTrader adds
+    // these to its compile of the NinjaScript sources
+    _checkAdditionalReferences(files, packaged, read, add) {
+        const list = files.find(entry => entry.path.toLowerCase() === 'additionalreferences.txt');
+        if (!list) return;
+        const content = read(list);
+        if (!content) return;
+
+        content.toString('utf8').split(/\r?\n/).map(line => line.trim().replace(/\.dll$/i, '')).filter(Boolean).forEach(name => {
+            if (!packaged.has(name.toLowerCase()) && !this.isProvided(name)) {
+                add('error', 'missing_reference', `AdditionalReferences.txt lists ${name}, which is not in the package or supplied by NinjaTrader`, { file: list.path, reference: name });
+            }
+        });
+    }
+
+    _finish(report, findings) {
+        const byCode = {};
+        findings.forEach(finding => {
+            byCode[finding.code] = (byCode[finding.code] || 0) + 1;
+        });
+        const errors = findings.filter(finding => finding.severity === 'error').length;
+        return {
+            valid: errors === 0,
+            ...report,
+            summary: {
+                errors,
+                warnings: findings.filter(finding => finding.severity === 'warning').length,
+                byCode
+            },
+            findings
+        };
+    }
+}
+
+// A finding as one log line
+function formatPackageFinding(finding) {
+    return `${finding.file || 'package'}: ${finding.severity} ${finding.code}: ${finding.message}`;
+}
+
+module.exports = {
+    DEFAULT_PROVIDED_ASSEMBLIES,
+    PackageValidator,
+    checkInfoXml,
+    formatPackageFinding
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const path = require('path');
+const { ZipFormatError, readZipEntries, readZipEntry } = require('./zip-reader');
+const { AssemblyFormatError, readAssemblyInfo } = require('./dotnet-assembly');
+const { unifiedDiff } = require('./unified-diff');
+
+// Entry-by-entry comparison of two package zips, for "the new zip behaves
+// differently". Entries are matched by path ignoring case, as they land on
+// Windows. Every added, removed or changed entry is listed with its size and
+// SHA-256 on each side; source and XML entries get a unified diff, DLLs
+// their assembly identity and public types.
+
+const TEXT_EXTENSIONS = ['.cs', '.xml', '.xaml', '.txt', '.csproj', '.config', '.json', '.resx', '.md'];
+
+class PackageDiffError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'PackageDiffError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// path (lower case) -> { path, size, sha256, content } for every file entry.
+// Entries declared larger than limit(path) are not inflated: they keep
+// content and sha256 null and are compared by size and CRC only.
+function readPackage(pkg, side, limit) {
+    let entries;
+    try {
+        entries = readZipEntries(pkg.buffer);
+    } catch (error) {
+        if (!(error instanceof ZipFormatError)) throw error;
+        throw new PackageDiffError(`${pkg.name || side} is not a readable zip: ${error.message}`, 400, { code: 'invalid_zip', side });
+    }
+
+    const files = new Map();
+    entries.filter(entry => !entry.directory).forEach(entry => {
+        const entryPath = entry.name.replace(/\\/g, '/');
+        const maxBytes = limit(entryPath);
+        const skipped = entry.size > maxBytes;
+        let content = null;
+        let error;
+        try {
+            if (!skipped) content = readZipEntry(pkg.buffer, entry, { maxBytes });
+        } catch (readError) {
+            if (!(readError instanceof ZipFormatError)) throw readError;
+            error = readError.message;
+        }
+        files.set(entryPath.toLowerCase(), {
+            path: entryPath,
+            size: entry.size,
+            // Unread entries fall back to the CRC the directory records
+            sha256: content ? sha256(content) : null,
+            crc32: entry.crc32,
+            content,
+            skipped,
+            error
+        });
+    });
+
+    return {
+        describe: {
+            name: pkg.name || null,
+            ...pkg.meta,
+            size: pkg.buffer.length,
+            sha256: sha256(pkg.buffer),
+            entries: files.size
+        },
+        files
+    };
+}
+
+function isText(entryPath) {
+    return TEXT_EXTENSIONS.includes(path.posix.extname(entryPath).toLowerCase());
+}
+
+function decodeText(buffer) {
+    return buffer ? buffer.toString('utf8').replace(/^\uFEFF/, '') : '';
+}
+
+function assemblyOf(file) {
+    if (!file || !file.content) return null;
+    try {
+        const { name, version, runtimeVersion, architecture, references, publicTypes } = readAssemblyInfo(file.content, { types: true });
+        return { name, version, runtimeVersion, architecture, references, publicTypes };
+    } catch (error) {
+        if (!(error instanceof AssemblyFormatError)) throw error;
+        return { error: error.message };
+    }
+}
+
+// Version change and the public types / references each side has alone
+function compareAssemblies(before, after) {
+    const only = (list, other) => (list || []).filter(item => !(other || []).includes(item));
+    const refs = info => (info && info.references ? info.references.map(ref => `${ref.name} ${ref.version}`) : []);
+    return {
+        from: before,
+        to: after,
+        versionChanged: Boolean(before && after && before.version !== after.version),
+        typesAdded: only(after && after.publicTypes, before && before.publicTypes),
+        typesRemoved: only(before && before.publicTypes, after && after.publicTypes),
+        referencesAdded: only(refs(after), refs(before)),
+        referencesRemoved: only(refs(before), refs(after))
+    };
+}
+
+// Compare two packages, each { name, buffer, meta } where meta (e.g. the
+// artifact id and version) is copied into the report. options:
+// { maxTextBytes } - larger text entries get no unified diff;
+// { maxEntryBytes } - larger entries of any kind are compared by size and
+// CRC only, never inflated; { context } - unified diff context lines.
+// Throws PackageDiffError when either side is not a zip.
+function diffPackages(from, to, options = {}) {
+    const { maxTextBytes = 1024 * 1024, maxEntryBytes = 20 * 1024 * 1024, context = 3 } = options;
+    const limit = entryPath => (isText(entryPath) ? Math.min(maxTextBytes, maxEntryBytes) : maxEntryBytes);
+    const before = readPackage(from, 'from', limit);
+    const after = readPackage(to, 'to', limit);
+
+    const keys = Array.from(new Set([...before.files.keys(), ...after.files.keys()])).sort();
+    const files = [];
+    let unchanged = 0;
+
+    keys.forEach(key => {
+        const a = before.files.get(key) || null;
+        const b = after.files.get(key) || null;
+        const status = !a ? 'added' : !b ? 'removed' : null;
+        const same = a && b && a.size === b.size && (a.sha256 && b.sha256 ? a.sha256 === b.sha256 : a.crc32 === b.crc32);
+        if (same) {
+            unchanged++;
+            return;
+        }
+
+        const entryPath = (b || a).path;
+        const side = file => (file ? { path: file.path, size: file.size, sha256: file.sha256 } : null);
+        const change = {
+            path: entryPath,
+            status: status || 'changed',
+            from: side(a),
+            to: side(b),
+            sizeDelta: (b ? b.size : 0) - (a ? a.size : 0)
+        };
+        const errors = [a, b].filter(file => file && file.error).map(file => file.error);
+        if (errors.length > 0) change.errors = errors;
+
+        if ((a && a.skipped) || (b && b.skipped)) {
+            change.diffSkipped = `larger than ${limit(entryPath)} bytes`;
+        } else if (isText(entryPath)) {
+            if (errors.length === 0) {
+                change.diff = unifiedDiff(decodeText(a && a.content), decodeText(b && b.content), {
+                    oldLabel: a ? `a/${a.path}` : '/dev/null',
+                    newLabel: b ? `b/${b.path}` : '/dev/null',
+                    context
+                });
+            }
+        } else if (entryPath.toLowerCase().endsWith('.dll')) {
+            change.assembly = compareAssemblies(assemblyOf(a), assemblyOf(b));
+        }
+        files.push(change);
+    });
+
+    const count = state => files.filter(file => file.status === state).length;
+    return {
+        generatedAt: new Date().toISOString(),
+        from: before.describe,
+        to: after.describe,
+        identical: files.length === 0,
+        summary: {
+            added: count('added'),
+            removed: count('removed'),
+            changed: count('changed'),
+            unchanged,
+            sizeDelta: after.describe.size - before.describe.size
+        },
+        files
+    };
+}
+
+module.exports = {
+    PackageDiffError,
+    TEXT_EXTENSIONS,
+    diffPackages
+};
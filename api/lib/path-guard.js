@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+
+// Helpers for keeping user-supplied paths inside a root directory
+
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Resolve symlinks through the nearest existing ancestor, so a link inside
+// a root that points elsewhere cannot be used to escape it
+function realPath(target) {
+    let existing = target;
+    const rest = [];
+    while (!fs.existsSync(existing)) {
+        const parent = path.dirname(existing);
+        if (parent === existing) break;
+        rest.unshift(path.basename(existing));
+        existing = parent;
+    }
+    return path.join(fs.realpathSync(existing), ...rest);
+}
+
+module.exports = {
+    isInside,
+    realPath
+};
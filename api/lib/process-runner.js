@@ -0,0 +1,159 @@
+const { spawn } = require('child_process');
+
+// Grace period between SIGTERM and SIGKILL when tearing down a process tree
+const KILL_GRACE_MS = 5000;
+
+// Kill a child and everything it spawned. Children are started detached so
+// they lead their own process group; signalling the negative pid reaches
+// dotnet, MSBuild worker nodes and anything else the shell started.
+function killProcessTree(child, signal = 'SIGTERM') {
+    if (!child || child.exitCode !== null || child.signalCode !== null) return;
+
+    try {
+        if (process.platform === 'win32') {
+            spawn('taskkill', ['/pid', String(child.pid), '/T', '/F']);
+            return;
+        }
+        process.kill(-child.pid, signal);
+    } catch (error) {
+        // Group already gone or not a group leader - fall back to the child itself
+        try {
+            child.kill(signal);
+        } catch (ignored) {
+            // Process exited in the meantime
+        }
+    }
+
+    if (signal !== 'SIGKILL') {
+        const timer = setTimeout(() => killProcessTree(child, 'SIGKILL'), KILL_GRACE_MS);
+        timer.unref();
+    }
+}
+
+// Run an executable with an argument array - no shell, so arguments are
+// never re-parsed. Mirrors the execFile() callback contract (error is set on
+// non-zero exit) but always resolves, supports cancellation through an
+// AbortSignal and kills the whole tree on timeout.
+// onLine(line, stream) receives output line by line as it arrives; the
+// buffered stdout/stderr keep the most recent maxBuffer characters, since
+// MSBuild reports its errors at the end.
+function runProcess(file, args = [], options = {}) {
+    const command = [file, ...args].join(' ');
+    const {
+        cwd,
+        env,
+        timeout = 0,
+        maxBuffer = 2 * 1024 * 1024,
+        signal,
+        onLine
+    } = options;
+
+    return new Promise((resolve) => {
+        const startedAt = Date.now();
+        const result = {
+            command,
+            code: null,
+            signal: null,
+            stdout: '',
+            stderr: '',
+            truncated: false,
+            timedOut: false,
+            cancelled: false,
+            error: null,
+            durationMs: 0
+        };
+
+        if (signal && signal.aborted) {
+            result.cancelled = true;
+            result.error = new Error('Command cancelled');
+            return resolve(result);
+        }
+
+        const child = spawn(file, args, {
+            cwd,
+            env: env || process.env,
+            detached: process.platform !== 'win32'
+        });
+
+        const partial = { stdout: '', stderr: '' };
+
+        const emitLines = (stream, text, flush) => {
+            if (!onLine) return;
+            const lines = (partial[stream] + text).split(/\r?\n/);
+            partial[stream] = flush ? '' : lines.pop();
+            lines.forEach(line => {
+                if (flush && line === '') return;
+                onLine(line, stream);
+            });
+        };
+
+        const append = (stream, text) => {
+            result[stream] += text;
+            if (result[stream].length > maxBuffer) {
+                result[stream] = result[stream].slice(-maxBuffer);
+                result.truncated = true;
+            }
+            emitLines(stream, text, false);
+        };
+
+        // Decode per stream so a multi-byte character split across two
+        // chunks (localized MSBuild messages, non-ASCII paths) stays intact
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+        child.stdout.on('data', (chunk) => append('stdout', chunk));
+        child.stderr.on('data', (chunk) => append('stderr', chunk));
+
+        let timer = null;
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                result.timedOut = true;
+                killProcessTree(child);
+            }, timeout);
+        }
+
+        const onAbort = () => {
+            result.cancelled = true;
+            killProcessTree(child);
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        let settled = false;
+        child.on('error', (error) => {
+            result.error = error;
+            // Failed to spawn (e.g. ENOENT): no 'close' will follow
+            if (child.pid === undefined) finish(null, null);
+        });
+
+        child.on('close', (code, exitSignal) => finish(code, exitSignal));
+
+        function finish(code, exitSignal) {
+            if (settled) return;
+            settled = true;
+            if (timer) clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            emitLines('stdout', '', true);
+            emitLines('stderr', '', true);
+
+            result.code = code;
+            result.signal = exitSignal;
+            result.durationMs = Date.now() - startedAt;
+
+            if (result.cancelled) {
+                result.error = new Error('Command cancelled');
+            } else if (result.timedOut) {
+                result.error = new Error(`Command timed out after ${timeout}ms: ${command}`);
+            } else if (result.error && result.error.code === 'ENOENT') {
+                result.error = new Error(`Command not found: ${file}`);
+            } else if (!result.error && code !== 0) {
+                result.error = new Error(`Command failed with exit code ${code}: ${command}`);
+            }
+
+            resolve(result);
+        }
+    });
+}
+
+module.exports = {
+    runProcess,
+    killProcessTree
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_VERSION = '1.0.0';
+
+// Semantic-ish versions: 1.2.3, 1.2.3.4, 1.2.3-beta.1
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:\.\d+)?(?:-[0-9A-Za-z.-]+)?$/;
+
+function isValidVersion(version) {
+    return typeof version === 'string' && VERSION_PATTERN.test(version);
+}
+
+function readTag(xml, tag) {
+    const match = new RegExp(`<${tag}>\\s*([^<]+?)\\s*</${tag}>`).exec(xml);
+    return match ? match[1] : null;
+}
+
+// Version of an SDK-style project: <Version>, else <VersionPrefix>[-<VersionSuffix>],
+// else <AssemblyVersion>/<FileVersion>, else [assembly: AssemblyVersion] in
+// Properties/AssemblyInfo.cs. Returns { version, source }.
+function readProjectVersion(csprojPath) {
+    try {
+        const xml = fs.readFileSync(csprojPath, 'utf8');
+
+        const version = readTag(xml, 'Version');
+        if (version && isValidVersion(version)) {
+            return { version, source: 'csproj:Version' };
+        }
+
+        const prefix = readTag(xml, 'VersionPrefix');
+        if (prefix) {
+            const suffix = readTag(xml, 'VersionSuffix');
+            const combined = suffix ? `${prefix}-${suffix}` : prefix;
+            if (isValidVersion(combined)) {
+                return { version: combined, source: 'csproj:VersionPrefix' };
+            }
+        }
+
+        for (const tag of ['AssemblyVersion', 'FileVersion']) {
+            const value = readTag(xml, tag);
+            if (value && isValidVersion(value)) {
+                return { version: value, source: `csproj:${tag}` };
+            }
+        }
+    } catch (error) {
+        console.log(`Could not read version from ${csprojPath}:`, error.message);
+    }
+
+    const assemblyInfo = path.join(path.dirname(csprojPath), 'Properties', 'AssemblyInfo.cs');
+    if (fs.existsSync(assemblyInfo)) {
+        const match = /\[assembly:\s*AssemblyVersion\("([^"*]+)"\)\]/.exec(fs.readFileSync(assemblyInfo, 'utf8'));
+        if (match && isValidVersion(match[1])) {
+            return { version: match[1], source: 'AssemblyInfo.cs' };
+        }
+    }
+
+    return { version: DEFAULT_VERSION, source: 'default' };
+}
+
+module.exports = {
+    DEFAULT_VERSION,
+    isValidVersion,
+    readProjectVersion
+};
@@ -0,0 +1,118 @@
+const { EventEmitter } = require('events');
+
+// Release channels for stored artifacts, lowest to highest. New artifacts
+// start in the first channel and move up one channel at a time.
+const CHANNELS = ['dev', 'beta', 'stable'];
+
+class ReleaseChannelError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ReleaseChannelError';
+        this.status = status;
+    }
+}
+
+// Channel of an artifact; manifests written before channels existed are dev
+function channelOf(manifest) {
+    return manifest.channel || CHANNELS[0];
+}
+
+// When the artifact entered a channel: promotion time, or creation for dev
+function enteredChannelAt(manifest, channel) {
+    if (channel === CHANNELS[0]) return manifest.createdAt;
+    const promotion = (manifest.promotions || []).find(p => p.to === channel);
+    return promotion ? promotion.at : null;
+}
+
+// Emits 'promoted' (artifact, promotion) after each promotion
+class ReleaseChannels extends EventEmitter {
+    constructor(artifactStore) {
+        super();
+        this.artifactStore = artifactStore;
+    }
+
+    get channels() {
+        return CHANNELS;
+    }
+
+    isChannel(name) {
+        return CHANNELS.includes(name);
+    }
+
+    // Artifacts that have reached the channel, most recently promoted first
+    list(channel, { kind } = {}) {
+        const rank = CHANNELS.indexOf(channel);
+        if (rank === -1) throw new ReleaseChannelError(`Unknown channel: ${channel}`);
+
+        return this.artifactStore.list({ kind })
+            .filter(manifest => CHANNELS.indexOf(channelOf(manifest)) >= rank)
+            .sort((a, b) => enteredChannelAt(b, channel).localeCompare(enteredChannelAt(a, channel)));
+    }
+
+    latest(channel, { kind } = {}) {
+        return this.list(channel, { kind })[0] || null;
+    }
+
+    // Move an artifact up to the next channel. `to` defaults to the next
+    // channel; skipping a channel is refused so stable builds have been beta.
+    promote(id, { to, note, by } = {}) {
+        const manifest = this.artifactStore.get(id);
+        if (!manifest) throw new ReleaseChannelError(`Artifact not found: ${id}`, 404);
+
+        const from = channelOf(manifest);
+        const next = CHANNELS[CHANNELS.indexOf(from) + 1];
+        if (!next) {
+            throw new ReleaseChannelError(`Artifact ${id} is already in ${from}`, 409);
+        }
+
+        const target = to || next;
+        if (!this.isChannel(target)) {
+            throw new ReleaseChannelError(`Unknown channel: ${target}`);
+        }
+        if (target !== next) {
+            throw new ReleaseChannelError(`Artifact ${id} is in ${from} and can only be promoted to ${next}`, 409);
+        }
+        if (!note || typeof note !== 'string' || !note.trim()) {
+            throw new ReleaseChannelError('A promotion note is required');
+        }
+
+        const promotion = {
+            from,
+            to: target,
+            note: note.trim(),
+            by: by || null,
+            at: new Date().toISOString()
+        };
+
+        const updated = this.artifactStore.update(id, current => ({
+            ...current,
+            channel: target,
+            promotions: [...(current.promotions || []), promotion]
+        }));
+
+        console.log(`Promoted artifact ${id}: ${from} -> ${target} (${promotion.note})`);
+        this.emit('promoted', updated, promotion);
+        return { artifact: updated, promotion };
+    }
+
+    // Current head of every channel per kind; retention never prunes these
+    heads() {
+        const heads = new Set();
+        const kinds = new Set(this.artifactStore.list().map(manifest => manifest.kind));
+
+        kinds.forEach(kind => {
+            CHANNELS.forEach(channel => {
+                const head = this.latest(channel, { kind });
+                if (head) heads.add(head.id);
+            });
+        });
+        return heads;
+    }
+}
+
+module.exports = {
+    CHANNELS,
+    ReleaseChannels,
+    ReleaseChannelError,
+    channelOf
+};
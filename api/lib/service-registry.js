@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+
+// Services listed on the dashboard before the registry existed; written to
+// the registry file on first start and editable from then on
+const DEFAULT_SERVICES = [
+    {
+        id: 'ninja-trader',
+        name: 'NinjaTrader Platform',
+        icon: '📊',
+        description: 'Professional trading platform for futures and forex',
+        url: 'https://ninjatrader.com',
+        category: 'Trading Platforms'
+    },
+    {
+        id: 'fks_addon',
+        name: 'FKS Trading Addon',
+        icon: '⚡',
+        description: 'Custom FKS trading algorithms and strategies',
+        url: '/build',
+        category: 'Trading Tools'
+    },
+    {
+        id: 'market-data',
+        name: 'Market Data Feed',
+        icon: '📈',
+        description: 'Real-time market data and analytics',
+        url: '/api/market-data',
+        category: 'Data Services'
+    },
+    {
+        id: 'backtesting',
+        name: 'Strategy Backtesting',
+        icon: '🔄',
+        description: 'Historical strategy performance analysis',
+        url: '/api/backtest',
+        category: 'Analysis Tools'
+    },
+    {
+        id: 'portfolio-mgmt',
+        name: 'Portfolio Management',
+        icon: '💼',
+        description: 'Track and manage trading portfolios',
+        url: '/api/portfolio',
+        category: 'Trading Tools'
+    },
+    {
+        id: 'risk-management',
+        name: 'Risk Management',
+        icon: '🛡️',
+        description: 'Risk assessment and management tools',
+        url: '/api/risk',
+        category: 'Risk Tools'
+    },
+    {
+        id: 'trade-journal',
+        name: 'Trade Journal',
+        icon: '📝',
+        description: 'Track and analyze trading performance',
+        url: '/api/journal',
+        category: 'Analysis Tools'
+    },
+    {
+        id: 'alerts',
+        name: 'Trading Alerts',
+        icon: '🔔',
+        description: 'Real-time trading signals and notifications',
+        url: '/api/alerts',
+        category: 'Notifications'
+    },
+    {
+        id: 'documentation',
+        name: 'FKS Documentation',
+        icon: '📚',
+        description: 'API documentation and trading guides',
+        url: '/docs',
+        category: 'Documentation'
+    },
+    {
+        id: 'system-health',
+        name: 'System Health',
+        icon: '🏥',
+        description: 'Monitor FKS system status and performance',
+        url: '/api/health',
+        category: 'System Monitoring'
+    }
+];
+
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const TEXT_FIELDS = ['name', 'icon', 'description', 'url', 'category'];
+
+class ServiceRegistryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ServiceRegistryError';
+        this.status = status;
+    }
+}
+
+// healthCheck is either { url } for an HTTP(S) GET that must answer 2xx/3xx,
+// or { host, port } for a TCP connect. timeoutMs is optional on both.
+function normalizeHealthCheck(healthCheck) {
+    if (healthCheck === undefined || healthCheck === null) return null;
+    if (typeof healthCheck !== 'object' || Array.isArray(healthCheck)) {
+        throw new ServiceRegistryError('healthCheck must be an object with url, or host and port');
+    }
+
+    const { url, host, port, timeoutMs } = healthCheck;
+    const normalized = {};
+
+    if (url !== undefined) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new ServiceRegistryError(`healthCheck.url is not a valid URL: ${url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new ServiceRegistryError('healthCheck.url must use http or https');
+        }
+        normalized.url = parsed.toString();
+    } else if (port !== undefined) {
+        const portNumber = Number(port);
+        if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+            throw new ServiceRegistryError(`healthCheck.port must be between 1 and 65535 (got ${JSON.stringify(port)})`);
+        }
+        normalized.host = typeof host === 'string' && host.trim() ? host.trim() : 'localhost';
+        normalized.port = portNumber;
+    } else {
+        throw new ServiceRegistryError('healthCheck needs a url or a port');
+    }
+
+    if (timeoutMs !== undefined) {
+        if (!Number.isInteger(timeoutMs) || timeoutMs < 100) {
+            throw new ServiceRegistryError('healthCheck.timeoutMs must be an integer >= 100');
+        }
+        normalized.timeoutMs = timeoutMs;
+    }
+    return normalized;
+}
+
+function normalizeService(input, existing = null) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ServiceRegistryError('Service must be an object');
+    }
+
+    const service = existing ? { ...existing } : {};
+    if (!existing) {
+        if (typeof input.id !== 'string' || !ID_PATTERN.test(input.id)) {
+            throw new ServiceRegistryError('Service id is required: letters, digits, "_", "." and "-" only');
+        }
+        service.id = input.id;
+    }
+
+    TEXT_FIELDS.forEach(field => {
+        if (input[field] === undefined) return;
+        if (input[field] !== null && typeof input[field] !== 'string') {
+            throw new ServiceRegistryError(`${field} must be a string`);
+        }
+        service[field] = input[field] === null ? undefined : input[field].trim();
+    });
+    if ('healthCheck' in input) {
+        service.healthCheck = normalizeHealthCheck(input.healthCheck);
+    }
+
+    if (!service.name) throw new ServiceRegistryError('Service name is required');
+    if (!service.category) throw new ServiceRegistryError('Service category is required');
+    if (!service.healthCheck) delete service.healthCheck;
+    return JSON.parse(JSON.stringify(service));
+}
+
+// Services shown on the dashboard, kept in a JSON file so they can be
+// managed through the API instead of being compiled into the server
+class ServiceRegistry {
+    constructor(options = {}) {
+        this.file = options.file;
+        this.services = [];
+        this._load(options.seed || DEFAULT_SERVICES);
+    }
+
+    _load(seed) {
+        if (!this.file || !fs.existsSync(this.file)) {
+            this.services = seed.map(service => normalizeService(service));
+            this._save();
+            return;
+        }
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.services = (saved.services || []).map(service => normalizeService(service));
+        } catch (error) {
+            // An unreadable registry is a configuration error, not an empty list
+            throw new Error(`Cannot read service registry ${this.file}: ${error.message}`);
+        }
+    }
+
+    _save() {
+        if (!this.file) return;
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ services: this.services }, null, 2));
+        fs.renameSync(tempFile, this.file);
+    }
+
+    // All services, or those whose category contains ?category (case-insensitive)
+    list({ category } = {}) {
+        if (!category) return this.services.slice();
+        const wanted = category.toLowerCase();
+        return this.services.filter(service => service.category.toLowerCase().includes(wanted));
+    }
+
+    get(id) {
+        return this.services.find(service => service.id === id) || null;
+    }
+
+    create(input) {
+        const service = normalizeService(input);
+        if (this.get(service.id)) {
+            throw new ServiceRegistryError(`Service already exists: ${service.id}`, 409);
+        }
+        this.services.push(service);
+        this._save();
+        return service;
+    }
+
+    // Partial update; the id cannot change. A null field removes it.
+    update(id, changes) {
+        const index = this.services.findIndex(service => service.id === id);
+        if (index === -1) throw new ServiceRegistryError(`Service not found: ${id}`, 404);
+        if (changes && changes.id !== undefined && changes.id !== id) {
+            throw new ServiceRegistryError('Service id cannot be changed');
+        }
+
+        const service = normalizeService(changes, this.services[index]);
+        this.services[index] = service;
+        this._save();
+        return service;
+    }
+
+    remove(id) {
+        const service = this.get(id);
+        if (!service) return null;
+
+        this.services = this.services.filter(candidate => candidate !== service);
+        this._save();
+        return service;
+    }
+}
+
+module.exports = {
+    DEFAULT_SERVICES,
+    ServiceRegistry,
+    ServiceRegistryError
+};
@@ -0,0 +1,474 @@
+const fs = require('fs');
+const path = require('path');
+
+// Static checks for NinjaScript sources that catch, in well under a second
+// and without dotnet, the mistakes that otherwise fail a build minutes in.
+// Findings follow the diagnostics shape - { severity, code, message, file,
+// line, column, ... } with file relative to the scanned directory:
+//   duplicate_type        a non-partial type declared in more than one place;
+//                         CS0101 in one namespace, CS0104 across NinjaScript ones
+//   unsupported_feature   C# newer than 7.3, which NinjaTrader 8 compiles for
+//                         .NET Framework 4.8 (global using, records, ...)
+//   namespace_mismatch    a file under Indicators/, Strategies/, AddOns/, ...
+//                         declaring types outside that folder's namespace
+//   missing_using_region  a NinjaScript file without #region Using declarations,
+//                         which the NinjaScript editor rewrites
+//   unreadable_file       too large or unreadable, so not checked
+
+const LINT_CODES = ['duplicate_type', 'unsupported_feature', 'namespace_mismatch', 'missing_using_region', 'unreadable_file'];
+
+// NinjaScript folders and the namespace NinjaTrader compiles each one into
+const NINJASCRIPT_NAMESPACES = {
+    AddOns: 'NinjaTrader.NinjaScript.AddOns',
+    BarsTypes: 'NinjaTrader.NinjaScript.BarsTypes',
+    ChartStyles: 'NinjaTrader.NinjaScript.ChartStyles',
+    DrawingTools: 'NinjaTrader.NinjaScript.DrawingTools',
+    ImportTypes: 'NinjaTrader.NinjaScript.ImportTypes',
+    Indicators: 'NinjaTrader.NinjaScript.Indicators',
+    MarketAnalyzerColumns: 'NinjaTrader.NinjaScript.MarketAnalyzerColumns',
+    OptimizationFitnesses: 'NinjaTrader.NinjaScript.OptimizationFitnesses',
+    Optimizers: 'NinjaTrader.NinjaScript.Optimizers',
+    PerformanceMetrics: 'NinjaTrader.NinjaScript.PerformanceMetrics',
+    ShareServices: 'NinjaTrader.NinjaScript.ShareServices',
+    Strategies: 'NinjaTrader.NinjaScript.Strategies',
+    SuperDomColumns: 'NinjaTrader.NinjaScript.SuperDomColumns'
+};
+
+// Language features past C# 7.3, matched against code with comments and
+// string contents blanked out. Records, file-scoped namespaces and raw
+// string literals are found by the scanner instead.
+const FEATURE_PATTERNS = [
+    { feature: 'global using directive', version: '10', pattern: /^[ \t]*global\s+using\b/gm },
+    { feature: '#nullable directive', version: '8.0', pattern: /^[ \t]*#nullable\b/gm },
+    { feature: 'nullable reference type', version: '8.0', pattern: /\b(?:string|object|dynamic)\?(?=\s+@?[A-Za-z_])/g },
+    { feature: 'switch expression', version: '8.0', pattern: /[\w)\]]\s+switch\s*\{/g },
+    { feature: 'null-coalescing assignment (??=)', version: '8.0', pattern: /\?\?=/g },
+    { feature: 'using declaration', version: '8.0', pattern: /\busing\s+var\s+@?\w+\s*=/g },
+    { feature: 'index from end (^)', version: '8.0', pattern: /\[\s*\^/g },
+    { feature: 'range (..)', version: '8.0', pattern: /\[[^[\]\n]*?\.\./g },
+    { feature: 'init accessor', version: '9.0', pattern: /[{;]\s*init\s*[;{]/g },
+    { feature: '"is not" pattern', version: '9.0', pattern: /\bis\s+not\b/g },
+    { feature: 'with expression', version: '9.0', pattern: /\bwith\s*\{/g },
+    { feature: 'target-typed new', version: '9.0', pattern: /\bnew\s*\(/g, statementExcludes: /\bwhere\b/ }
+];
+
+const SKIPPED_DIRS = new Set(['bin', 'obj', 'node_modules', 'packages']);
+const DECLARATION_PREFIX_PATTERN = /^\s*(?:(?:public|private|protected|internal|static|sealed|abstract|partial|readonly|unsafe|new|ref)\s+)*$/;
+const DECLARATION_PATTERN = /\bnamespace\s+(@?[\w.]+)\s*([;{])|\b(class|struct|interface|enum|record(?:\s+(?:class|struct))?)\s+@?([A-Za-z_]\w*)|[{};]/g;
+
+// Blank out comments and the contents of string and char literals, keeping
+// every line and column where it was. The holes of interpolated strings
+// stay code, with the literals nested in them blanked in turn. Returns
+// { code, rawStrings } where rawStrings are the offsets of C# 11 """raw"""
+// literals.
+function maskSource(source) {
+    const out = source.split('');
+    const rawStrings = [];
+    const blank = (from, to) => {
+        for (let i = from; i < to; i++) {
+            if (out[i] !== '\n' && out[i] !== '\r') out[i] = ' ';
+        }
+    };
+    const isStringStart = i => source[i] === '"'
+        || ((source[i] === '@' || source[i] === '$') && /^[@$]{0,2}"/.test(source.slice(i, i + 3)));
+
+    // i is on a char literal's opening quote; returns the offset after it
+    const maskChar = (i) => {
+        const match = /^'(?:[^'\\\n]|\\.[^'\n]*?)'/.exec(source.slice(i, i + 12));
+        if (match) blank(i + 1, i + match[0].length - 1);
+        return i + (match ? match[0].length : 1);
+    };
+
+    // i is on the string's prefix or opening quote; returns the offset after it
+    const maskString = (i) => {
+        const prefix = /^[@$]*/.exec(source.slice(i))[0];
+        const start = i + prefix.length;
+        if (source.startsWith('"""', start)) {
+            const end = source.indexOf('"""', start + 3);
+            const stop = end === -1 ? source.length : end + 3;
+            rawStrings.push(i);
+            blank(start + 1, stop - 1);
+            return stop;
+        }
+        const verbatim = prefix.includes('@');
+        const interpolated = prefix.includes('$');
+        let literalFrom = start + 1;
+        let j = start + 1;
+        while (j < source.length) {
+            if (verbatim && source[j] === '"' && source[j + 1] === '"') {
+                j += 2;
+            } else if (!verbatim && source[j] === '\\') {
+                j += 2;
+            } else if (interpolated && source[j] === '{' && source[j + 1] === '{') {
+                j += 2;
+            } else if (interpolated && source[j] === '{') {
+                blank(literalFrom, j + 1);
+                const close = maskHole(j + 1, verbatim);
+                if (source[close] !== '}') {
+                    literalFrom = close;
+                    j = close;
+                    break;
+                }
+                blank(close, close + 1);
+                literalFrom = close + 1;
+                j = close + 1;
+            } else if (source[j] === '"' || (!verbatim && source[j] === '\n')) {
+                break;
+            } else {
+                j++;
+            }
+        }
+        blank(literalFrom, j);
+        return j + 1;
+    };
+
+    // Code inside an interpolation hole up to its closing brace (or the end
+    // of line for a regular string); returns that offset
+    const maskHole = (j, verbatim) => {
+        let depth = 0;
+        while (j < source.length) {
+            const ch = source[j];
+            if (isStringStart(j)) {
+                j = maskString(j);
+            } else if (ch === '\'') {
+                j = maskChar(j);
+            } else if (ch === '{') {
+                depth++;
+                j++;
+            } else if (ch === '}') {
+                if (depth === 0) return j;
+                depth--;
+                j++;
+            } else if (!verbatim && ch === '\n') {
+                return j;
+            } else {
+                j++;
+            }
+        }
+        return j;
+    };
+
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        const next = source[i + 1];
+
+        if (ch === '/' && next === '/') {
+            const end = source.indexOf('\n', i);
+            const stop = end === -1 ? source.length : end;
+            blank(i, stop);
+            i = stop;
+        } else if (ch === '/' && next === '*') {
+            const end = source.indexOf('*/', i + 2);
+            const stop = end === -1 ? source.length : end + 2;
+            blank(i, stop);
+            i = stop;
+        } else if (isStringStart(i)) {
+            i = maskString(i);
+        } else if (ch === '\'') {
+            i = maskChar(i);
+        } else {
+            i++;
+        }
+    }
+
+    return { code: out.join(''), rawStrings };
+}
+
+// Offset -> { line, column }, both 1-based
+function createLocator(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return offset => {
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (starts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - starts[low] + 1 };
+    };
+}
+
+// Text of the statement a match sits in, back to the previous ; { or }
+function statementBefore(code, index) {
+    const start = Math.max(code.lastIndexOf(';', index - 1), code.lastIndexOf('{', index - 1), code.lastIndexOf('}', index - 1));
+    return code.slice(start + 1, index);
+}
+
+// Namespace and type declarations from masked code. Only types at namespace
+// level are returned; nested types cannot clash across files.
+function scanDeclarations(code) {
+    const namespaces = [];
+    const records = [];
+    const types = [];
+    const scopes = [];
+    let pending = null;
+    let fileNamespace = null;
+
+    for (const match of code.matchAll(DECLARATION_PATTERN)) {
+        const [token, namespaceName, namespaceEnd, typeKeyword, typeName] = match;
+
+        if (namespaceName) {
+            namespaces.push({ name: namespaceName, index: match.index, fileScoped: namespaceEnd === ';' });
+            if (namespaceEnd === ';') {
+                fileNamespace = namespaceName;
+            } else {
+                scopes.push({ kind: 'namespace', name: namespaceName });
+            }
+            pending = null;
+        } else if (typeKeyword) {
+            // Only attributes and modifiers may come first; this skips
+            // "where T : class" constraints and variables named record
+            const prefix = statementBefore(code, match.index)
+                .replace(/^[ \t]*#.*$/gm, ' ')
+                .replace(/\[[^\]]*\]/g, ' ');
+            if (!DECLARATION_PREFIX_PATTERN.test(prefix)) continue;
+            const insideType = scopes.some(scope => scope.kind === 'type');
+            if (!insideType) {
+                const enclosing = scopes.filter(scope => scope.kind === 'namespace').map(scope => scope.name);
+                types.push({
+                    name: typeName,
+                    keyword: typeKeyword.split(/\s+/)[0],
+                    index: match.index,
+                    namespace: [fileNamespace, ...enclosing].filter(Boolean).join('.') || null,
+                    partial: /\bpartial\b/.test(prefix)
+                });
+            }
+            if (typeKeyword.startsWith('record')) records.push(match.index);
+            pending = 'type';
+        } else if (token === '{') {
+            scopes.push({ kind: pending || 'block' });
+            pending = null;
+        } else if (token === '}') {
+            scopes.pop();
+        } else {
+            pending = null;
+        }
+    }
+
+    return { namespaces, records, types };
+}
+
+// Expected namespace for a file, from the deepest NinjaScript folder in its path
+function expectedNamespace(relativeFile) {
+    const folders = relativeFile.split('/').slice(0, -1);
+    for (let i = folders.length - 1; i >= 0; i--) {
+        if (NINJASCRIPT_NAMESPACES[folders[i]]) return { folder: folders[i], namespace: NINJASCRIPT_NAMESPACES[folders[i]] };
+    }
+    return null;
+}
+
+// Per-file checks. Returns { findings, types } where types feed the
+// cross-file duplicate check.
+function lintSource(source, relativeFile) {
+    const { code, rawStrings } = maskSource(source);
+    const locate = createLocator(code);
+    const findings = [];
+    const seen = new Set();
+
+    const feature = (name, version, index) => {
+        const { line, column } = locate(index);
+        const key = `${name}:${line}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        findings.push({
+            severity: 'error',
+            code: 'unsupported_feature',
+            message: `${name} needs C# ${version}; NinjaTrader 8 compiles C# 7.3 for .NET Framework 4.8`,
+            file: relativeFile,
+            line,
+            column,
+            feature: name
+        });
+    };
+
+    FEATURE_PATTERNS.forEach(({ feature: name, version, pattern, statementExcludes }) => {
+        for (const match of code.matchAll(pattern)) {
+            if (statementExcludes && statementExcludes.test(statementBefore(code, match.index))) continue;
+            feature(name, version, match.index);
+        }
+    });
+
+    const { namespaces, records, types } = scanDeclarations(code);
+    namespaces.filter(entry => entry.fileScoped).forEach(entry => feature('file-scoped namespace', '10', entry.index));
+    records.forEach(index => feature('record', '9.0', index));
+    rawStrings.forEach(index => feature('raw string literal', '11', index));
+
+    const expected = expectedNamespace(relativeFile);
+    if (expected) {
+        types
+            .filter(type => type.namespace !== expected.namespace && !(type.namespace || '').startsWith(`${expected.namespace}.`))
+            // The generated code region adds partial Indicator, Strategy and
+            // MarketAnalyzerColumn classes in their own namespaces
+            .filter(type => !type.partial)
+            .forEach(type => {
+                const { line, column } = locate(type.index);
+                findings.push({
+                    severity: 'warning',
+                    code: 'namespace_mismatch',
+                    message: type.namespace
+                        ? `${type.keyword} ${type.name} is in namespace ${type.namespace}; files under ${expected.folder}/ should use ${expected.namespace}`
+                        : `${type.keyword} ${type.name} is not in a namespace; files under ${expected.folder}/ should use ${expected.namespace}`,
+                    file: relativeFile,
+                    line,
+                    column,
+                    expected: expected.namespace,
+                    actual: type.namespace
+                });
+            });
+
+        if (!/^[ \t]*#region\s+Using declarations\b/m.test(code)) {
+            findings.push({
+                severity: 'warning',
+                code: 'missing_using_region',
+                message: 'No "#region Using declarations" block; the NinjaScript editor expects the using directives inside it',
+                file: relativeFile,
+                line: 1,
+                column: 1
+            });
+        }
+    }
+
+    return {
+        findings,
+        types: types.filter(type => !type.partial).map(type => ({ ...locate(type.index), name: type.name, keyword: type.keyword, namespace: type.namespace }))
+    };
+}
+
+// One finding per declaration of a type that is declared more than once
+function duplicateTypeFindings(declarations) {
+    const byName = new Map();
+    declarations.forEach(declaration => {
+        if (!byName.has(declaration.name)) byName.set(declaration.name, []);
+        byName.get(declaration.name).push(declaration);
+    });
+
+    const findings = [];
+    byName.forEach((found, name) => {
+        if (found.length < 2) return;
+        found.forEach(declaration => {
+            const others = found.filter(other => other !== declaration);
+            const sameNamespace = others.some(other => other.namespace === declaration.namespace);
+            const ninjaScript = ns => (ns || '').startsWith('NinjaTrader.NinjaScript');
+            const ambiguous = ninjaScript(declaration.namespace) && others.some(other => ninjaScript(other.namespace));
+            findings.push({
+                severity: sameNamespace || ambiguous ? 'error' : 'warning',
+                code: 'duplicate_type',
+                message: `${declaration.keyword} ${name} is also declared in ${others.map(other => `${other.file}(${other.line})`).join(', ')}`
+                    + (sameNamespace ? ' in the same namespace (CS0101)' : ' (CS0104 where both namespaces are imported)'),
+                file: declaration.file,
+                line: declaration.line,
+                column: declaration.column,
+                type: name,
+                namespace: declaration.namespace,
+                others: others.map(other => ({ file: other.file, line: other.line, namespace: other.namespace }))
+            });
+        });
+    });
+    return findings;
+}
+
+// Lints every .cs file under a source directory. options: { srcDir,
+// maxFileBytes, ignore: [codes] }.
+class SourceLinter {
+    constructor(options = {}) {
+        this.srcDir = options.srcDir;
+        this.maxFileBytes = options.maxFileBytes || 2 * 1024 * 1024;
+        this.ignore = new Set(options.ignore || []);
+    }
+
+    _files(dir) {
+        const files = [];
+        const walk = (current) => {
+            let entries;
+            try {
+                entries = fs.readdirSync(current, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+            entries
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(entry => {
+                    const entryPath = path.join(current, entry.name);
+                    if (entry.isDirectory()) {
+                        if (!entry.name.startsWith('.') && !SKIPPED_DIRS.has(entry.name)) walk(entryPath);
+                    } else if (entry.isFile() && entry.name.endsWith('.cs')) {
+                        files.push(entryPath);
+                    }
+                });
+        };
+        walk(dir);
+        return files;
+    }
+
+    // Lint the source tree. options: { root } to scan another checkout of
+    // src (a ref's worktree); { files: [relative paths] } to report findings
+    // for those files only - duplicates are still checked against everything.
+    lint(options = {}) {
+        const startedAt = Date.now();
+        const root = options.root || this.srcDir;
+        const only = options.files ? new Set(options.files.map(file => file.replace(/\\/g, '/').replace(/^\.\//, ''))) : null;
+        const findings = [];
+        const declarations = [];
+        const files = this._files(root);
+
+        files.forEach(file => {
+            const relativeFile = path.relative(root, file).split(path.sep).join('/');
+            let source;
+            try {
+                if (fs.statSync(file).size > this.maxFileBytes) {
+                    throw new Error(`larger than ${this.maxFileBytes} bytes`);
+                }
+                source = fs.readFileSync(file, 'utf8');
+            } catch (error) {
+                findings.push({ severity: 'warning', code: 'unreadable_file', message: `Not checked: ${error.message}`, file: relativeFile, line: null, column: null });
+                return;
+            }
+            const result = lintSource(source, relativeFile);
+            findings.push(...result.findings);
+            declarations.push(...result.types.map(type => ({ ...type, file: relativeFile })));
+        });
+        findings.push(...duplicateTypeFindings(declarations));
+
+        const reported = findings
+            .filter(finding => !this.ignore.has(finding.code))
+            .filter(finding => !only || only.has(finding.file))
+            .sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+
+        const byCode = {};
+        reported.forEach(finding => {
+            byCode[finding.code] = (byCode[finding.code] || 0) + 1;
+        });
+        return {
+            generatedAt: new Date().toISOString(),
+            root,
+            files: files.length,
+            durationMs: Date.now() - startedAt,
+            summary: {
+                errors: reported.filter(finding => finding.severity === 'error').length,
+                warnings: reported.filter(finding => finding.severity === 'warning').length,
+                byCode
+            },
+            findings: reported
+        };
+    }
+}
+
+// A finding in MSBuild's canonical form, for build logs
+function formatFinding(finding) {
+    const position = finding.line ? `(${finding.line}${finding.column ? `,${finding.column}` : ''})` : '';
+    return `${finding.file}${position}: ${finding.severity} ${finding.code}: ${finding.message}`;
+}
+
+module.exports = {
+    LINT_CODES,
+    NINJASCRIPT_NAMESPACES,
+    SourceLinter,
+    formatFinding,
+    lintSource,
+    maskSource
+};
@@ -0,0 +1,61 @@
+// Minimal Server-Sent Events helpers
+
+const HEARTBEAT_MS = 15000;
+
+// Switch a response into an event stream. Returns send/close helpers; a
+// comment heartbeat keeps proxies from timing out idle connections.
+function openEventStream(req, res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Disable nginx response buffering for this route
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    const closeHandlers = [];
+
+    const cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        closeHandlers.forEach(handler => handler());
+    };
+    req.on('close', cleanup);
+
+    return {
+        send(event, data, id) {
+            if (closed) return;
+            let frame = '';
+            if (id !== undefined) frame += `id: ${id}\n`;
+            if (event) frame += `event: ${event}\n`;
+            frame += `data: ${JSON.stringify(data)}\n\n`;
+            res.write(frame);
+        },
+        onClose(handler) {
+            closeHandlers.push(handler);
+        },
+        close() {
+            cleanup();
+            res.end();
+        }
+    };
+}
+
+// Last-Event-ID from the reconnect header, or ?lastEventId= for clients
+// that cannot set headers
+function getLastEventId(req) {
+    const raw = req.get('Last-Event-ID') || req.query.lastEventId;
+    const id = parseInt(raw, 10);
+    return Number.isFinite(id) && id > 0 ? id : 0;
+}
+
+module.exports = {
+    openEventStream,
+    getLastEventId
+};
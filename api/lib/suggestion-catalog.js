@@ -0,0 +1,200 @@
+const fs = require('fs');
+
+// Fix suggestions keyed by diagnostic code. Several entries may share a code;
+// an entry with a messagePattern only applies when the diagnostic message
+// matches it, and the first matching entry for a code wins - so specific
+// entries are listed before the catch-all for their code.
+const BUILTIN_SUGGESTIONS = [
+    {
+        code: 'CS0234',
+        title: 'Missing assembly reference',
+        suggestion: 'Missing assembly references detected. Check project references - NinjaTrader.Core, NinjaTrader.Gui and NinjaTrader.Custom must resolve from the NinjaTrader 8 install or the lib folder.'
+    },
+    {
+        code: 'CS0246',
+        title: 'Type or namespace not found',
+        suggestion: 'Add the missing using directive or assembly reference. WPF types (Brushes, MediaBrush) need PresentationCore/WindowsBase references on .NET Framework 4.8.'
+    },
+    {
+        code: 'CS0012',
+        title: 'Type defined in an unreferenced assembly',
+        suggestion: 'Reference the assembly named in the message. NinjaScript types commonly pull in PresentationCore, PresentationFramework, WindowsBase or System.Xaml.'
+    },
+    {
+        code: 'CS0104',
+        title: 'Ambiguous type reference',
+        suggestion: 'Ambiguous type references detected. Check for duplicate class definitions across Indicators, Strategies and AddOns, or fully qualify the type.'
+    },
+    {
+        code: 'CS0101',
+        title: 'Duplicate type definition',
+        suggestion: 'The namespace already contains this type. NinjaScript class names must be unique across every Indicators/Strategies/AddOns file.'
+    },
+    {
+        code: 'CS0111',
+        title: 'Duplicate member',
+        suggestion: 'A member is defined twice. This often comes from a copied NinjaScript generated code region - keep only one per indicator.'
+    },
+    {
+        code: 'CS0433',
+        title: 'Type exists in two assemblies',
+        suggestion: 'The same type is compiled into NinjaTrader.Custom and this addon DLL. Remove the source copy from NinjaTrader\'s bin/Custom folder or exclude it from the project.'
+    },
+    {
+        code: 'CS0518',
+        title: 'Predefined type missing',
+        suggestion: '.NET Framework 4.8 reference assemblies are not available. Add the Microsoft.NETFramework.ReferenceAssemblies package to build on Linux.'
+    },
+    {
+        code: 'MSB3644',
+        title: '.NET Framework reference assemblies not found',
+        suggestion: 'Install the .NET Framework 4.8 targeting pack, or add the Microsoft.NETFramework.ReferenceAssemblies NuGet package to the csproj.'
+    },
+    {
+        code: 'MSB3245',
+        title: 'Unresolved reference',
+        suggestion: 'A referenced DLL could not be found. Check the HintPath for the NinjaTrader assemblies in the csproj.'
+    },
+    {
+        code: 'CS8370',
+        title: 'global using not supported',
+        messagePattern: /global using/i,
+        suggestion: '.NET Framework 4.8 does not support global using. Use regular using statements.'
+    },
+    {
+        code: 'CS8773',
+        title: 'global using not supported',
+        messagePattern: /global using/i,
+        suggestion: '.NET Framework 4.8 does not support global using. Use regular using statements.'
+    },
+    {
+        code: 'CS8370',
+        title: 'File-scoped namespace not supported',
+        messagePattern: /file-scoped namespace/i,
+        suggestion: 'NinjaTrader compiles with C# 7.3. Use a block namespace: namespace NinjaTrader.NinjaScript.Indicators { ... }.'
+    },
+    {
+        code: 'CS8370',
+        title: 'Nullable reference types not supported',
+        messagePattern: /nullable reference types/i,
+        suggestion: 'NinjaTrader compiles with C# 7.3. Remove "?" annotations on reference types and any #nullable directives.'
+    },
+    {
+        code: 'CS8370',
+        title: 'C# language feature not available',
+        suggestion: 'NinjaTrader 8 compiles for .NET Framework 4.8 with C# 7.3. Rewrite the code without the feature named in the message.'
+    },
+    {
+        code: 'CS8107',
+        title: 'C# language feature not available',
+        suggestion: 'NinjaTrader 8 compiles for .NET Framework 4.8 with C# 7.3. Rewrite the code without the feature named in the message.'
+    },
+    {
+        code: 'CS1617',
+        title: 'Invalid language version',
+        suggestion: 'Set <LangVersion>7.3</LangVersion> (or remove it) so the project matches what NinjaTrader compiles with.'
+    },
+    {
+        code: 'NU1101',
+        title: 'NuGet package not found',
+        suggestion: 'The package could not be restored. Check the package name and that the build container can reach the NuGet feed.'
+    }
+];
+
+class SuggestionCatalog {
+    constructor(entries = BUILTIN_SUGGESTIONS) {
+        this.entries = new Map();
+        // register() prepends, so go in reverse to keep the listed precedence
+        [...entries].reverse().forEach(entry => this.register(entry));
+    }
+
+    // Add an entry; entries registered later for the same code are checked first
+    register(entry) {
+        if (!entry || !entry.code || !entry.suggestion) {
+            throw new Error('Suggestion entries need a code and a suggestion');
+        }
+
+        const normalized = {
+            code: entry.code.toUpperCase(),
+            title: entry.title || entry.code,
+            suggestion: entry.suggestion,
+            messagePattern: toPattern(entry.messagePattern),
+            source: entry.source || 'builtin'
+        };
+
+        const existing = this.entries.get(normalized.code) || [];
+        this.entries.set(normalized.code, [normalized, ...existing]);
+    }
+
+    // Load extra entries from a JSON file: [{ code, title, suggestion, messagePattern }]
+    loadFile(filePath) {
+        if (!fs.existsSync(filePath)) return 0;
+
+        const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!Array.isArray(entries)) {
+            throw new Error(`${filePath} must contain an array of suggestion entries`);
+        }
+        // Reverse so the first entry in the file takes precedence
+        [...entries].reverse().forEach(entry => this.register({ ...entry, source: filePath }));
+        return entries.length;
+    }
+
+    lookup(diagnostic) {
+        const candidates = this.entries.get(diagnostic.code) || [];
+        return candidates.find(entry =>
+            !entry.messagePattern || entry.messagePattern.test(diagnostic.message)
+        ) || null;
+    }
+
+    // One suggestion per distinct catalog entry, with the diagnostics it covers
+    suggest(diagnostics) {
+        const suggestions = new Map();
+
+        diagnostics.forEach(diagnostic => {
+            const entry = this.lookup(diagnostic);
+            if (!entry) return;
+
+            const key = `${entry.code}:${entry.title}`;
+            if (!suggestions.has(key)) {
+                suggestions.set(key, {
+                    code: entry.code,
+                    title: entry.title,
+                    suggestion: entry.suggestion,
+                    occurrences: 0,
+                    locations: []
+                });
+            }
+
+            const suggestion = suggestions.get(key);
+            suggestion.occurrences++;
+            if (diagnostic.file) {
+                suggestion.locations.push({
+                    file: diagnostic.relativeFile || diagnostic.file,
+                    line: diagnostic.line,
+                    column: diagnostic.column
+                });
+            }
+        });
+
+        return Array.from(suggestions.values());
+    }
+
+    toJSON() {
+        return Array.from(this.entries.values())
+            .flat()
+            .map(entry => ({
+                ...entry,
+                messagePattern: entry.messagePattern ? entry.messagePattern.source : null
+            }));
+    }
+}
+
+function toPattern(pattern) {
+    if (!pattern) return null;
+    return pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i');
+}
+
+module.exports = {
+    SuggestionCatalog,
+    BUILTIN_SUGGESTIONS
+};
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+
+// CPU times at the previous sample; the first sample measures since boot
+let lastCpuSample = null;
+
+function cpuTimes() {
+    return os.cpus().reduce((totals, cpu) => {
+        const { idle, ...busy } = cpu.times;
+        totals.idle += idle;
+        totals.total += idle + Object.values(busy).reduce((sum, value) => sum + value, 0);
+        return totals;
+    }, { idle: 0, total: 0 });
+}
+
+// Host CPU busy percentage since the previous call
+function sampleCpuPercent() {
+    const current = cpuTimes();
+    const previous = lastCpuSample || { idle: 0, total: 0 };
+    lastCpuSample = current;
+
+    const total = current.total - previous.total;
+    if (total <= 0) return null;
+    return round(100 * (1 - (current.idle - previous.idle) / total), 1);
+}
+
+// Free space on the volume holding `dir`; null where statfs is unavailable
+async function diskUsage(dir) {
+    try {
+        const stats = await fs.promises.statfs(dir);
+        const totalBytes = stats.blocks * stats.bsize;
+        const availableBytes = stats.bavail * stats.bsize;
+        return {
+            path: dir,
+            totalBytes,
+            freeBytes: stats.bfree * stats.bsize,
+            availableBytes,
+            usedPercent: totalBytes > 0 ? round(100 * (1 - availableBytes / totalBytes), 1) : null
+        };
+    } catch (error) {
+        return { path: dir, error: error.message };
+    }
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return null;
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${round(value, 1)}${units[unit]}`;
+}
+
+// e.g. "3d 4h 15m", "24h 15m", "12m"
+function formatDuration(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
+
+// Host, process and disk figures for status endpoints
+async function collectSystemMetrics({ diskPath } = {}) {
+    const cpus = os.cpus().length;
+    const loadAverage = os.loadavg().map(load => round(load, 2));
+    const totalMemory = os.totalmem();
+    const freeMemory = os.freemem();
+    const memoryUsage = process.memoryUsage();
+
+    return {
+        host: {
+            hostname: os.hostname(),
+            platform: `${os.platform()} ${os.release()}`,
+            cpus,
+            cpuPercent: sampleCpuPercent(),
+            // Always zero on Windows
+            loadAverage,
+            loadPercent: round(100 * loadAverage[0] / cpus, 1),
+            memory: {
+                totalBytes: totalMemory,
+                freeBytes: freeMemory,
+                usedBytes: totalMemory - freeMemory,
+                usedPercent: round(100 * (1 - freeMemory / totalMemory), 1)
+            },
+            uptimeSec: Math.round(os.uptime())
+        },
+        process: {
+            pid: process.pid,
+            node: process.version,
+            uptimeSec: Math.round(process.uptime()),
+            rssBytes: memoryUsage.rss,
+            heapUsedBytes: memoryUsage.heapUsed
+        },
+        disk: diskPath ? await diskUsage(diskPath) : null
+    };
+}
+
+module.exports = {
+    collectSystemMetrics,
+    formatBytes,
+    formatDuration
+};
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// NinjaScript templates are `<id>.cs.tmpl` files: YAML front matter with the
+// metadata, then the C# source with {{variable}} placeholders.
+//
+//   ---
+//   name: Basic indicator
+//   kind: indicator            # indicator | strategy | addon | ...
+//   targetDir: src/Custom      # optional; default is templates.targetDirs[kind]
+//   description: Minimal indicator with a single plot
+//   variables:
+//     plotColor: { description: Plot brush, default: Blue, pattern: '^[A-Za-z]+$' }
+//   ---
+//   public class {{className}} : Indicator { ... }
+//
+// className and fileName are always available. Directories are scanned again
+// whenever the catalog is read, so added or edited templates apply without a
+// restart; later directories override earlier ones by id.
+
+const TEMPLATE_SUFFIX = '.cs.tmpl';
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const BUILTIN_VARIABLES = ['className', 'fileName'];
+
+class TemplateError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'TemplateError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function parseTemplateFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/.exec(raw);
+    if (!match) {
+        throw new Error('missing YAML front matter between --- lines');
+    }
+
+    const meta = YAML.parse(match[1]) || {};
+    const body = match[2];
+    const id = path.basename(filePath, TEMPLATE_SUFFIX);
+
+    if (!ID_PATTERN.test(id)) throw new Error(`invalid template id "${id}"`);
+    if (typeof meta.name !== 'string' || !meta.name) throw new Error('name is required');
+    if (typeof meta.kind !== 'string' || !meta.kind) throw new Error('kind is required');
+
+    const variables = {};
+    Object.entries(meta.variables || {}).forEach(([name, spec]) => {
+        if (BUILTIN_VARIABLES.includes(name)) {
+            throw new Error(`variable ${name} is built in and cannot be redeclared`);
+        }
+        const variable = spec && typeof spec === 'object' ? spec : { default: spec };
+        if (variable.pattern !== undefined) {
+            try {
+                new RegExp(variable.pattern);
+            } catch (error) {
+                throw new Error(`variable ${name} has an invalid pattern: ${error.message}`);
+            }
+        }
+        variables[name] = {
+            description: variable.description || '',
+            default: variable.default === undefined || variable.default === null ? undefined : String(variable.default),
+            required: variable.required === true || variable.default === undefined,
+            pattern: variable.pattern
+        };
+    });
+
+    const undeclared = Array.from(new Set(Array.from(body.matchAll(PLACEHOLDER_PATTERN), m => m[1])))
+        .filter(name => !BUILTIN_VARIABLES.includes(name) && !variables[name]);
+    if (undeclared.length > 0) {
+        throw new Error(`undeclared variables: ${undeclared.join(', ')}`);
+    }
+
+    return {
+        id,
+        name: meta.name,
+        kind: meta.kind,
+        description: meta.description || '',
+        targetDir: meta.targetDir || null,
+        variables,
+        body,
+        file: filePath
+    };
+}
+
+class TemplateCatalog {
+    // dirs: template directories, lowest precedence first; missing ones are skipped
+    constructor(options = {}) {
+        this.dirs = options.dirs || [];
+        this.cache = new Map();
+        this.templates = new Map();
+        this.errors = [];
+    }
+
+    // Re-read changed files; unchanged ones come from the cache by mtime/size
+    _refresh() {
+        const templates = new Map();
+        const errors = [];
+        const seen = new Set();
+
+        this.dirs.forEach(dir => {
+            if (!fs.existsSync(dir)) return;
+
+            fs.readdirSync(dir)
+                .filter(name => name.endsWith(TEMPLATE_SUFFIX))
+                .sort()
+                .forEach(name => {
+                    const filePath = path.join(dir, name);
+                    seen.add(filePath);
+                    try {
+                        const stats = fs.statSync(filePath);
+                        let cached = this.cache.get(filePath);
+                        if (!cached || cached.mtimeMs !== stats.mtimeMs || cached.size !== stats.size) {
+                            cached = { mtimeMs: stats.mtimeMs, size: stats.size };
+                            try {
+                                cached.template = parseTemplateFile(filePath);
+                            } catch (error) {
+                                cached.error = error.message;
+                            }
+                            this.cache.set(filePath, cached);
+                        }
+                        if (cached.error) {
+                            errors.push({ file: filePath, error: cached.error });
+                        } else {
+                            templates.set(cached.template.id, cached.template);
+                        }
+                    } catch (error) {
+                        errors.push({ file: filePath, error: error.message });
+                    }
+                });
+        });
+
+        Array.from(this.cache.keys())
+            .filter(filePath => !seen.has(filePath))
+            .forEach(filePath => this.cache.delete(filePath));
+
+        this.templates = templates;
+        this.errors = errors;
+    }
+
+    list() {
+        this._refresh();
+        return Array.from(this.templates.values());
+    }
+
+    get(id) {
+        this._refresh();
+        return this.templates.get(id) || null;
+    }
+
+    // Render a template. className defaults to the file name without .cs and
+    // fileName to `${className}.cs`. Throws TemplateError on bad variables.
+    render(id, { className, fileName, variables = {} } = {}) {
+        const template = this.get(id);
+        if (!template) {
+            throw new TemplateError(`Unknown template: ${id}`, 404, { code: 'unknown_template', available: Array.from(this.templates.keys()) });
+        }
+
+        const resolvedClassName = className || (fileName ? path.basename(fileName, '.cs') : null);
+        if (!resolvedClassName) {
+            throw new TemplateError('fileName or className is required', 400, { code: 'invalid_name' });
+        }
+
+        const values = { className: resolvedClassName, fileName: fileName || `${resolvedClassName}.cs` };
+        const issues = [];
+        Object.entries(template.variables).forEach(([name, spec]) => {
+            const value = variables[name] === undefined || variables[name] === null ? spec.default : String(variables[name]);
+            if (value === undefined) {
+                issues.push(`${name} is required`);
+            } else if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+                issues.push(`${name} does not match ${spec.pattern}`);
+            } else {
+                values[name] = value;
+            }
+        });
+        const unknown = Object.keys(variables).filter(name => !template.variables[name]);
+        if (unknown.length > 0) {
+            issues.push(`unknown variables: ${unknown.join(', ')}`);
+        }
+        if (issues.length > 0) {
+            throw new TemplateError(`Invalid variables for template ${id}`, 400, { code: 'invalid_variables', issues });
+        }
+
+        return {
+            template: describeTemplate(template),
+            className: values.className,
+            fileName: values.fileName,
+            variables: values,
+            content: template.body.replace(PLACEHOLDER_PATTERN, (placeholder, name) => values[name])
+        };
+    }
+}
+
+// Template metadata without the body, for listings
+function describeTemplate(template) {
+    const { body, ...meta } = template;
+    return meta;
+}
+
+module.exports = {
+    TemplateCatalog,
+    TemplateError,
+    describeTemplate
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { TemplateError } = require('./template-catalog');
+const { checkClassName } = require('./csharp-names');
+const { isInside, realPath } = require('./path-guard');
+
+// Guards for writing rendered templates into the workspace: valid C# names,
+// files that stay inside the workspace, no second declaration of the class
+// anywhere under src, and no silent overwrites. Every refusal is a
+// TemplateError whose details carry a machine-readable code.
+
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*\.cs$/;
+const SKIPPED_DIRS = new Set(['bin', 'obj', 'node_modules', 'packages']);
+const MAX_SCAN_FILE_BYTES = 2 * 1024 * 1024;
+
+function checkTemplateName({ className, fileName }) {
+    const issues = [];
+    checkClassName(className, 'className', issues);
+    if (typeof fileName !== 'string' || !FILE_NAME_PATTERN.test(fileName) || fileName.includes('..')) {
+        issues.push(`fileName must be a plain .cs file name without directories (got ${JSON.stringify(fileName)})`);
+    }
+    if (issues.length > 0) {
+        throw new TemplateError('Invalid class or file name', 400, { code: 'invalid_name', issues });
+    }
+}
+
+// Strip comments and string literals so declarations mentioned in them do not count
+function stripCode(source) {
+    return source
+        .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '))
+        .replace(/\/\/[^\n]*/g, '')
+        .replace(/@"(?:[^"]|"")*"/g, match => match.replace(/[^\n]/g, ' '))
+        .replace(/"(?:[^"\\\n]|\\.)*"/g, '""');
+}
+
+// Type declarations named `name` in .cs files under srcDir, as
+// [{ file, line }]; files in exclude are skipped
+function findTypeDeclarations(srcDir, name, exclude = []) {
+    const pattern = new RegExp(`\\b(?:class|struct|interface|enum|record)\\s+${name}(?![A-Za-z0-9_])`, 'g');
+    const excluded = new Set(exclude.map(file => path.resolve(file)));
+    const found = [];
+
+    const walk = (dir) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        entries.forEach(entry => {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (!entry.name.startsWith('.') && !SKIPPED_DIRS.has(entry.name)) walk(entryPath);
+                return;
+            }
+            if (!entry.isFile() || !entry.name.endsWith('.cs') || excluded.has(entryPath)) return;
+            try {
+                if (fs.statSync(entryPath).size > MAX_SCAN_FILE_BYTES) return;
+                const source = stripCode(fs.readFileSync(entryPath, 'utf8'));
+                for (const match of source.matchAll(pattern)) {
+                    found.push({ file: entryPath, line: source.slice(0, match.index).split('\n').length });
+                }
+            } catch (error) {
+                // Unreadable file; the build will report it
+            }
+        });
+    };
+
+    walk(srcDir);
+    return found;
+}
+
+// Check where a rendered template would go. options: { targetDir, workspace,
+// srcDir }. Returns { className, filePath, directory, exists, clashes };
+// throws for bad names and paths outside the workspace.
+function planTemplateWrite(rendered, options) {
+    checkTemplateName(rendered);
+
+    const { targetDir, workspace, srcDir } = options;
+    if (!targetDir) {
+        const kind = rendered.template.kind;
+        throw new TemplateError(`No target folder for template kind ${kind}; set targetDir in the template or templates.targetDirs.${kind}`,
+            400, { code: 'no_target_dir', kind });
+    }
+
+    const root = realPath(path.resolve(workspace));
+    const directory = realPath(path.resolve(workspace, targetDir));
+    const filePath = path.join(directory, rendered.fileName);
+    if (!isInside(root, directory) || !isInside(directory, filePath)) {
+        throw new TemplateError(`Target ${filePath} is outside the workspace`, 400, { code: 'path_escape', path: filePath });
+    }
+
+    const exists = fs.existsSync(filePath);
+    const clashes = findTypeDeclarations(srcDir, rendered.className, [filePath]);
+    return { className: rendered.className, filePath, directory, exists, clashes };
+}
+
+// Write the file planned above. Refuses to replace an existing file unless
+// overwrite is set, in which case the old file is copied into backupDir
+// first. Returns the backup path or null.
+function writeTemplateFile(plan, content, { overwrite = false, backupDir } = {}) {
+    if (plan.clashes.length > 0) {
+        throw new TemplateError(`Class ${plan.className} is already declared in the workspace`, 409, {
+            code: 'class_clash',
+            clashes: plan.clashes
+        });
+    }
+    if (plan.exists && !overwrite) {
+        throw new TemplateError(`${plan.filePath} already exists; pass overwrite: true to replace it`, 409, {
+            code: 'file_exists',
+            path: plan.filePath
+        });
+    }
+
+    let backup = null;
+    if (plan.exists) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        backup = path.join(backupDir, `${path.basename(plan.filePath)}.${stamp}.bak`);
+        fs.mkdirSync(backupDir, { recursive: true });
+        fs.copyFileSync(plan.filePath, backup);
+    }
+
+    fs.mkdirSync(plan.directory, { recursive: true });
+    // Dot-prefixed .tmp so a half-written file is never picked up by the build
+    const tempFile = path.join(plan.directory, `.${path.basename(plan.filePath)}.tmp`);
+    fs.writeFileSync(tempFile, content);
+    fs.renameSync(tempFile, plan.filePath);
+    return backup;
+}
+
+module.exports = {
+    checkTemplateName,
+    findTypeDeclarations,
+    planTemplateWrite,
+    writeTemplateFile
+};
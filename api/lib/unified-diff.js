@@ -0,0 +1,149 @@
+// Line-based unified diffs (the `diff -u` / git format) using Myers' O(ND)
+// algorithm. Lines are compared with their line endings, so a changed
+// trailing newline shows up as "\ No newline at end of file".
+
+// Above this many differing lines the exact diff is too expensive; the whole
+// changed region is reported as removed and re-added instead
+const MAX_EDIT_DISTANCE = 2000;
+
+function splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// Edit script between a and b as [{ op: ' ' | '-' | '+', line }]
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const head = a.slice(0, start).map(line => ({ op: ' ', line }));
+    const tail = a.slice(endA).map(line => ({ op: ' ', line }));
+    const middle = myers(a.slice(start, endA), b.slice(start, endB));
+    return [...head, ...middle, ...tail];
+}
+
+function myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    if (max === 0) return [];
+
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    let found = false;
+
+    for (let d = 0; d <= max && d <= MAX_EDIT_DISTANCE; d++) {
+        // Only diagonals -d-1..d+1 are read when backtracking through step d
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+        if (found) break;
+    }
+
+    if (!found) {
+        return [...a.map(line => ({ op: '-', line })), ...b.map(line => ({ op: '+', line }))];
+    }
+
+    // Walk the saved frontiers back from (n, m) to recover the edits
+    const edits = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const frontier = trace[d];
+        const at = diagonal => frontier[diagonal + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            edits.push({ op: ' ', line: a[--x] });
+            y--;
+        }
+        if (d === 0) break;
+        if (x === prevX) {
+            edits.push({ op: '+', line: b[--y] });
+        } else {
+            edits.push({ op: '-', line: a[--x] });
+        }
+    }
+    return edits.reverse();
+}
+
+function formatLine(op, line) {
+    return line.endsWith('\n')
+        ? `${op}${line}`
+        : `${op}${line}\n\\ No newline at end of file\n`;
+}
+
+function range(start, count) {
+    if (count === 0) return `${start - 1},0`;
+    return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+// Unified diff between two texts; '' when they are equal. options:
+// { oldLabel, newLabel, context } with context lines defaulting to 3.
+function unifiedDiff(oldText, newText, options = {}) {
+    const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+    const edits = diffLines(splitLines(oldText), splitLines(newText));
+    const changed = edits.map((edit, index) => (edit.op === ' ' ? -1 : index)).filter(index => index >= 0);
+    if (changed.length === 0) return '';
+
+    // Group changes whose context windows touch into hunks
+    const groups = [];
+    changed.forEach(index => {
+        const last = groups[groups.length - 1];
+        if (last && index - last.end <= 2 * context) {
+            last.end = index;
+        } else {
+            groups.push({ start: index, end: index });
+        }
+    });
+
+    // 1-based line numbers in each file at every edit position
+    const positions = [];
+    let oldLine = 1;
+    let newLine = 1;
+    edits.forEach(edit => {
+        positions.push({ oldLine, newLine });
+        if (edit.op !== '+') oldLine++;
+        if (edit.op !== '-') newLine++;
+    });
+
+    let output = `--- ${oldLabel}\n+++ ${newLabel}\n`;
+    groups.forEach(group => {
+        const from = Math.max(0, group.start - context);
+        const to = Math.min(edits.length - 1, group.end + context);
+        const hunk = edits.slice(from, to + 1);
+        const oldCount = hunk.filter(edit => edit.op !== '+').length;
+        const newCount = hunk.filter(edit => edit.op !== '-').length;
+        output += `@@ -${range(positions[from].oldLine, oldCount)} +${range(positions[from].newLine, newCount)} @@\n`;
+        hunk.forEach(edit => {
+            output += formatLine(edit.op, edit.line);
+        });
+    });
+    return output;
+}
+
+module.exports = {
+    diffLines,
+    unifiedDiff
+};
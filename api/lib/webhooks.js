@@ -0,0 +1,603 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing webhooks: subscriptions to build, package and release events, and
+// a dispatcher that POSTs each event to every matching subscription.
+//
+// Every delivery is signed so receivers can check it came from this server:
+//   X-FKS-Event:      build.failed
+//   X-FKS-Delivery:   delivery id (stable across retries)
+//   X-FKS-Timestamp:  unix seconds of this attempt
+//   X-FKS-Signature:  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the secret>
+// Failed attempts (network errors, timeouts, 408, 429 and 5xx) are retried
+// with exponential backoff; other 4xx answers fail the delivery at once.
+
+const WEBHOOK_EVENTS = [
+    'build.started',
+    'build.succeeded',
+    'build.failed',
+    'build.cancelled',
+    'package.created',
+    'package.failed',
+    'artifact.promoted'
+];
+// Sent only by POST /api/webhooks/:id/test, whatever the subscription's events
+const PING_EVENT = 'ping';
+const FORMATS = ['json', 'slack', 'discord', 'teams'];
+const DELIVERY_STATES = ['pending', 'delivered', 'failed'];
+const RETRYABLE_STATUS = new Set([408, 429]);
+// Response text kept per attempt in the delivery log
+const MAX_RESPONSE_CHARS = 1000;
+const MIN_SECRET_LENGTH = 16;
+
+class WebhookError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function invalid(message) {
+    return new WebhookError(message, 400, { code: 'invalid_webhook' });
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Signature header value for a body sent at timestamp (unix seconds)
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+function normalizeEvents(events) {
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => typeof event !== 'string')) {
+        throw invalid(`events must be a non-empty list of event names or "*" (events: ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+    if (events.includes('*')) return ['*'];
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw invalid(`Unknown event(s): ${unknown.join(', ')} (events: ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+    return Array.from(new Set(events));
+}
+
+function normalizeWebhook(input, existing = null) {
+    if (!isPlainObject(input)) throw invalid('Webhook must be an object');
+    if (input.id !== undefined && (!existing || input.id !== existing.id)) {
+        throw invalid('Webhook ids are assigned by the server and cannot be changed');
+    }
+
+    const webhook = existing ? { ...existing } : {
+        id: crypto.randomBytes(6).toString('hex'),
+        events: ['*'],
+        format: 'json',
+        enabled: true,
+        secret: generateSecret(),
+        createdAt: new Date().toISOString()
+    };
+
+    if (input.url !== undefined || !existing) {
+        let parsed;
+        try {
+            parsed = new URL(input.url);
+        } catch (error) {
+            throw invalid(`url is not a valid URL: ${input.url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw invalid('url must use http or https');
+        }
+        webhook.url = parsed.toString();
+    }
+    if (input.events !== undefined) webhook.events = normalizeEvents(input.events);
+    if (input.format !== undefined) {
+        if (!FORMATS.includes(input.format)) {
+            throw invalid(`format must be one of: ${FORMATS.join(', ')}`);
+        }
+        webhook.format = input.format;
+    }
+    if (input.template !== undefined) {
+        if (input.template !== null && !isPlainObject(input.template)) {
+            throw invalid('template must be a JSON object (strings may use {{placeholders}}) or null');
+        }
+        webhook.template = input.template || undefined;
+    }
+    if (input.headers !== undefined) {
+        if (input.headers !== null && (!isPlainObject(input.headers)
+            || Object.values(input.headers).some(value => typeof value !== 'string'))) {
+            throw invalid('headers must be an object of string values or null');
+        }
+        webhook.headers = input.headers || undefined;
+    }
+    if (input.description !== undefined) {
+        if (input.description !== null && typeof input.description !== 'string') {
+            throw invalid('description must be a string');
+        }
+        webhook.description = input.description ? input.description.trim() : undefined;
+    }
+    if (input.enabled !== undefined) {
+        if (typeof input.enabled !== 'boolean') throw invalid('enabled must be true or false');
+        webhook.enabled = input.enabled;
+    }
+    if (input.secret !== undefined) {
+        if (typeof input.secret !== 'string' || input.secret.length < MIN_SECRET_LENGTH) {
+            throw invalid(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+        }
+        webhook.secret = input.secret;
+    }
+
+    if (existing) webhook.updatedAt = new Date().toISOString();
+    return JSON.parse(JSON.stringify(webhook));
+}
+
+// Subscription without its secret, as listed by the API
+function publicWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+}
+
+// Webhook subscriptions kept in a JSON file
+class WebhookStore {
+    constructor(options = {}) {
+        this.file = options.file;
+        this.webhooks = [];
+        this._load();
+    }
+
+    _load() {
+        if (!this.file || !fs.existsSync(this.file)) return;
+        try {
+            this.webhooks = JSON.parse(fs.readFileSync(this.file, 'utf8')).webhooks || [];
+        } catch (error) {
+            // Silently dropping subscriptions would stop notifications unnoticed
+            throw new Error(`Cannot read webhooks ${this.file}: ${error.message}`);
+        }
+    }
+
+    _save() {
+        if (!this.file) return;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ webhooks: this.webhooks }, null, 2), { mode: 0o600 });
+        fs.renameSync(tempFile, this.file);
+    }
+
+    list() {
+        return this.webhooks.slice();
+    }
+
+    get(id) {
+        return this.webhooks.find(webhook => webhook.id === id) || null;
+    }
+
+    // Enabled subscriptions that want an event
+    subscribers(event) {
+        return this.webhooks.filter(webhook => webhook.enabled
+            && (webhook.events.includes('*') || webhook.events.includes(event)));
+    }
+
+    // New subscription; the secret is generated unless given
+    create(input) {
+        const webhook = normalizeWebhook(input);
+        this.webhooks.push(webhook);
+        this._save();
+        return webhook;
+    }
+
+    // Partial update; null removes template, headers or description
+    update(id, changes) {
+        const index = this.webhooks.findIndex(webhook => webhook.id === id);
+        if (index === -1) throw new WebhookError(`Webhook not found: ${id}`, 404, { code: 'unknown_webhook' });
+        this.webhooks[index] = normalizeWebhook(changes, this.webhooks[index]);
+        this._save();
+        return this.webhooks[index];
+    }
+
+    // Replace the secret with a newly generated one
+    rotateSecret(id) {
+        return this.update(id, { secret: generateSecret() });
+    }
+
+    remove(id) {
+        const webhook = this.get(id);
+        if (!webhook) return null;
+        this.webhooks = this.webhooks.filter(candidate => candidate !== webhook);
+        this._save();
+        return webhook;
+    }
+}
+
+function formatDuration(ms) {
+    if (typeof ms !== 'number') return null;
+    return ms < 60000 ? `${Math.round(ms / 1000)}s` : `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+// One-line description of an event for chat messages
+function summarizeEvent(event, data = {}) {
+    const job = data.job || {};
+    const jobRef = job.id ? ` (job ${job.id})` : '';
+    const duration = formatDuration(job.durationMs);
+    const source = data.source && data.source.ref ? ` from ${data.source.ref}` : '';
+    const artifact = data.artifact || {};
+    const summary = data.summary;
+
+    switch (event) {
+        case 'build.started':
+            return `🔨 Build started${source}${jobRef}`;
+        case 'build.succeeded': {
+            const cells = summary ? ` - ${summary.succeeded}/${summary.total} cells` : '';
+            const cached = summary && summary.cached ? `, ${summary.cached} from cache` : '';
+            return `✅ Build succeeded${source}${cells}${cached}${duration ? ` in ${duration}` : ''}${jobRef}`;
+        }
+        case 'build.failed':
+            return `❌ Build failed${source}: ${job.error || 'see the job log'}${jobRef}`;
+        case 'build.cancelled':
+            return `⚪ Build cancelled${source}${jobRef}`;
+        case 'package.created':
+            return `📦 Package ${artifact.kind} ${artifact.version} created${source} (artifact ${artifact.id})${jobRef}`;
+        case 'package.failed':
+            return `❌ Packaging failed${source}: ${job.error || 'see the job log'}${jobRef}`;
+        case 'artifact.promoted': {
+            const promotion = data.promotion || {};
+            const by = promotion.by ? ` by ${promotion.by}` : '';
+            return `🚀 ${artifact.kind} ${artifact.version} promoted ${promotion.from} -> ${promotion.to}${by}: ${promotion.note}`;
+        }
+        case PING_EVENT:
+            return '👋 Webhook test from the FKS Build API';
+        default:
+            return event;
+    }
+}
+
+function lookup(scope, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope);
+}
+
+// Fill {{path}} placeholders in every string of a template. A string that is
+// only a placeholder takes the value as is (numbers, objects); otherwise the
+// value is inserted as text, with missing values left empty.
+function renderTemplate(template, scope) {
+    if (Array.isArray(template)) return template.map(item => renderTemplate(item, scope));
+    if (isPlainObject(template)) {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, scope)]));
+    }
+    if (typeof template !== 'string') return template;
+
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+        const value = lookup(scope, whole[1]);
+        return value === undefined ? null : value;
+    }
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, keyPath) => {
+        const value = lookup(scope, keyPath);
+        if (value === undefined || value === null) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+}
+
+// Request body for a subscription: the full envelope for 'json', a chat
+// message for slack/discord/teams, or the subscription's own template
+function renderPayload(webhook, envelope) {
+    const text = summarizeEvent(envelope.event, envelope.data);
+    if (webhook.template) {
+        return renderTemplate(webhook.template, { ...envelope, text });
+    }
+    switch (webhook.format) {
+        case 'slack':
+            return { text };
+        case 'discord':
+            return { content: text };
+        case 'teams':
+            return {
+                '@type': 'MessageCard',
+                '@context': 'https://schema.org/extensions',
+                summary: text,
+                text
+            };
+        default:
+            return envelope;
+    }
+}
+
+// Sends events to subscribers and keeps a capped delivery log in a JSON
+// file. Deliveries still waiting for a retry when the server stops are
+// resumed by start().
+class WebhookDispatcher {
+    // options: { file, timeoutMs, maxAttempts, retryBaseMs, logLimit }
+    constructor(store, options = {}) {
+        this.store = store;
+        this.file = options.file;
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.maxAttempts = options.maxAttempts || 5;
+        this.retryBaseMs = options.retryBaseMs || 10000;
+        this.logLimit = options.logLimit || 500;
+        this.timers = new Map();
+        this.deliveries = this._load();
+    }
+
+    _load() {
+        if (!this.file || !fs.existsSync(this.file)) return [];
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8')).deliveries || [];
+        } catch (error) {
+            console.error(`Ignoring unreadable webhook delivery log ${this.file}:`, error.message);
+            return [];
+        }
+    }
+
+    _save() {
+        if (!this.file) return;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ deliveries: this.deliveries }, null, 2));
+        fs.renameSync(tempFile, this.file);
+    }
+
+    // Drop the oldest finished deliveries once the log exceeds its limit
+    _trim() {
+        let excess = this.deliveries.length - this.logLimit;
+        if (excess <= 0) return;
+        this.deliveries = this.deliveries.filter(delivery => {
+            if (excess > 0 && delivery.status !== 'pending') {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+    }
+
+    // Reschedule deliveries left pending by a restart
+    start() {
+        this.deliveries.filter(delivery => delivery.status === 'pending').forEach(delivery => {
+            const due = Date.parse(delivery.nextAttemptAt) || Date.now();
+            this._schedule(delivery, Math.max(0, due - Date.now()));
+        });
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    // Send an event to every subscriber; deliveries continue in the background
+    publish(event, data) {
+        const envelope = {
+            id: crypto.randomUUID(),
+            event,
+            timestamp: new Date().toISOString(),
+            data
+        };
+        return this.store.subscribers(event).map(webhook => {
+            const delivery = this._create(webhook, envelope);
+            this._attempt(delivery).catch(error => console.error(`Webhook delivery ${delivery.id} failed:`, error.message));
+            return delivery;
+        });
+    }
+
+    // Send a ping to one subscription; resolves once the first attempt is done
+    async ping(webhook) {
+        const envelope = {
+            id: crypto.randomUUID(),
+            event: PING_EVENT,
+            timestamp: new Date().toISOString(),
+            data: { webhook: publicWebhook(webhook) }
+        };
+        const delivery = this._create(webhook, envelope);
+        await this._attempt(delivery);
+        return delivery;
+    }
+
+    // Send a logged delivery's body again as a new delivery
+    async redeliver(id) {
+        const original = this.get(id);
+        if (!original) throw new WebhookError(`Delivery not found: ${id}`, 404, { code: 'unknown_delivery' });
+        const webhook = this.store.get(original.webhookId);
+        if (!webhook) {
+            throw new WebhookError(`Webhook ${original.webhookId} no longer exists`, 409, { code: 'unknown_webhook' });
+        }
+        const delivery = this._record({
+            webhookId: webhook.id,
+            event: original.event,
+            eventId: original.eventId,
+            body: original.body,
+            redeliveryOf: original.id
+        });
+        await this._attempt(delivery);
+        return delivery;
+    }
+
+    get(id) {
+        return this.deliveries.find(delivery => delivery.id === id) || null;
+    }
+
+    // Newest first, without request bodies
+    list({ webhookId, event, status, limit = 50 } = {}) {
+        return this.deliveries
+            .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+            .filter(delivery => !event || delivery.event === event)
+            .filter(delivery => !status || delivery.status === status)
+            .slice(-limit)
+            .reverse()
+            .map(({ body, ...summary }) => summary);
+    }
+
+    _create(webhook, envelope) {
+        return this._record({
+            webhookId: webhook.id,
+            event: envelope.event,
+            eventId: envelope.id,
+            body: JSON.stringify(renderPayload(webhook, envelope))
+        });
+    }
+
+    _record(fields) {
+        const delivery = {
+            id: crypto.randomUUID(),
+            ...fields,
+            status: 'pending',
+            attempts: [],
+            createdAt: new Date().toISOString(),
+            nextAttemptAt: new Date().toISOString(),
+            completedAt: null
+        };
+        this.deliveries.push(delivery);
+        this._trim();
+        this._save();
+        return delivery;
+    }
+
+    _schedule(delivery, delayMs) {
+        clearTimeout(this.timers.get(delivery.id));
+        const timer = setTimeout(() => {
+            this.timers.delete(delivery.id);
+            this._attempt(delivery).catch(error => console.error(`Webhook delivery ${delivery.id} failed:`, error.message));
+        }, delayMs);
+        timer.unref();
+        this.timers.set(delivery.id, timer);
+    }
+
+    // One POST; on a retryable failure the next attempt is scheduled after
+    // retryBaseMs, doubling each time, until maxAttempts is reached
+    async _attempt(delivery) {
+        const webhook = this.store.get(delivery.webhookId);
+        if (!webhook) {
+            this._complete(delivery, 'failed', 'Webhook was removed');
+            return;
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        const attempt = { number: delivery.attempts.length + 1, at: new Date().toISOString(), url: webhook.url };
+        const startedAt = Date.now();
+        let retryable = true;
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeoutMs),
+                headers: {
+                    ...(webhook.headers || {}),
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'FKS-Build-API-Webhooks',
+                    'X-FKS-Event': delivery.event,
+                    'X-FKS-Delivery': delivery.id,
+                    'X-FKS-Timestamp': String(timestamp),
+                    'X-FKS-Signature': signPayload(webhook.secret, timestamp, delivery.body)
+                },
+                body: delivery.body
+            });
+            attempt.statusCode = response.status;
+            attempt.response = (await response.text()).slice(0, MAX_RESPONSE_CHARS);
+            if (response.status >= 200 && response.status < 300) {
+                attempt.durationMs = Date.now() - startedAt;
+                delivery.attempts.push(attempt);
+                this._complete(delivery, 'delivered');
+                return;
+            }
+            attempt.error = `HTTP ${response.status}`;
+            retryable = response.status >= 500 || RETRYABLE_STATUS.has(response.status);
+        } catch (error) {
+            attempt.error = error.name === 'TimeoutError'
+                ? `Timed out after ${this.timeoutMs}ms`
+                : (error.cause || error).message;
+        }
+        attempt.durationMs = Date.now() - startedAt;
+        delivery.attempts.push(attempt);
+
+        if (!retryable || delivery.attempts.length >= this.maxAttempts) {
+            this._complete(delivery, 'failed', attempt.error);
+            return;
+        }
+        const delayMs = this.retryBaseMs * 2 ** (delivery.attempts.length - 1);
+        delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+        console.log(`Webhook ${webhook.id} ${delivery.event} attempt ${attempt.number} failed (${attempt.error}); retrying in ${delayMs}ms`);
+        this._save();
+        this._schedule(delivery, delayMs);
+    }
+
+    _complete(delivery, status, error = null) {
+        delivery.status = status;
+        delivery.error = error;
+        delivery.nextAttemptAt = null;
+        delivery.completedAt = new Date().toISOString();
+        this._save();
+        if (status === 'failed') {
+            console.error(`Webhook ${delivery.webhookId} ${delivery.event} delivery ${delivery.id} failed: ${error}`);
+        }
+    }
+}
+
+function jobInfo(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        requestedBy: job.params.requestedBy || null,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        durationMs: job.durationMs,
+        error: job.error,
+        url: `/api/jobs/${job.id}`
+    };
+}
+
+// Publish build.* and package.* events as jobs start and finish
+function publishJobEvents(jobQueue, dispatcher) {
+    jobQueue.on('started', (job) => {
+        if (job.type !== 'build') return;
+        dispatcher.publish('build.started', { job: jobInfo(job), source: job.params.source || null });
+    });
+
+    jobQueue.on('finished', (job) => {
+        const result = job.result || {};
+        if (job.type === 'build') {
+            dispatcher.publish(`build.${job.status}`, {
+                job: jobInfo(job),
+                source: job.params.source || null,
+                summary: result.summary || null,
+                cells: (result.cells || []).map(cell => ({
+                    cell: cell.cell,
+                    project: cell.project,
+                    configuration: cell.configuration,
+                    success: cell.success,
+                    cached: Boolean(cell.cached),
+                    errors: cell.diagnosticSummary ? cell.diagnosticSummary.errors : undefined
+                }))
+            });
+        } else if (job.type === 'package' || job.type === 'external-dll-package') {
+            // Cancelled packaging is reported as failed
+            if (job.status === 'succeeded' && result.artifact) {
+                dispatcher.publish('package.created', {
+                    job: jobInfo(job),
+                    source: job.params.source || null,
+                    artifact: result.artifact,
+                    git: result.git || null
+                });
+            } else if (job.status !== 'succeeded') {
+                dispatcher.publish('package.failed', { job: jobInfo(job), source: job.params.source || null });
+            }
+        }
+    });
+}
+
+module.exports = {
+    DELIVERY_STATES,
+    FORMATS,
+    PING_EVENT,
+    WEBHOOK_EVENTS,
+    WebhookDispatcher,
+    WebhookError,
+    WebhookStore,
+    publicWebhook,
+    publishJobEvents,
+    renderPayload,
+    signPayload
+};
@@ -0,0 +1,380 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isInside, realPath } = require('./path-guard');
+const { unifiedDiff } = require('./unified-diff');
+
+// File access for the web IDE, confined to named roots (files.roots). Paths
+// in and out are relative to a root and use forward slashes. Reads return a
+// strong ETag - a hash of the bytes - and writes, renames and deletes of
+// existing files must present it (If-Match), so an editor working from a
+// stale copy gets 412 instead of overwriting someone else's change.
+
+const IGNORED_NAMES = new Set(['.git', 'node_modules']);
+// Bytes inspected for NUL when deciding whether a file is binary (as git does)
+const BINARY_SNIFF_BYTES = 8000;
+
+class FileAccessError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'FileAccessError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function etagOf(buffer) {
+    return `"${crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32)}"`;
+}
+
+function isBinary(buffer) {
+    return buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
+
+// Glob to RegExp over forward-slash paths: ** crosses directories, * and ?
+// stay within one, {a,b} is alternation. A pattern without a slash matches
+// the base name anywhere, like .gitignore.
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            const slash = glob[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            source += '(?:';
+        } else if (char === '}') {
+            source += ')';
+        } else if (char === ',') {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(glob.includes('/') ? `^${source}$` : `(?:^|/)${source}$`);
+}
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : [value]).flatMap(item => String(item).split(';')).filter(Boolean);
+}
+
+class WorkspaceFiles {
+    // options: { roots: { name: absolutePath }, writable: [name], maxFileBytes,
+    // maxTreeEntries }
+    constructor(options = {}) {
+        this.roots = options.roots || {};
+        this.writable = new Set(options.writable || []);
+        this.maxFileBytes = options.maxFileBytes || 1024 * 1024;
+        this.maxTreeEntries = options.maxTreeEntries || 5000;
+    }
+
+    listRoots() {
+        return Object.entries(this.roots).map(([name, dir]) => ({
+            name,
+            path: dir,
+            writable: this.writable.has(name),
+            exists: fs.existsSync(dir)
+        }));
+    }
+
+    // Absolute path for root + relative path, refusing anything that leaves the root
+    resolve(root, relPath = '') {
+        // Own properties only, so names such as constructor are unknown roots
+        const rootDir = Object.hasOwn(this.roots, root) ? this.roots[root] : null;
+        if (!rootDir) {
+            throw new FileAccessError(`Unknown root: ${root}`, 404, { code: 'unknown_root', roots: Object.keys(this.roots) });
+        }
+        if (typeof relPath !== 'string' || relPath.includes('\0')) {
+            throw new FileAccessError('path must be a string', 400, { code: 'invalid_path' });
+        }
+
+        const realRoot = realPath(rootDir);
+        const absolute = realPath(path.resolve(rootDir, relPath.replace(/\\/g, '/').replace(/^\/+/, '')));
+        if (!isInside(realRoot, absolute)) {
+            throw new FileAccessError(`Path ${relPath} is outside root ${root}`, 400, { code: 'path_escape' });
+        }
+        return {
+            root,
+            absolute,
+            relative: path.relative(realRoot, absolute).split(path.sep).join('/')
+        };
+    }
+
+    _writableTarget(root, relPath) {
+        if (!this.writable.has(root)) {
+            throw new FileAccessError(`Root ${root} is read-only`, 403, { code: 'read_only' });
+        }
+        const target = this.resolve(root, relPath);
+        if (target.relative === '') {
+            throw new FileAccessError('The root itself cannot be changed', 400, { code: 'invalid_path' });
+        }
+        return target;
+    }
+
+    _stat(target) {
+        try {
+            return fs.statSync(target.absolute);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    _readBuffer(target) {
+        const stats = this._stat(target);
+        if (!stats) {
+            throw new FileAccessError(`Not found: ${target.root}/${target.relative}`, 404, { code: 'not_found' });
+        }
+        if (!stats.isFile()) {
+            throw new FileAccessError(`Not a file: ${target.root}/${target.relative}`, 400, { code: 'not_a_file' });
+        }
+        if (stats.size > this.maxFileBytes) {
+            throw new FileAccessError(`File is ${stats.size} bytes; the limit is ${this.maxFileBytes}`, 413, {
+                code: 'too_large',
+                size: stats.size,
+                limit: this.maxFileBytes
+            });
+        }
+        return { buffer: fs.readFileSync(target.absolute), stats };
+    }
+
+    // 412 unless ifMatch is '*' or the file's current ETag; 428 without one
+    _checkIfMatch(target, ifMatch) {
+        if (!ifMatch) {
+            throw new FileAccessError('If-Match is required to change an existing file', 428, { code: 'precondition_required' });
+        }
+        if (ifMatch === '*') return;
+
+        const etag = etagOf(fs.readFileSync(target.absolute));
+        const accepted = ifMatch.split(',').map(value => value.trim().replace(/^W\//, ''));
+        if (!accepted.includes(etag)) {
+            throw new FileAccessError(`${target.root}/${target.relative} has changed since it was read`, 412, {
+                code: 'etag_mismatch',
+                etag
+            });
+        }
+    }
+
+    // Recursive listing under root/relPath. options: { include, exclude }
+    // (globs, relative to the root; ';'-separated or arrays), depth (levels
+    // below the start directory, default unlimited). Directories with no
+    // matching files are pruned when include is given.
+    tree(root, relPath = '', options = {}) {
+        const start = this.resolve(root, relPath);
+        const stats = this._stat(start);
+        if (!stats || !stats.isDirectory()) {
+            throw new FileAccessError(`Not a directory: ${root}/${start.relative}`, 404, { code: 'not_found' });
+        }
+
+        const include = toList(options.include).map(globToRegExp);
+        const exclude = toList(options.exclude).map(globToRegExp);
+        const depth = options.depth === undefined ? Infinity : options.depth;
+        let count = 0;
+        let truncated = false;
+
+        const walk = (absolute, relative, level) => {
+            let entries;
+            try {
+                entries = fs.readdirSync(absolute, { withFileTypes: true });
+            } catch (error) {
+                return [];
+            }
+            const children = [];
+            entries
+                .filter(entry => !IGNORED_NAMES.has(entry.name))
+                .sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name))
+                .forEach(entry => {
+                    if (truncated) return;
+                    const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+                    if (exclude.some(pattern => pattern.test(entryRelative))) return;
+                    const entryAbsolute = path.join(absolute, entry.name);
+
+                    if (entry.isDirectory()) {
+                        const node = { name: entry.name, path: entryRelative, type: 'directory' };
+                        if (level < depth) {
+                            node.children = walk(entryAbsolute, entryRelative, level + 1);
+                            if (include.length > 0 && node.children.length === 0) return;
+                        } else if (include.length > 0) {
+                            return;
+                        }
+                        if (++count > this.maxTreeEntries) {
+                            truncated = true;
+                            return;
+                        }
+                        children.push(node);
+                    } else if (entry.isFile()) {
+                        if (include.length > 0 && !include.some(pattern => pattern.test(entryRelative))) return;
+                        if (++count > this.maxTreeEntries) {
+                            truncated = true;
+                            return;
+                        }
+                        const fileStats = fs.statSync(entryAbsolute);
+                        children.push({
+                            name: entry.name,
+                            path: entryRelative,
+                            type: 'file',
+                            size: fileStats.size,
+                            modified: fileStats.mtime.toISOString()
+                        });
+                    }
+                });
+            return children;
+        };
+
+        return {
+            root,
+            path: start.relative,
+            entries: walk(start.absolute, start.relative, 1),
+            count: Math.min(count, this.maxTreeEntries),
+            truncated
+        };
+    }
+
+    // Text content and ETag. Binary files come back without content.
+    read(root, relPath) {
+        const target = this.resolve(root, relPath);
+        const { buffer, stats } = this._readBuffer(target);
+        const binary = isBinary(buffer);
+        return {
+            root,
+            path: target.relative,
+            size: stats.size,
+            modified: stats.mtime.toISOString(),
+            etag: etagOf(buffer),
+            binary,
+            content: binary ? null : buffer.toString('utf8')
+        };
+    }
+
+    // Create or replace a text file. options: { ifMatch, ifNoneMatch }.
+    // Replacing needs ifMatch; ifNoneMatch '*' means create-only.
+    write(root, relPath, content, options = {}) {
+        const target = this._writableTarget(root, relPath);
+        if (typeof content !== 'string') {
+            throw new FileAccessError('content must be a string', 400, { code: 'invalid_content' });
+        }
+        const buffer = Buffer.from(content, 'utf8');
+        if (buffer.length > this.maxFileBytes) {
+            throw new FileAccessError(`Content is ${buffer.length} bytes; the limit is ${this.maxFileBytes}`, 413, {
+                code: 'too_large',
+                size: buffer.length,
+                limit: this.maxFileBytes
+            });
+        }
+        if (isBinary(buffer)) {
+            throw new FileAccessError('Content contains NUL bytes; binary files cannot be written here', 415, { code: 'binary' });
+        }
+
+        const stats = this._stat(target);
+        if (stats && !stats.isFile()) {
+            throw new FileAccessError(`Not a file: ${root}/${target.relative}`, 400, { code: 'not_a_file' });
+        }
+        if (stats && options.ifNoneMatch === '*') {
+            throw new FileAccessError(`${root}/${target.relative} already exists`, 412, {
+                code: 'already_exists',
+                etag: etagOf(fs.readFileSync(target.absolute))
+            });
+        }
+        if (stats) {
+            this._checkIfMatch(target, options.ifMatch);
+        } else if (options.ifMatch && options.ifMatch !== '*') {
+            throw new FileAccessError(`${root}/${target.relative} no longer exists`, 412, { code: 'not_found' });
+        }
+
+        fs.mkdirSync(path.dirname(target.absolute), { recursive: true });
+        const tempFile = path.join(path.dirname(target.absolute), `.${path.basename(target.absolute)}.tmp`);
+        fs.writeFileSync(tempFile, buffer);
+        fs.renameSync(tempFile, target.absolute);
+
+        return {
+            root,
+            path: target.relative,
+            size: buffer.length,
+            etag: etagOf(buffer),
+            created: !stats
+        };
+    }
+
+    // Move a file or directory within a root. Files need ifMatch; the
+    // destination must not exist.
+    rename(root, fromPath, toPath, options = {}) {
+        const from = this._writableTarget(root, fromPath);
+        const to = this._writableTarget(root, toPath);
+        const stats = this._stat(from);
+        if (!stats) {
+            throw new FileAccessError(`Not found: ${root}/${from.relative}`, 404, { code: 'not_found' });
+        }
+        if (this._stat(to)) {
+            throw new FileAccessError(`${root}/${to.relative} already exists`, 409, { code: 'already_exists' });
+        }
+        if (stats.isDirectory() && isInside(from.absolute, to.absolute)) {
+            throw new FileAccessError('A directory cannot be moved into itself', 400, { code: 'invalid_path' });
+        }
+        if (stats.isFile()) this._checkIfMatch(from, options.ifMatch);
+
+        fs.mkdirSync(path.dirname(to.absolute), { recursive: true });
+        fs.renameSync(from.absolute, to.absolute);
+        return { root, from: from.relative, to: to.relative, type: stats.isDirectory() ? 'directory' : 'file' };
+    }
+
+    // Delete a file (needs ifMatch) or a directory (must be empty unless
+    // options.recursive)
+    remove(root, relPath, options = {}) {
+        const target = this._writableTarget(root, relPath);
+        const stats = this._stat(target);
+        if (!stats) {
+            throw new FileAccessError(`Not found: ${root}/${target.relative}`, 404, { code: 'not_found' });
+        }
+
+        if (stats.isDirectory()) {
+            if (!options.recursive && fs.readdirSync(target.absolute).length > 0) {
+                throw new FileAccessError(`${root}/${target.relative} is not empty; pass recursive to delete it`, 409, {
+                    code: 'not_empty'
+                });
+            }
+            fs.rmSync(target.absolute, { recursive: true });
+        } else {
+            this._checkIfMatch(target, options.ifMatch);
+            fs.unlinkSync(target.absolute);
+        }
+        return { root, path: target.relative, type: stats.isDirectory() ? 'directory' : 'file' };
+    }
+
+    // Unified diff from the file on disk (empty if missing) to content
+    diff(root, relPath, content) {
+        const target = this.resolve(root, relPath);
+        if (typeof content !== 'string') {
+            throw new FileAccessError('content must be a string', 400, { code: 'invalid_content' });
+        }
+
+        let current = '';
+        let etag = null;
+        if (this._stat(target)) {
+            const { buffer } = this._readBuffer(target);
+            if (isBinary(buffer)) {
+                throw new FileAccessError(`${root}/${target.relative} is binary`, 415, { code: 'binary' });
+            }
+            current = buffer.toString('utf8');
+            etag = etagOf(buffer);
+        }
+
+        const label = `${root}/${target.relative}`;
+        const diff = unifiedDiff(current, content, {
+            oldLabel: etag ? `a/${label}` : '/dev/null',
+            newLabel: `b/${label}`
+        });
+        return { root, path: target.relative, etag, exists: etag !== null, changed: diff !== '', diff };
+    }
+}
+
+module.exports = {
+    FileAccessError,
+    WorkspaceFiles,
+    globToRegExp
+};
@@ -0,0 +1,129 @@
+const zlib = require('zlib');
+
+// Minimal reader for zip archives held in memory: the central directory and
+// stored or deflated entries, which is all archiver, zip and Windows'
+// "Send to compressed folder" produce. Zip64, encryption and spanned
+// archives are rejected with a ZipFormatError.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+// End of central directory record plus the longest possible comment
+const EOCD_SEARCH_BYTES = 22 + 0xffff;
+
+class ZipFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipFormatError';
+    }
+}
+
+// Central directory entries: [{ name, size, compressedSize, method, crc32,
+// offset, directory, encrypted, modified }] in archive order
+function readZipEntries(buffer) {
+    const searchFrom = Math.max(0, buffer.length - EOCD_SEARCH_BYTES);
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= searchFrom; i--) {
+        if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new ZipFormatError('Not a zip archive (no end of central directory record)');
+
+    const count = buffer.readUInt16LE(eocd + 10);
+    const directorySize = buffer.readUInt32LE(eocd + 12);
+    const directoryOffset = buffer.readUInt32LE(eocd + 16);
+    if (count === 0xffff || directoryOffset === 0xffffffff) {
+        throw new ZipFormatError('Zip64 archives are not supported');
+    }
+    if (directoryOffset + directorySize > eocd) {
+        throw new ZipFormatError('Central directory lies outside the archive');
+    }
+
+    const entries = [];
+    let offset = directoryOffset;
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+            throw new ZipFormatError(`Central directory entry ${i + 1} is corrupt`);
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        // Bit 11: name is UTF-8; otherwise CP437, which matches for ASCII names
+        const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+        entries.push({
+            name,
+            method: buffer.readUInt16LE(offset + 10),
+            modified: dosDateTime(buffer.readUInt16LE(offset + 14), buffer.readUInt16LE(offset + 12)),
+            crc32: buffer.readUInt32LE(offset + 16),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            offset: buffer.readUInt32LE(offset + 42),
+            directory: name.endsWith('/'),
+            encrypted: (flags & 0x1) !== 0
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function dosDateTime(date, time) {
+    if (date === 0) return null;
+    const value = new Date(Date.UTC(
+        ((date >> 9) & 0x7f) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+        (time >> 11) & 0x1f, (time >> 5) & 0x3f, (time & 0x1f) * 2
+    ));
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+}
+
+// Uncompressed content of one entry; the CRC is checked where zlib offers it.
+// Inflating stops at the size the directory declares, so a crafted entry
+// cannot expand past it; options.maxBytes rejects entries declared larger.
+function readZipEntry(buffer, entry, options = {}) {
+    if (entry.encrypted) throw new ZipFormatError(`${entry.name} is encrypted`);
+    if (options.maxBytes !== undefined && entry.size > options.maxBytes) {
+        throw new ZipFormatError(`${entry.name} is ${entry.size} bytes, over the ${options.maxBytes} byte limit`);
+    }
+    if (entry.offset + 30 > buffer.length || buffer.readUInt32LE(entry.offset) !== LOCAL_SIGNATURE) {
+        throw new ZipFormatError(`Local header of ${entry.name} is corrupt`);
+    }
+
+    const start = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+    const raw = buffer.subarray(start, start + entry.compressedSize);
+    if (raw.length !== entry.compressedSize) throw new ZipFormatError(`${entry.name} is truncated`);
+
+    let content;
+    if (entry.method === 0) {
+        content = raw;
+    } else if (entry.method === 8) {
+        try {
+            // maxOutputLength must be at least 1; an empty entry that
+            // inflates to one byte still fails the size check below
+            content = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, entry.size) });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                throw new ZipFormatError(`${entry.name} inflates past the ${entry.size} bytes the directory declares`);
+            }
+            throw new ZipFormatError(`${entry.name} cannot be inflated: ${error.message}`);
+        }
+    } else {
+        throw new ZipFormatError(`${entry.name} uses unsupported compression method ${entry.method}`);
+    }
+
+    if (content.length !== entry.size) {
+        throw new ZipFormatError(`${entry.name} is ${content.length} bytes, the directory says ${entry.size}`);
+    }
+    if (typeof zlib.crc32 === 'function' && (zlib.crc32(content) >>> 0) !== entry.crc32) {
+        throw new ZipFormatError(`${entry.name} fails its CRC check`);
+    }
+    return content;
+}
+
+module.exports = {
+    ZipFormatError,
+    readZipEntries,
+    readZipEntry
+};
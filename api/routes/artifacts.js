@@ -0,0 +1,93 @@
+const express = require('express');
+const fs = require('fs');
+const { downloadCallback } = require('../lib/download-response');
+const { channelOf } = require('../lib/release-channels');
+
+// Versioned package artifacts, mounted at /api/artifacts. Promotion needs
+// options.requireRole('admin') to pass when auth is in use.
+function createArtifactsRouter(artifactStore, releaseChannels, options = {}) {
+    const router = express.Router();
+    const requireRole = options.requireRole || (() => (req, res, next) => next());
+
+    const findArtifact = (req, res) => {
+        const manifest = artifactStore.get(req.params.id);
+        if (!manifest) {
+            res.status(404).json({ success: false, error: `Artifact not found: ${req.params.id}` });
+            return null;
+        }
+        return manifest;
+    };
+
+    // List artifacts, newest first; ?kind=, ?version= and ?channel= filter.
+    // With ?channel= the order is by when each artifact reached the channel.
+    router.get('/', (req, res) => {
+        const { kind, version, channel } = req.query;
+        if (channel && !releaseChannels.isChannel(channel)) {
+            return res.status(400).json({ success: false, error: `Unknown channel: ${channel}` });
+        }
+
+        const manifests = channel
+            ? releaseChannels.list(channel, { kind }).filter(m => !version || m.version === version)
+            : artifactStore.list({ kind, version });
+        const artifacts = manifests
+            .map(({ files, ...summary }) => ({ ...summary, channel: channelOf(summary), fileCount: files.length }));
+
+        res.json({
+            artifacts,
+            retention: artifactStore.retention
+        });
+    });
+
+    // Full manifest
+    router.get('/:id', (req, res) => {
+        const manifest = findArtifact(req, res);
+        if (manifest) res.json({ ...manifest, channel: channelOf(manifest) });
+    });
+
+    // Promote to the next channel. Body: { to?, note }
+    router.post('/:id/promote', requireRole('admin'), (req, res) => {
+        const { to, note } = req.body || {};
+        const by = req.auth ? req.auth.name : (req.body || {}).by;
+        try {
+            const { artifact, promotion } = releaseChannels.promote(req.params.id, { to, note, by });
+            res.json({ success: true, promotion, artifact: { ...artifact, files: undefined } });
+        } catch (error) {
+            if (!error.status) throw error;
+            res.status(error.status).json({ success: false, error: error.message });
+        }
+    });
+
+    // Build log captured when the package was created
+    router.get('/:id/log', (req, res) => {
+        const manifest = findArtifact(req, res);
+        if (!manifest) return;
+
+        const logPath = artifactStore.buildLogPath(manifest);
+        if (!fs.existsSync(logPath)) {
+            return res.status(404).json({ success: false, error: 'Build log not found' });
+        }
+        res.type('text/plain').sendFile(logPath);
+    });
+
+    // Download the zip. The ETag is the package SHA-256, so If-None-Match and
+    // If-Range work across restarts; Range requests are handled by sendFile.
+    router.get('/:id/download', (req, res) => {
+        const manifest = findArtifact(req, res);
+        if (!manifest) return;
+
+        const filePath = artifactStore.packagePath(manifest);
+        if (!fs.existsSync(filePath)) {
+            return res.status(410).json({ success: false, error: 'Artifact package file is missing', id: manifest.id });
+        }
+
+        console.log(`Artifact download: ${manifest.id}`);
+        res.set('ETag', `"${manifest.package.sha256}"`);
+        res.attachment(manifest.package.fileName);
+        res.sendFile(filePath, { etag: false, acceptRanges: true, lastModified: true },
+            downloadCallback(res, { label: 'Artifact download', envelope: true }));
+    });
+
+    return router;
+}
+
+module.exports = createArtifactsRouter;
@@ -0,0 +1,45 @@
+const express = require('express');
+
+// Compose file lint and service stanza generation, mounted at /api/compose.
+// Nothing is written to the compose files; generated stanzas are returned
+// for review.
+function createComposeRouter(composeFiles) {
+    const router = express.Router();
+
+    const handleError = (res, error) => {
+        if (!error.status) throw error;
+        res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    };
+
+    // Configured compose files with their services
+    router.get('/files', (req, res) => {
+        res.json({ files: composeFiles.list() });
+    });
+
+    // Inline secrets, undefined services/networks/volumes and host port
+    // collisions across the base file and each overlay
+    router.get('/lint', (req, res) => {
+        res.json(composeFiles.lint());
+    });
+
+    // Service stanza from the template. Body: { service: { name, runtime,
+    // type?, context?, ports?, networks?, dependsOn?, envFile?, environment?,
+    // healthcheck? }, target?: compose file to check it against };
+    // ?format=yaml answers with the YAML alone
+    router.post('/service', (req, res) => {
+        const { service, target } = req.body || {};
+        try {
+            const result = composeFiles.generate(service, { target });
+            if (req.query.format === 'yaml') {
+                return res.type('text/yaml').send(result.yaml);
+            }
+            res.json({ success: true, ...result });
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = createComposeRouter;
@@ -0,0 +1,52 @@
+const express = require('express');
+
+// Dockerfile templates and the Dockerfile audit, mounted at /api/docker.
+// Nothing here writes to disk, so viewers may use every route.
+function createDockerRouter(dockerTemplates) {
+    const router = express.Router();
+
+    const handleError = (res, error) => {
+        if (!error.status) throw error;
+        res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    };
+
+    // Template sets and the Dockerfile.<runtime> files in each
+    router.get('/templates', (req, res) => {
+        res.json({ sets: dockerTemplates.listSets(), templates: dockerTemplates.list() });
+    });
+
+    // One template with its ARGs. ?set= defaults to the first set
+    router.get('/templates/:runtime', (req, res) => {
+        try {
+            res.json(dockerTemplates.get(req.params.runtime, req.query.set || undefined));
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    // Render with build args baked in as ARG defaults. Body: { set?,
+    // serviceName?, serviceType?, port?, userId?, args?: { NAME: value } };
+    // ?format=text answers with the Dockerfile itself
+    router.post('/templates/:runtime/render', (req, res) => {
+        try {
+            const rendered = dockerTemplates.render(req.params.runtime, req.body || {});
+            if (req.query.format === 'text') {
+                return res.type('text/plain').send(rendered.content);
+            }
+            res.json({ success: true, ...rendered });
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    // Base images, multi-stage use, duplicates, unpinned tags, missing
+    // USER/HEALTHCHECK and drift between template sets. ?diff=true adds
+    // the unified diff of each drifted template.
+    router.get('/audit', (req, res) => {
+        res.json(dockerTemplates.audit({ diff: req.query.diff === 'true' }));
+    });
+
+    return router;
+}
+
+module.exports = createDockerRouter;
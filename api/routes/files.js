@@ -0,0 +1,123 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+// Workspace source browser and editor, mounted at /api/files. Files are
+// addressed by root name plus a path relative to it (?root=src&path=...).
+// Changes need options.requireRole('builder') to pass when auth is in use;
+// see lib/workspace-files.js for the ETag rules.
+function createFilesRouter(files, options = {}) {
+    const router = express.Router();
+    const requireRole = options.requireRole || (() => (req, res, next) => next());
+
+    const handleError = (res, error) => {
+        if (!error.status) throw error;
+        res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    };
+
+    // Top level of every root, keyed by directory (the original /api/files shape)
+    router.get('/', (req, res) => {
+        const listing = {};
+        files.listRoots().forEach(({ path: dir, exists }) => {
+            listing[dir] = exists
+                ? fs.readdirSync(dir, { withFileTypes: true }).map(dirent => ({
+                    name: dirent.name,
+                    isDirectory: dirent.isDirectory(),
+                    size: dirent.isFile() ? fs.statSync(path.join(dir, dirent.name)).size : null
+                }))
+                : ['Directory does not exist'];
+        });
+        res.json(listing);
+    });
+
+    router.get('/roots', (req, res) => {
+        res.json({ roots: files.listRoots(), maxFileBytes: files.maxFileBytes });
+    });
+
+    // Recursive tree. ?root=&path=&include=**/*.cs&exclude=obj/**&depth=
+    router.get('/tree', (req, res) => {
+        const { root, path: relPath, include, exclude, depth } = req.query;
+        const levels = depth === undefined ? undefined : parseInt(depth, 10);
+        if (levels !== undefined && !(levels >= 1)) {
+            return res.status(400).json({ success: false, error: 'depth must be a positive integer', code: 'invalid_depth' });
+        }
+        try {
+            res.json(files.tree(root, relPath || '', { include, exclude, depth: levels }));
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    // File content with an ETag header; If-None-Match gives 304 when unchanged
+    router.get('/content', (req, res) => {
+        try {
+            const file = files.read(req.query.root, req.query.path || '');
+            res.set('ETag', file.etag);
+            if (req.get('If-None-Match') === file.etag) {
+                return res.status(304).end();
+            }
+            res.json(file);
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    // Create or replace a file. Body: { root, path, content }. Replacing needs
+    // If-Match with the ETag from the last read; If-None-Match: * creates only.
+    router.put('/content', requireRole('builder'), (req, res) => {
+        const { root, path: relPath, content } = req.body || {};
+        try {
+            const result = files.write(root, relPath || '', content, {
+                ifMatch: req.get('If-Match'),
+                ifNoneMatch: req.get('If-None-Match')
+            });
+            console.log(`File ${result.created ? 'created' : 'saved'}: ${root}/${result.path}`);
+            res.set('ETag', result.etag);
+            res.status(result.created ? 201 : 200).json({ success: true, ...result });
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    // Delete a file (If-Match required) or a directory (?recursive=true if not empty)
+    router.delete('/content', requireRole('builder'), (req, res) => {
+        const { root, path: relPath, recursive } = req.query;
+        try {
+            const result = files.remove(root, relPath || '', {
+                ifMatch: req.get('If-Match'),
+                recursive: recursive === 'true'
+            });
+            console.log(`File deleted: ${root}/${result.path}`);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    // Move within a root. Body: { root, from, to }; files need If-Match
+    router.post('/rename', requireRole('builder'), (req, res) => {
+        const { root, from, to } = req.body || {};
+        try {
+            const result = files.rename(root, from || '', to || '', { ifMatch: req.get('If-Match') });
+            console.log(`File renamed: ${root}/${result.from} -> ${result.to}`);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    // Unified diff of proposed content against the file on disk, without saving.
+    // Body: { root, path, content }
+    router.post('/diff', (req, res) => {
+        const { root, path: relPath, content } = req.body || {};
+        try {
+            res.json(files.diff(root, relPath || '', content));
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = createFilesRouter;
@@ -0,0 +1,97 @@
+const express = require('express');
+const { openEventStream, getLastEventId } = require('../lib/sse');
+
+// Stream a job's events over SSE: replays everything after Last-Event-ID,
+// then follows live events until the final 'result' event
+function streamJob(jobQueue, id, req, res) {
+    const stream = openEventStream(req, res);
+    const lastEventId = getLastEventId(req);
+
+    const replay = jobQueue.events(id, lastEventId);
+    replay.forEach(event => stream.send(event.type, { ...event.data, time: event.time }, event.id));
+
+    const finished = jobQueue.isFinished(id);
+    if (finished) {
+        // Log already pruned or never recorded - still deliver the outcome
+        if (!replay.some(event => event.type === 'result') && lastEventId === 0) {
+            const job = jobQueue.view(id);
+            stream.send('result', { status: job.status, error: job.error, durationMs: job.durationMs });
+        }
+        return stream.close();
+    }
+
+    const onEvent = (jobId, event) => {
+        if (jobId !== id || event.id <= lastEventId) return;
+        stream.send(event.type, { ...event.data, time: event.time }, event.id);
+        if (event.type === 'result') stream.close();
+    };
+    jobQueue.on('event', onEvent);
+    stream.onClose(() => jobQueue.removeListener('event', onEvent));
+}
+
+// Job status and cancellation routes, mounted at /api/jobs. Cancelling
+// needs options.requireRole('builder') to pass when auth is in use.
+function createJobsRouter(jobQueue, options = {}) {
+    const router = express.Router();
+    const requireRole = options.requireRole || (() => (req, res, next) => next());
+
+    // List jobs, newest first
+    router.get('/', (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        res.json({
+            jobs: jobQueue.list({
+                status: req.query.status,
+                type: req.query.type,
+                limit
+            }),
+            queue: jobQueue.stats()
+        });
+    });
+
+    // Full job record including its result
+    router.get('/:id', (req, res) => {
+        const job = jobQueue.view(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+        }
+        res.json(job);
+    });
+
+    // Live output as Server-Sent Events; reconnect with Last-Event-ID to resume
+    router.get('/:id/stream', (req, res) => {
+        if (!jobQueue.get(req.params.id)) {
+            return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+        }
+        streamJob(jobQueue, req.params.id, req, res);
+    });
+
+    // Cancel a queued or running job
+    router.delete('/:id', requireRole('builder'), (req, res) => {
+        const existing = jobQueue.view(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+        }
+        if (!['queued', 'running'].includes(existing.status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Job already ${existing.status}`,
+                job: existing
+            });
+        }
+
+        const job = jobQueue.cancel(req.params.id);
+        console.log(`Cancel requested for job ${job.id} (${job.type})${req.auth ? ` by ${req.auth.name}` : ''}`);
+        res.status(202).json({
+            success: true,
+            message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+            job
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createJobsRouter,
+    streamJob
+};
@@ -0,0 +1,30 @@
+const express = require('express');
+const { LINT_CODES } = require('../lib/source-lint');
+
+// Pre-build static checks of the NinjaScript sources, mounted at /api/lint.
+// Nothing runs dotnet or writes to disk, so viewers may use every route.
+function createLintRouter(linter) {
+    const router = express.Router();
+
+    // Finding codes and what is ignored by configuration
+    router.get('/codes', (req, res) => {
+        res.json({ codes: LINT_CODES, ignored: Array.from(linter.ignore) });
+    });
+
+    // Lint src. Body: { files?: [paths relative to src] } to report only
+    // those files; duplicate types are still checked against the whole tree
+    router.post('/', (req, res) => {
+        const { files } = req.body || {};
+        if (files !== undefined && (!Array.isArray(files) || files.some(file => typeof file !== 'string'))) {
+            return res.status(400).json({ success: false, error: 'files must be a list of paths relative to src', code: 'invalid_files' });
+        }
+
+        const report = linter.lint({ files });
+        console.log(`Lint: ${report.summary.errors} errors, ${report.summary.warnings} warnings in ${report.files} files (${report.durationMs}ms)`);
+        res.json({ success: report.summary.errors === 0, ...report });
+    });
+
+    return router;
+}
+
+module.exports = createLintRouter;
@@ -0,0 +1,87 @@
+const express = require('express');
+
+// Service registry with live health, mounted at /api/services. Changes need
+// options.requireRole('admin') to pass when auth is in use.
+function createServicesRouter(registry, prober, options = {}) {
+    const router = express.Router();
+    const requireRole = options.requireRole || (() => (req, res, next) => next());
+
+    // Registry entry plus its latest probe result
+    const withHealth = (service) => {
+        const { status, ...health } = prober.get(service.id);
+        return { ...service, status, health };
+    };
+
+    const handleError = (res, error) => {
+        if (!error.status) throw error;
+        res.status(error.status).json({ success: false, error: error.message });
+    };
+
+    // All services; ?category= filters by category (substring, any case)
+    router.get('/', (req, res) => {
+        res.json(registry.list({ category: req.query.category }).map(withHealth));
+    });
+
+    // Get services by category
+    router.get('/category/:category', (req, res) => {
+        res.json(registry.list({ category: req.params.category }).map(withHealth));
+    });
+
+    router.get('/:id', (req, res) => {
+        const service = registry.get(req.params.id);
+        if (!service) {
+            return res.status(404).json({ success: false, error: `Service not found: ${req.params.id}` });
+        }
+        res.json(withHealth(service));
+    });
+
+    // Probe a service now instead of waiting for the next interval
+    router.post('/:id/probe', requireRole('builder'), async (req, res) => {
+        const service = registry.get(req.params.id);
+        if (!service) {
+            return res.status(404).json({ success: false, error: `Service not found: ${req.params.id}` });
+        }
+        await prober.probe(service);
+        res.json(withHealth(service));
+    });
+
+    // Add a service. Body: { id, name, category, icon?, description?, url?,
+    // healthCheck?: { url } | { host?, port } }
+    router.post('/', requireRole('admin'), (req, res) => {
+        try {
+            const service = registry.create(req.body);
+            console.log(`Service added: ${service.id} by ${req.auth ? req.auth.name : 'anonymous'}`);
+            prober.probe(service);
+            res.status(201).json({ success: true, service: withHealth(service) });
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    // Update fields of a service; null removes an optional field
+    router.patch('/:id', requireRole('admin'), (req, res) => {
+        try {
+            const service = registry.update(req.params.id, req.body);
+            console.log(`Service updated: ${service.id} by ${req.auth ? req.auth.name : 'anonymous'}`);
+            prober.forget(service.id);
+            prober.probe(service);
+            res.json({ success: true, service: withHealth(service) });
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    router.delete('/:id', requireRole('admin'), (req, res) => {
+        const service = registry.remove(req.params.id);
+        if (!service) {
+            return res.status(404).json({ success: false, error: `Service not found: ${req.params.id}` });
+        }
+        prober.forget(service.id);
+        console.log(`Service removed: ${service.id} by ${req.auth ? req.auth.name : 'anonymous'}`);
+        res.json({ success: true, service });
+    });
+
+    return router;
+}
+
+module.exports = createServicesRouter;
@@ -0,0 +1,123 @@
+const express = require('express');
+const { describeTemplate } = require('../lib/template-catalog');
+const { generateFromSpec } = require('../lib/ninjascript-codegen');
+const { planTemplateWrite, writeTemplateFile } = require('../lib/template-writer');
+
+// Render a template - or generate code from body.spec, see
+// lib/ninjascript-codegen.js - and, unless dryRun is set, write it into the
+// target folder. Body: { fileName?, className?, variables?, spec?, dryRun?,
+// overwrite? }. options.targetDirs maps template kinds to folders;
+// options.workspace anchors a template's own relative targetDir. Writes go
+// through lib/template-writer.js; refusals come back as
+// { success: false, error, code, ... }.
+function handleTemplateRequest(catalog, options, id, body, res) {
+    const { fileName, className, variables, spec, dryRun, overwrite } = body || {};
+
+    let rendered;
+    let plan;
+    try {
+        rendered = spec
+            ? generateFromSpec(spec, { fileName, className })
+            : catalog.render(id, { fileName, className, variables: variables || {} });
+
+        const { template } = rendered;
+        plan = planTemplateWrite(rendered, {
+            targetDir: template.targetDir || options.targetDirs[template.kind],
+            workspace: options.workspace,
+            srcDir: options.srcDir
+        });
+    } catch (error) {
+        if (!error.status) throw error;
+        return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+
+    const { template } = rendered;
+    if (dryRun) {
+        return res.json({
+            success: true,
+            dryRun: true,
+            template: template.id,
+            path: plan.filePath,
+            directory: plan.directory,
+            exists: plan.exists,
+            clashes: plan.clashes,
+            variables: rendered.variables,
+            spec: rendered.spec,
+            content: rendered.content
+        });
+    }
+
+    console.log(`Template request: ${template.id} -> ${plan.filePath}`);
+
+    let backup;
+    try {
+        backup = writeTemplateFile(plan, rendered.content, { overwrite: overwrite === true, backupDir: options.backupDir });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+        }
+        return res.status(500).json({
+            success: false,
+            error: `Failed to write template: ${error.message}`,
+            code: 'write_failed'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: `Template ${rendered.fileName} ${backup ? 'replaced' : 'created'} successfully`,
+        template: template.id,
+        path: plan.filePath,
+        directory: plan.directory,
+        backup
+    });
+}
+
+// NinjaScript template catalog, mounted at /api/templates. Creating files
+// needs options.requireRole('admin') to pass when auth is in use.
+function createTemplatesRouter(catalog, options = {}) {
+    const router = express.Router();
+    const requireRole = options.requireRole || (() => (req, res, next) => next());
+
+    // Templates with their metadata; files that failed to load are listed
+    // under errors so a broken template is visible rather than missing
+    router.get('/', (req, res) => {
+        const templates = catalog.list().map(describeTemplate);
+        res.json({ templates, errors: catalog.errors });
+    });
+
+    // Generate an indicator or strategy from a JSON spec. Body: { fileName, spec }
+    router.post('/spec/preview', (req, res) => {
+        handleTemplateRequest(catalog, options, null, { ...req.body, spec: (req.body || {}).spec || {}, dryRun: true }, res);
+    });
+
+    router.post('/spec', requireRole('admin'), (req, res) => {
+        handleTemplateRequest(catalog, options, null, { ...req.body, spec: (req.body || {}).spec || {} }, res);
+    });
+
+    // Metadata and source of one template
+    router.get('/:id', (req, res) => {
+        const template = catalog.get(req.params.id);
+        if (!template) {
+            return res.status(404).json({ success: false, error: `Unknown template: ${req.params.id}` });
+        }
+        res.json({ ...describeTemplate(template), source: template.body });
+    });
+
+    // Rendered code without writing anything
+    router.post('/:id/preview', (req, res) => {
+        handleTemplateRequest(catalog, options, req.params.id, { ...req.body, dryRun: true }, res);
+    });
+
+    // Render and write. Body: { fileName, variables?, dryRun?, overwrite? }
+    router.post('/:id', requireRole('admin'), (req, res) => {
+        handleTemplateRequest(catalog, options, req.params.id, req.body, res);
+    });
+
+    return router;
+}
+
+module.exports = {
+    createTemplatesRouter,
+    handleTemplateRequest
+};
@@ -0,0 +1,43 @@
+const express = require('express');
+
+// API token management, mounted at /api/tokens behind the admin role
+function createTokensRouter(tokenStore) {
+    const router = express.Router();
+
+    // List tokens (hashes are never returned)
+    router.get('/', (req, res) => {
+        res.json({ tokens: tokenStore.list() });
+    });
+
+    // Issue a token. Body: { name, role, expiresInDays? }. The plaintext token
+    // is only ever returned in this response.
+    router.post('/', (req, res) => {
+        const { name, role, expiresInDays } = req.body || {};
+        try {
+            const { token, record } = tokenStore.issue({ name, role, expiresInDays: parseInt(expiresInDays, 10) || 0 });
+            console.log(`Token issued: ${record.name} (${record.role}) by ${req.auth.name}`);
+            res.status(201).json({
+                success: true,
+                message: 'Store this token now - it cannot be retrieved again',
+                token,
+                record
+            });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    // Revoke a token
+    router.delete('/:id', (req, res) => {
+        const record = tokenStore.revoke(req.params.id);
+        if (!record) {
+            return res.status(404).json({ success: false, error: `Token not found: ${req.params.id}` });
+        }
+        console.log(`Token revoked: ${record.name} (${record.role}) by ${req.auth.name}`);
+        res.json({ success: true, record });
+    });
+
+    return router;
+}
+
+module.exports = createTokensRouter;
@@ -0,0 +1,126 @@
+const express = require('express');
+const { DELIVERY_STATES, FORMATS, WEBHOOK_EVENTS, publicWebhook } = require('../lib/webhooks');
+
+// Webhook subscriptions and their delivery log, mounted at /api/webhooks
+// behind the admin role. Secrets are only returned when created or rotated.
+function createWebhooksRouter(store, dispatcher) {
+    const router = express.Router();
+
+    const handleError = (res, error) => {
+        if (!error.status) throw error;
+        res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    };
+
+    const findWebhook = (req, res) => {
+        const webhook = store.get(req.params.id);
+        if (!webhook) {
+            res.status(404).json({ success: false, error: `Webhook not found: ${req.params.id}`, code: 'unknown_webhook' });
+        }
+        return webhook;
+    };
+
+    router.get('/', (req, res) => {
+        res.json({ webhooks: store.list().map(publicWebhook) });
+    });
+
+    // Event names and payload formats a subscription can use
+    router.get('/events', (req, res) => {
+        res.json({ events: WEBHOOK_EVENTS, formats: FORMATS });
+    });
+
+    // Delivery log, newest first. ?webhook=&event=&status=&limit=
+    router.get('/deliveries', (req, res) => {
+        const { webhook, event, status } = req.query;
+        if (status && !DELIVERY_STATES.includes(status)) {
+            return res.status(400).json({ success: false, error: `status must be one of: ${DELIVERY_STATES.join(', ')}` });
+        }
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        res.json({ deliveries: dispatcher.list({ webhookId: webhook, event, status, limit }) });
+    });
+
+    // One delivery with its request body and every attempt
+    router.get('/deliveries/:deliveryId', (req, res) => {
+        const delivery = dispatcher.get(req.params.deliveryId);
+        if (!delivery) {
+            return res.status(404).json({ success: false, error: `Delivery not found: ${req.params.deliveryId}`, code: 'unknown_delivery' });
+        }
+        res.json(delivery);
+    });
+
+    // Send a delivery's body again; answers after the first attempt
+    router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+        try {
+            const delivery = await dispatcher.redeliver(req.params.deliveryId);
+            console.log(`Webhook delivery ${req.params.deliveryId} resent as ${delivery.id} by ${req.auth.name}`);
+            res.json({ success: delivery.status === 'delivered', delivery });
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    // Subscribe. Body: { url, events?: [...] | ['*'], format?: json|slack|discord|teams,
+    // template?, headers?, description?, enabled?, secret? }
+    router.post('/', (req, res) => {
+        try {
+            const webhook = store.create(req.body);
+            console.log(`Webhook added: ${webhook.id} (${webhook.events.join(', ')}) by ${req.auth.name}`);
+            res.status(201).json({
+                success: true,
+                message: 'Store the secret now - it cannot be retrieved again',
+                secret: webhook.secret,
+                webhook: publicWebhook(webhook)
+            });
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    router.get('/:id', (req, res) => {
+        const webhook = findWebhook(req, res);
+        if (!webhook) return;
+        res.json({ ...publicWebhook(webhook), deliveries: dispatcher.list({ webhookId: webhook.id, limit: 10 }) });
+    });
+
+    // Update fields of a subscription; null removes template, headers or description
+    router.patch('/:id', (req, res) => {
+        try {
+            const webhook = store.update(req.params.id, req.body);
+            console.log(`Webhook updated: ${webhook.id} by ${req.auth.name}`);
+            res.json({ success: true, webhook: publicWebhook(webhook) });
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    // Generate a new signing secret, returned only in this response
+    router.post('/:id/secret', (req, res) => {
+        try {
+            const webhook = store.rotateSecret(req.params.id);
+            console.log(`Webhook secret rotated: ${webhook.id} by ${req.auth.name}`);
+            res.json({ success: true, secret: webhook.secret, webhook: publicWebhook(webhook) });
+        } catch (error) {
+            handleError(res, error);
+        }
+    });
+
+    // Send a ping event now and report how the receiver answered
+    router.post('/:id/test', async (req, res) => {
+        const webhook = findWebhook(req, res);
+        if (!webhook) return;
+        const delivery = await dispatcher.ping(webhook);
+        res.json({ success: delivery.status === 'delivered', delivery });
+    });
+
+    router.delete('/:id', (req, res) => {
+        const webhook = store.remove(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, error: `Webhook not found: ${req.params.id}`, code: 'unknown_webhook' });
+        }
+        console.log(`Webhook removed: ${webhook.id} by ${req.auth.name}`);
+        res.json({ success: true, webhook: publicWebhook(webhook) });
+    });
+
+    return router;
+}
+
+module.exports = createWebhooksRouter;